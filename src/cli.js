@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+import fs from "fs";
+import path from "path";
+import { Command, Option } from "commander";
+import {
+  generateSpec,
+  watchSpec,
+  formatSpec,
+  formatOperationDiff,
+  formatReport,
+  diffDocuments,
+  formatDocumentDiff,
+} from "./express-to-openapi.js";
+import { FORMATS, parseSpec } from "./lib/format.js";
+import { OPENAPI_VERSIONS } from "./lib/versions.js";
+
+// Exit codes: usage/config errors and invalid sources, no routes found, or
+// breaking changes since the compared document
+const EXIT_ERROR = 1;
+const EXIT_NO_ROUTES = 2;
+const EXIT_BREAKING = 3;
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+// --entry a.js --entry b.js
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+const program = new Command()
+  .name("express-to-openapi")
+  .description("Generate an OpenAPI specification from an Express.js app")
+  .version(version, "-v, --version")
+  .argument(
+    "[entries...]",
+    "entry files of the app (a trailing json/yaml sets the format)"
+  )
+  .option("-e, --entry <file>", "entry file, can be repeated", collect)
+  .option(
+    "-o, --output <file>",
+    "output file (default: openapi.<format> in the current directory)"
+  )
+  .addOption(
+    new Option(
+      "-f, --format <format>",
+      "output format (default: from --output, else json)"
+    ).choices(FORMATS)
+  )
+  .option(
+    "-c, --config <file>",
+    "config file (default: express-to-openapi.config.* in the current directory)"
+  )
+  .option("--stdout", "write the spec to stdout instead of a file")
+  .option(
+    "--inline-schemas",
+    "keep repeated schemas inline instead of moving them to components"
+  )
+  .addOption(
+    new Option(
+      "--openapi-version <version>",
+      "OpenAPI version of the document (default: 3.0)"
+    ).choices(OPENAPI_VERSIONS)
+  )
+  .option("--strict", "fail instead of writing an invalid document")
+  .option(
+    "--source-locations",
+    "tell where each operation is declared, in x-source"
+  )
+  .option(
+    "--report [file]",
+    "print the skipped routes and how request fields were typed, or write them to a JSON file"
+  )
+  .option(
+    "--compare <file>",
+    "list the changes since a previous spec, exit with 3 if one is breaking"
+  )
+  .option(
+    "--overlay <file>",
+    "hand-written changes merged into the spec, can be repeated",
+    collect
+  )
+  .option("-q, --quiet", "only print errors")
+  .option("-w, --watch", "regenerate the spec when a route file changes");
+
+// Pick the output format from --format, a legacy trailing positional
+// (express-to-openapi app.js yaml) or the extension of --output
+function resolveFormat(positional, options) {
+  const last = positional[positional.length - 1];
+  if (FORMATS.includes(last) && !fs.existsSync(last)) {
+    positional.pop();
+    return options.format || last;
+  }
+  if (options.format) return options.format;
+  if (options.output && /\.ya?ml$/i.test(options.output)) return "yaml";
+  return "json";
+}
+
+// file:line:column of a diagnostic, when it has a file
+function formatLocation({ file, line, column }) {
+  if (!file) return "";
+  return line ? `${file}:${line}:${column}` : file;
+}
+
+// Print the analysis report of a result, or write it to the --report file
+function writeReport(report, { options, log }) {
+  if (typeof options.report === "string") {
+    const reportPath = path.resolve(process.cwd(), options.report);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+    log(`📋 Analysis report written to: ${reportPath}`);
+    return;
+  }
+  // Asked for, so printed even with --quiet
+  const print = options.stdout ? console.error : console.log;
+  formatReport(report).forEach((line) => print(line));
+}
+
+// Read a previous OpenAPI document, JSON or YAML
+function readDocument(file) {
+  const document = parseSpec(
+    fs.readFileSync(path.resolve(process.cwd(), file), "utf8")
+  );
+  if (!document || typeof document !== "object" || !document.openapi) {
+    throw new Error(`${file} is not an OpenAPI document`);
+  }
+  return document;
+}
+
+// Print the changes between two documents. Returns the exit code of the
+// run.
+function writeComparison(previous, document, print) {
+  const diff = diffDocuments(previous, document);
+  formatDocumentDiff(diff).forEach((line) => print(line));
+  return diff.breaking.length > 0 ? EXIT_BREAKING : 0;
+}
+
+// Report the diagnostics of a result and write its document. Returns the
+// exit code of the run.
+async function writeResult(
+  result,
+  { options, format, log, previous, summary = true }
+) {
+  const { document, routes, diagnostics } = result;
+
+  // The report tells why routes are missing: written whatever happens next
+  if (options.report) writeReport(result.report, { options, log });
+
+  const parseErrors = diagnostics.filter((d) => d.code === "parse-error");
+  if (parseErrors.length > 0) {
+    parseErrors.forEach((error) => {
+      console.error(
+        `❌ Error parsing ${formatLocation(error)}: ${error.message}`
+      );
+    });
+    console.error(
+      "Make sure your JavaScript or TypeScript files have valid syntax"
+    );
+    return EXIT_ERROR;
+  }
+  diagnostics
+    .filter((d) => d.level === "warning" && d.code !== "no-routes")
+    .forEach((warning) => {
+      const location = formatLocation(warning);
+      log(`⚠️  ${location ? `${location}: ` : ""}${warning.message}`);
+    });
+  if (routes.length === 0) {
+    console.error("❌ No routes found");
+    console.error(
+      "Make sure your app defines routes with app.get(), router.get(), ..."
+    );
+    return EXIT_NO_ROUTES;
+  }
+
+  // With --strict, an invalid document is not written
+  const invalid = diagnostics.filter(
+    (d) => d.level === "error" && d.code === "invalid-document"
+  );
+  if (invalid.length > 0) {
+    invalid.forEach((error) => {
+      const location = formatLocation(error);
+      console.error(`❌ ${location ? `${location}: ` : ""}${error.message}`);
+    });
+    console.error("The OpenAPI document is invalid: it was not written");
+    return EXIT_ERROR;
+  }
+
+  const formattedContent = await formatSpec(document, format);
+
+  if (options.stdout) {
+    process.stdout.write(formattedContent);
+  } else {
+    const outputPath = path.resolve(
+      process.cwd(),
+      options.output || `openapi.${format}`
+    );
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, formattedContent);
+    log(`✅ OpenAPI spec generated at: ${outputPath}`);
+  }
+  log(`📊 Found ${routes.length} route(s)`);
+
+  // Summary of routes
+  if (summary) {
+    log("\n📋 Detected routes:");
+    routes.forEach((route) => {
+      const params =
+        route.parameters.length > 0
+          ? ` (${route.parameters.length} params)`
+          : "";
+      const query = route.parameters.some((p) => p.in === "query")
+        ? " + query"
+        : "";
+      log(`  ${route.method.toUpperCase()} ${route.path}${params}${query}`);
+    });
+  }
+
+  if (!previous) return 0;
+  // Asked for, so printed even with --quiet
+  const print = options.stdout ? console.error : console.log;
+  print(`\n🔀 Changes since ${options.compare}:`);
+  return writeComparison(previous, document, print);
+}
+
+async function main(positional, options) {
+  // With --stdout the spec owns stdout, progress goes to stderr
+  const log = options.quiet
+    ? () => {}
+    : options.stdout
+      ? console.error
+      : console.log;
+
+  if (options.watch && options.stdout) {
+    console.error("❌ --watch cannot be combined with --stdout");
+    return EXIT_ERROR;
+  }
+
+  const format = resolveFormat(positional, options);
+  const cliEntries = [...positional, ...(options.entry || [])];
+
+  // Read before generating: --compare may name the file about to be written
+  let previous = null;
+  if (options.compare) {
+    try {
+      previous = readDocument(options.compare);
+    } catch (error) {
+      console.error(`❌ Cannot read ${options.compare}: ${error.message}`);
+      return EXIT_ERROR;
+    }
+  }
+  const writeOptions = { options, format, log, previous };
+
+  // Files given on the command line win over the config entries
+  const specOptions = {
+    entry: cliEntries.length > 0 ? cliEntries : undefined,
+    config: options.config,
+    overrides: {
+      ...(options.inlineSchemas && { inlineSchemas: true }),
+      ...(options.strict && { strict: true }),
+      ...(options.sourceLocations && { sourceLocations: true }),
+      ...(options.overlay && {
+        overlays: options.overlay.map((file) =>
+          path.resolve(process.cwd(), file)
+        ),
+      }),
+      ...(options.openapiVersion && {
+        openapiVersion: options.openapiVersion,
+      }),
+    },
+  };
+
+  log("🔍 Analyzing Express.js application...");
+  let result;
+  let watcher = null;
+  try {
+    if (options.watch) {
+      watcher = await watchSpec({
+        ...specOptions,
+        onUpdate: async (update) => {
+          const files = update.changedFiles.map((file) =>
+            path.relative(process.cwd(), file)
+          );
+          log(`\n🔄 Changed: ${files.join(", ")}`);
+          const lines = formatOperationDiff(update.diff);
+          log(lines.length > 0 ? lines.join("\n") : "No operation changed");
+          await writeResult(update, { ...writeOptions, summary: false });
+        },
+        onError: (error) => console.error(`❌ ${error.message}`),
+      });
+      result = watcher.result;
+    } else {
+      result = await generateSpec(specOptions);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error("Run express-to-openapi --help for the available options");
+    return EXIT_ERROR;
+  }
+
+  if (result.config.configPath) {
+    log(`⚙️  Using config ${result.config.configPath}`);
+  }
+  const exitCode = await writeResult(result, writeOptions);
+  if (!watcher) return exitCode;
+
+  // Keep watching after a failed first run: the next save may fix it
+  log("\n👀 Watching for changes (Ctrl+C to stop)...");
+  process.once("SIGINT", () => {
+    watcher.close();
+    process.exit(0);
+  });
+  return 0;
+}
+
+program.action(async (positional, options) => {
+  process.exitCode = await main(positional, options);
+});
+
+program
+  .command("diff")
+  .description("list the changes between two specs, breaking ones first")
+  .argument("<before>", "previous spec (JSON or YAML)")
+  .argument("<after>", "new spec (JSON or YAML)")
+  .option("--json", "print the changes as JSON")
+  .action((before, after, options) => {
+    let documents;
+    try {
+      documents = [readDocument(before), readDocument(after)];
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = EXIT_ERROR;
+      return;
+    }
+    if (!options.json) {
+      process.exitCode = writeComparison(...documents, console.log);
+      return;
+    }
+    const diff = diffDocuments(...documents);
+    console.log(JSON.stringify(diff, null, 2));
+    process.exitCode = diff.breaking.length > 0 ? EXIT_BREAKING : 0;
+  });
+
+program.parseAsync();
@@ -0,0 +1,960 @@
+import { parse, getLineInfo } from "acorn";
+import * as walk from "acorn-walk";
+import { parse as parseWithBabel } from "@babel/parser";
+import { isTypeScriptFile, stripTypeSyntax } from "./typescript.js";
+import { startsWithRoute } from "./jsdoc.js";
+
+export const HTTP_METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+];
+
+const FUNCTION_TYPES = [
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+];
+
+// Nodes between a declared function and the comment documenting it
+const DECLARATION_TYPES = [
+  "FunctionDeclaration",
+  "VariableDeclarator",
+  "VariableDeclaration",
+  "ExportNamedDeclaration",
+  "ExportDefaultDeclaration",
+];
+
+// Local name under which an anonymous exported value (a function, an
+// object of handlers, a class instance) is recorded. The angle brackets
+// keep it from clashing with a real identifier.
+function getExportedValueName(exportName) {
+  return `<export ${exportName}>`;
+}
+
+// Read a string from a literal or an expression-free template literal
+export function getStaticString(node) {
+  if (!node) return null;
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+// Return the module specifier of a require("...") call
+export function getRequireSource(node) {
+  if (
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1
+  ) {
+    return getStaticString(node.arguments[0]);
+  }
+  return null;
+}
+
+// Return the exported name an assignment target stands for:
+// "default" for module.exports, "x" for exports.x / module.exports.x
+function getCommonJSExportName(node) {
+  if (node.type !== "MemberExpression" || node.computed) return null;
+
+  const { object, property } = node;
+  if (
+    object.type === "Identifier" &&
+    object.name === "module" &&
+    property.name === "exports"
+  ) {
+    return "default";
+  }
+  if (object.type === "Identifier" && object.name === "exports") {
+    return property.name;
+  }
+  if (getCommonJSExportName(object) === "default") {
+    return property.name;
+  }
+  return null;
+}
+
+// Parse syntax acorn does not support yet (decorators, as on TypeORM
+// entities) into the same ESTree nodes. TypeScript is parsed with the
+// extended syntax, then stripped of its types.
+function parseExtendedSyntax(fileContent, comments, filePath = null) {
+  const typescript = isTypeScriptFile(filePath);
+  const ast = parseWithBabel(fileContent, {
+    sourceType: "unambiguous",
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins: [
+      ...(typescript ? ["typescript"] : []),
+      ...(filePath && filePath.endsWith(".tsx") ? ["jsx"] : []),
+      "decorators-legacy",
+      ["estree", { classFeatures: true }],
+    ],
+  });
+  ast.comments.forEach(({ type, value, start, end }) => {
+    comments.push({
+      type: type === "CommentBlock" ? "Block" : "Line",
+      value,
+      start,
+      end,
+    });
+  });
+  return typescript ? stripTypeSyntax(ast.program) : ast.program;
+}
+
+// Parse ES modules and CommonJS scripts alike. Files that are not valid
+// modules (sloppy-mode code, top-level return) are retried as scripts,
+// then with the extended syntax. The comments of the file are collected
+// into `comments`.
+function parseSource(fileContent, filePath, comments) {
+  const options = {
+    ecmaVersion: 2022,
+    allowHashBang: true,
+    allowImportExportEverywhere: true,
+    onComment: comments,
+  };
+  const scriptOptions = {
+    ...options,
+    sourceType: "script",
+    allowReturnOutsideFunction: true,
+  };
+
+  if (filePath && filePath.endsWith(".cjs")) {
+    return parse(fileContent, scriptOptions);
+  }
+  if (isTypeScriptFile(filePath)) {
+    return parseExtendedSyntax(fileContent, comments, filePath);
+  }
+
+  try {
+    return parse(fileContent, { ...options, sourceType: "module" });
+  } catch (moduleError) {
+    try {
+      comments.length = 0;
+      return parse(fileContent, scriptOptions);
+    } catch {
+      try {
+        comments.length = 0;
+        return parseExtendedSyntax(fileContent, comments);
+      } catch {
+        throw moduleError;
+      }
+    }
+  }
+}
+
+// Analyze a single source file. Routes and mounts are recorded per
+// app/router binding and left unresolved, so the caller can link them
+// across files (see routes.js). Handlers are recorded as references too:
+// a function node, or a name to be resolved through imports. The comment
+// right above a route or a handler function is kept as its doc, with the
+// line and column it starts at: { text, line, column }.
+export function analyzeModule(fileContent, filePath = null) {
+  const moduleInfo = {
+    filePath,
+    source: fileContent,
+    bindings: {},
+    factories: {},
+    functions: {},
+    declarations: {},
+    docs: new Map(),
+    routes: [],
+    // Route declarations left out: { owner, method, path, reason, location }
+    skipped: [],
+    mounts: [],
+    middleware: [],
+    imports: {},
+    exports: {},
+    parseError: null,
+    // Error the analysis stopped at: the routes found before it are kept
+    analysisError: null,
+  };
+  let parsed = false;
+
+  try {
+    const comments = [];
+    const ast = parseSource(fileContent, filePath, comments);
+    parsed = true;
+
+    const { routes, imports, exports } = moduleInfo;
+    const scopes = new Map();
+    const functionScopes = new Map();
+    const functionNames = [];
+    const aliases = [];
+    const routeHandlers = [];
+    const returnedBindings = new Map();
+    const useCalls = [];
+    const constants = {};
+
+    // Bindings are scoped to the enclosing function (or the module), so
+    // routers declared inside separate factory functions stay apart
+    function getScopeNode(ancestors) {
+      for (let i = ancestors.length - 2; i > 0; i--) {
+        if (FUNCTION_TYPES.includes(ancestors[i].type)) return ancestors[i];
+      }
+      return ancestors[0];
+    }
+
+    function declareIn(table, name, value, ancestors) {
+      const scopeNode = getScopeNode(ancestors);
+      if (!table.has(scopeNode)) table.set(scopeNode, new Map());
+      table.get(scopeNode).set(name, value);
+    }
+
+    function lookupIn(table, name, ancestors) {
+      for (let i = ancestors.length - 1; i >= 0; i--) {
+        const scope = table.get(ancestors[i]);
+        if (scope && scope.has(name)) return scope.get(name);
+      }
+      return null;
+    }
+
+    function declareBinding(name, id, ancestors) {
+      declareIn(scopes, name, id, ancestors);
+    }
+
+    // Find the app/router binding a name refers to at the given location
+    function lookupBinding(name, ancestors) {
+      return lookupIn(scopes, name, ancestors);
+    }
+
+    // Comments right above a node (a blank line detaches them)
+    function getLeadingComments(start) {
+      const block = [];
+      let end = start;
+      for (let i = comments.length - 1; i >= 0; i--) {
+        const comment = comments[i];
+        if (comment.end > end) continue;
+
+        const between = fileContent.slice(comment.end, end);
+        if (between.trim() !== "" || between.split("\n").length > 2) break;
+        block.unshift(comment);
+        end = comment.start;
+      }
+      return block;
+    }
+
+    // Text of comments, JSDoc blocks losing their leading "*"
+    function getCommentText(block) {
+      const text = block
+        .map(({ type, value }) =>
+          type === "Block"
+            ? value
+                .split("\n")
+                .map((line) => line.replace(/^\s*\*?\s?/, ""))
+                .join("\n")
+            : value.replace(/^\s/, "")
+        )
+        .join("\n")
+        .trim();
+      return text || null;
+    }
+
+    // Line and column of a position, both counted from 1 as editors do
+    function getLocation(position) {
+      const { line, column } = getLineInfo(fileContent, position);
+      return { line, column: column + 1 };
+    }
+
+    // Doc of a comment block: its text, and where the comment starts
+    function getDoc(block) {
+      const text = getCommentText(block);
+      return text && { text, ...getLocation(block[0].start) };
+    }
+
+    function getLeadingComment(start) {
+      return getDoc(getLeadingComments(start));
+    }
+
+    // Doc of a route statement: its JSDoc blocks, or line comments naming
+    // the route (// GET /users - List users). Other line comments above a
+    // route are often section headings ("// Define your routes here").
+    function getRouteComment(start) {
+      const block = getLeadingComments(start);
+      const docBlocks = block.filter(
+        ({ type, value }) => type === "Block" && value.startsWith("*")
+      );
+      if (docBlocks.length > 0) return getDoc(docBlocks);
+      const doc = getDoc(block);
+      return doc && startsWithRoute(doc.text) ? doc : null;
+    }
+
+    // Keep the doc of a handler, found above its declaration statement
+    function registerDoc(node, declaration) {
+      const doc = getLeadingComment(declaration.start);
+      if (doc) moduleInfo.docs.set(node, doc);
+    }
+
+    // const list = async () => {} is documented above the declaration
+    function getDeclaration(node, ancestors) {
+      let declaration = node;
+      for (let i = ancestors.length - 1; i >= 0; i--) {
+        if (!DECLARATION_TYPES.includes(ancestors[i].type)) break;
+        declaration = ancestors[i];
+      }
+      return declaration;
+    }
+
+    // Module-level functions are also recorded by name, so handlers and
+    // router factories can be looked up from other files
+    function registerFunction(name, node, ancestors) {
+      declareIn(functionScopes, name, node, ancestors);
+      functionNames.push({ name, node });
+      if (getScopeNode(ancestors).type === "Program") {
+        moduleInfo.functions[name] = node;
+      }
+      registerDoc(node, getDeclaration(node, ancestors));
+    }
+
+    // Record the methods of a controller object as "name.method"
+    function registerObject(name, node) {
+      node.properties.forEach((prop) => {
+        if (prop.type !== "Property" || prop.computed) return;
+        const key = prop.key.name || prop.key.value;
+
+        if (FUNCTION_TYPES.includes(prop.value.type)) {
+          moduleInfo.functions[`${name}.${key}`] = prop.value;
+          registerDoc(prop.value, prop);
+        } else if (prop.value.type === "Identifier") {
+          // { list } refers to a function declared elsewhere in the file
+          aliases.push({ name: `${name}.${key}`, alias: prop.value.name });
+        }
+      });
+    }
+
+    // Record the methods of a controller class as "Class.method"
+    function registerClass(name, node) {
+      node.body.body.forEach((member) => {
+        if (member.computed || !member.value) return;
+        if (
+          member.type === "MethodDefinition" ||
+          FUNCTION_TYPES.includes(member.value.type)
+        ) {
+          moduleInfo.functions[`${name}.${member.key.name}`] = member.value;
+          registerDoc(member.value, member);
+        }
+      });
+    }
+
+    // Describe a route handler: the function itself when it is declared in
+    // this file, otherwise the (possibly imported) name it is reached by
+    function describeHandler(node, ancestors) {
+      if (FUNCTION_TYPES.includes(node.type)) {
+        return { node };
+      }
+
+      if (node.type === "Identifier") {
+        const fn = lookupIn(functionScopes, node.name, ancestors);
+        return fn ? { node: fn } : { local: node.name };
+      }
+
+      // todoController.list
+      if (
+        node.type === "MemberExpression" &&
+        !node.computed &&
+        node.object.type === "Identifier"
+      ) {
+        return { local: node.object.name, member: node.property.name };
+      }
+
+      if (node.type === "CallExpression") {
+        const { callee } = node;
+
+        // controller.list.bind(controller)
+        if (
+          callee.type === "MemberExpression" &&
+          !callee.computed &&
+          callee.property.name === "bind"
+        ) {
+          return describeHandler(callee.object, ancestors);
+        }
+
+        // asyncHandler(listTodos) wrappers
+        if (node.arguments.length > 0) {
+          return describeHandler(
+            node.arguments[node.arguments.length - 1],
+            ancestors
+          );
+        }
+      }
+
+      return null;
+    }
+
+    // Module-level bindings keep their name, so exports can refer to them;
+    // function-level ones are made unique by the position of the function
+    function createBindingId(name, ancestors) {
+      const scopeNode = getScopeNode(ancestors);
+      return scopeNode.type === "Program" ? name : `${name}@${scopeNode.start}`;
+    }
+
+    // Describe what an app.use() argument refers to: an app/router binding,
+    // a factory call, an import or a module loaded inline with require()
+    function describeMountTarget(node, ancestors) {
+      if (node.type === "Identifier") {
+        return { local: lookupBinding(node.name, ancestors) || node.name };
+      }
+
+      const source = getRequireSource(node);
+      if (source) {
+        return { source, imported: "default" };
+      }
+
+      // createAdminRouter() or require("./todos")(db)
+      if (node.type === "CallExpression") {
+        const target = describeMountTarget(node.callee, ancestors);
+        return target && { ...target, call: true };
+      }
+
+      // routes.todos where routes is a namespace import or required module
+      if (
+        node.type === "MemberExpression" &&
+        !node.computed &&
+        node.object.type === "Identifier" &&
+        imports[node.object.name]
+      ) {
+        const { source: objectSource, imported } = imports[node.object.name];
+        if (imported === "*" || imported === "default") {
+          return { source: objectSource, imported: node.property.name };
+        }
+      }
+
+      return null;
+    }
+
+    // Record a route whose handler is the last of its callbacks. The
+    // callbacks before it are kept as middleware, which may validate the
+    // request. position is that of the statement declaring the route.
+    function addRoute(
+      owner,
+      httpMethod,
+      path,
+      callbacks,
+      ancestors,
+      doc,
+      position
+    ) {
+      if (!HTTP_METHODS.includes(httpMethod) || callbacks.length === 0) return;
+
+      // Paths computed at runtime, and middleware-like wildcard routes
+      const reason =
+        path === null ? "dynamic-path" : path.includes("*") ? "wildcard" : null;
+      if (reason) {
+        moduleInfo.skipped.push({
+          owner,
+          method: httpMethod,
+          path,
+          reason,
+          location: getLocation(position),
+        });
+        return;
+      }
+
+      const route = {
+        owner,
+        method: httpMethod,
+        path,
+        handler: null,
+        middleware: callbacks.slice(0, -1),
+        doc: doc || null,
+        // Position in the file: app.use() middleware applies to the routes
+        // declared after it
+        start: callbacks[0].start,
+        // Line and column reported for the operation
+        location: getLocation(position),
+      };
+      routes.push(route);
+
+      // Handlers are described once every function of the file is known
+      routeHandlers.push({
+        route,
+        callback: callbacks[callbacks.length - 1],
+        ancestors: [...ancestors],
+      });
+    }
+
+    // Unroll router.route("/path").get(h1).patch(h2) into its path and the
+    // chained method calls, in declaration order. The callbacks of .all()
+    // run before those of the methods chained after it.
+    function unrollRouteChain(expr, ancestors) {
+      const calls = [];
+      let current = expr;
+
+      while (
+        current.type === "CallExpression" &&
+        current.callee.type === "MemberExpression" &&
+        !current.callee.computed
+      ) {
+        const { object, property } = current.callee;
+
+        if (property.name === "route" && object.type === "Identifier") {
+          const owner = lookupBinding(object.name, ancestors);
+          const path = getStaticString(current.arguments[0]);
+          if (!owner) return null;
+
+          let shared = [];
+          const methodCalls = [];
+          calls.reverse().forEach((call) => {
+            if (call.method === "all") {
+              shared = [...shared, ...call.args];
+            } else {
+              methodCalls.push({ ...call, args: [...shared, ...call.args] });
+            }
+          });
+          return { owner, path, calls: methodCalls };
+        }
+
+        // A comment above .get(...) documents that method only
+        calls.push({
+          method: property.name.toLowerCase(),
+          args: current.arguments,
+          doc: getLeadingComment(fileContent.lastIndexOf(".", property.start)),
+        });
+        current = object;
+      }
+
+      return null;
+    }
+
+    // express / require("express"), under whatever name it was bound to
+    function isExpressFactory(node) {
+      if (node.type === "Identifier") {
+        const imported = imports[node.name];
+        if (!imported) return node.name === "express";
+        return (
+          imported.source === "express" &&
+          (imported.imported === "default" || imported.imported === "*")
+        );
+      }
+      return getRequireSource(node) === "express";
+    }
+
+    // Router, express.Router or require("express").Router
+    function isRouterFactory(node) {
+      if (node.type === "Identifier") {
+        const imported = imports[node.name];
+        if (!imported) return node.name === "Router";
+        return imported.source === "express" && imported.imported === "Router";
+      }
+      return (
+        node.type === "MemberExpression" &&
+        !node.computed &&
+        node.property.name === "Router" &&
+        isExpressFactory(node.object)
+      );
+    }
+
+    // Describe what an exported value refers to
+    function describeExportValue(node, exportName) {
+      if (node.type === "Identifier") {
+        return { local: node.name };
+      }
+
+      // module.exports = function () { ...; return router; } and
+      // exports.list = async (req, res) => { ... }
+      if (FUNCTION_TYPES.includes(node.type)) {
+        const name = getExportedValueName(exportName);
+        functionNames.push({ name, node });
+        moduleInfo.functions[name] = node;
+        return { local: name };
+      }
+
+      // export default { list, create }
+      if (node.type === "ObjectExpression") {
+        const name = getExportedValueName(exportName);
+        registerObject(name, node);
+        return { local: name };
+      }
+
+      // module.exports = new TodoController()
+      if (node.type === "NewExpression" && node.callee.type === "Identifier") {
+        const name = getExportedValueName(exportName);
+        aliases.push({ name, className: node.callee.name });
+        return { local: name };
+      }
+
+      const source = getRequireSource(node);
+      if (source) {
+        return { source, imported: "default" };
+      }
+
+      // require("./todos").router
+      if (node.type === "MemberExpression" && !node.computed) {
+        const objectSource = getRequireSource(node.object);
+        if (objectSource) {
+          return { source: objectSource, imported: node.property.name };
+        }
+      }
+
+      // exports.userRules = [...], module.exports = Joi.object(...): the
+      // value may be a validation schema
+      const name = getExportedValueName(exportName);
+      moduleInfo.declarations[name] = node;
+      return { local: name };
+    }
+
+    walk.ancestor(ast, {
+      VariableDeclarator(node, state, ancestors) {
+        const init = node.init;
+        if (node.id.type === "Identifier" && init) {
+          const name = node.id.name;
+
+          // Handle app = express() and router = Router() /
+          // router = express.Router() patterns
+          if (init.type === "CallExpression" || init.type === "NewExpression") {
+            const kind = isExpressFactory(init.callee)
+              ? "app"
+              : isRouterFactory(init.callee)
+                ? "router"
+                : null;
+
+            if (kind) {
+              const id = createBindingId(name, ancestors);
+              moduleInfo.bindings[id] = kind;
+              declareBinding(name, id, ancestors);
+            }
+          }
+
+          // Handle aliases such as const r = router
+          if (init.type === "Identifier") {
+            const id = lookupBinding(init.name, ancestors);
+            if (id) declareBinding(name, id, ancestors);
+          }
+
+          // Remember module-level values that responses may refer to
+          if (getScopeNode(ancestors).type === "Program") {
+            moduleInfo.declarations[name] = init;
+          }
+
+          // Remember functions that may be handlers or router factories
+          if (FUNCTION_TYPES.includes(init.type)) {
+            registerFunction(name, init, ancestors);
+          }
+
+          // Handle controllers declared as objects, classes or aliases
+          const isModuleLevel = getScopeNode(ancestors).type === "Program";
+          if (isModuleLevel && init.type === "ObjectExpression") {
+            registerObject(name, init);
+          }
+          if (isModuleLevel && init.type === "ClassExpression") {
+            registerClass(name, init);
+          }
+          if (
+            isModuleLevel &&
+            init.type === "NewExpression" &&
+            init.callee.type === "Identifier"
+          ) {
+            aliases.push({ name, className: init.callee.name });
+          }
+        }
+
+        // Remember string constants that may be used as mount prefixes
+        const value = getStaticString(node.init);
+        if (value !== null && node.id.type === "Identifier") {
+          constants[node.id.name] = value;
+        }
+
+        // Handle const todos = require("./todos") and destructured requires
+        const source = getRequireSource(node.init);
+        if (source) {
+          if (node.id.type === "Identifier") {
+            imports[node.id.name] = { source, imported: "default" };
+          } else if (node.id.type === "ObjectPattern") {
+            node.id.properties.forEach((prop) => {
+              if (
+                prop.type === "Property" &&
+                prop.key.type === "Identifier" &&
+                prop.value.type === "Identifier"
+              ) {
+                imports[prop.value.name] = { source, imported: prop.key.name };
+              }
+            });
+          }
+        }
+      },
+
+      FunctionDeclaration(node, state, ancestors) {
+        if (node.id) registerFunction(node.id.name, node, ancestors);
+      },
+
+      ClassDeclaration(node, state, ancestors) {
+        if (getScopeNode(ancestors).type === "Program" && node.id) {
+          registerClass(node.id.name, node);
+          // The class may be a model (see models.js)
+          moduleInfo.declarations[node.id.name] = node;
+        }
+      },
+
+      // A function returning a router binding is a router factory
+      ReturnStatement(node, state, ancestors) {
+        if (!node.argument || node.argument.type !== "Identifier") return;
+
+        const id = lookupBinding(node.argument.name, ancestors);
+        const fn = [...ancestors]
+          .reverse()
+          .find((ancestor) => FUNCTION_TYPES.includes(ancestor.type));
+        if (id && fn) returnedBindings.set(fn, id);
+      },
+
+      // Handle import statements
+      ImportDeclaration(node) {
+        const source = node.source.value;
+        node.specifiers.forEach((spec) => {
+          if (spec.type === "ImportDefaultSpecifier") {
+            imports[spec.local.name] = { source, imported: "default" };
+          } else if (spec.type === "ImportNamespaceSpecifier") {
+            imports[spec.local.name] = { source, imported: "*" };
+          } else {
+            imports[spec.local.name] = { source, imported: spec.imported.name };
+          }
+        });
+      },
+
+      // Handle module.exports = router, exports.todos = router and
+      // module.exports = { todos, users }
+      AssignmentExpression(node) {
+        const exportName = getCommonJSExportName(node.left);
+        if (exportName === null) return;
+
+        if (
+          exportName === "default" &&
+          node.right.type === "ObjectExpression"
+        ) {
+          node.right.properties.forEach((prop) => {
+            if (
+              prop.type === "Property" &&
+              !prop.computed &&
+              prop.key.type === "Identifier"
+            ) {
+              const value = describeExportValue(prop.value, prop.key.name);
+              if (value) exports[prop.key.name] = value;
+            }
+          });
+          return;
+        }
+
+        const value = describeExportValue(node.right, exportName);
+        if (value) exports[exportName] = value;
+      },
+
+      // Handle export default router, export default function () {},
+      // export default class ... and export default { list, create }
+      ExportDefaultDeclaration(node) {
+        const { declaration } = node;
+        if (declaration.id) {
+          exports.default = { local: declaration.id.name };
+        } else if (declaration.type === "ClassDeclaration") {
+          const name = getExportedValueName("default");
+          registerClass(name, declaration);
+          exports.default = { local: name };
+        } else {
+          const value = describeExportValue(declaration, "default");
+          if (value) exports.default = value;
+        }
+      },
+
+      // Handle export const router = ..., export { router } and re-exports
+      ExportNamedDeclaration(node) {
+        const { declaration } = node;
+        if (declaration && declaration.type === "VariableDeclaration") {
+          declaration.declarations.forEach((decl) => {
+            if (decl.id.type === "Identifier") {
+              exports[decl.id.name] = { local: decl.id.name };
+            }
+          });
+        } else if (declaration && declaration.id) {
+          exports[declaration.id.name] = { local: declaration.id.name };
+        }
+        node.specifiers.forEach((spec) => {
+          exports[spec.exported.name] = node.source
+            ? { source: node.source.value, imported: spec.local.name }
+            : { local: spec.local.name };
+        });
+      },
+
+      // Handle route definitions
+      ExpressionStatement(node, state, ancestors) {
+        const expr = node.expression;
+
+        // Sequelize model classes get their attributes from a
+        // Todo.init({...}, { sequelize }) call, kept as "Todo.init"
+        if (
+          getScopeNode(ancestors).type === "Program" &&
+          expr.type === "CallExpression" &&
+          expr.callee.type === "MemberExpression" &&
+          !expr.callee.computed &&
+          expr.callee.object.type === "Identifier" &&
+          expr.callee.property.name === "init"
+        ) {
+          moduleInfo.declarations[`${expr.callee.object.name}.init`] = expr;
+          return;
+        }
+        if (
+          expr.type === "CallExpression" &&
+          expr.callee.type === "MemberExpression"
+        ) {
+          const obj = expr.callee.object;
+          const method = expr.callee.property;
+
+          // Handle router.route("/path").get(...).post(...) chains
+          if (obj.type === "CallExpression") {
+            const chain = unrollRouteChain(expr, ancestors);
+            if (chain) {
+              chain.calls.forEach(({ method: httpMethod, args, doc }) => {
+                addRoute(
+                  chain.owner,
+                  httpMethod,
+                  chain.path,
+                  args,
+                  ancestors,
+                  doc || getRouteComment(node.start),
+                  node.start
+                );
+              });
+            }
+            return;
+          }
+
+          // Check if it's app.method() or router.method() on a known binding
+          const owner =
+            obj.type === "Identifier" && lookupBinding(obj.name, ancestors);
+
+          if (owner && method && method.name) {
+            // app.use() calls are resolved once every binding is known
+            if (method.name === "use") {
+              useCalls.push({
+                owner,
+                args: expr.arguments,
+                ancestors: [...ancestors],
+              });
+              return;
+            }
+
+            if (expr.arguments.length >= 2) {
+              addRoute(
+                owner,
+                method.name.toLowerCase(),
+                getStaticString(expr.arguments[0]),
+                expr.arguments.slice(1),
+                ancestors,
+                getRouteComment(node.start),
+                node.start
+              );
+            }
+          }
+        }
+      },
+    });
+
+    // Instances and shorthand properties share the methods they refer to
+    aliases.forEach(({ name, className, alias }) => {
+      if (alias) {
+        const fn = moduleInfo.functions[alias];
+        if (fn) moduleInfo.functions[name] = fn;
+        return;
+      }
+      Object.keys(moduleInfo.functions)
+        .filter((key) => key.startsWith(`${className}.`))
+        .forEach((key) => {
+          const method = key.slice(className.length + 1);
+          moduleInfo.functions[`${name}.${method}`] = moduleInfo.functions[key];
+        });
+    });
+
+    routeHandlers.forEach(({ route, callback, ancestors }) => {
+      route.handler = describeHandler(callback, ancestors);
+    });
+
+    // Map factory function names to the router binding they return
+    functionNames.forEach(({ name, node }) => {
+      if (returnedBindings.has(node)) {
+        moduleInfo.factories[name] = returnedBindings.get(node);
+      }
+    });
+
+    // Evaluate a mount prefix built from literals and string constants
+    function resolvePrefix(node) {
+      if (!node) return null;
+      if (node.type === "Identifier") {
+        return constants[node.name] ?? null;
+      }
+      if (node.type === "TemplateLiteral") {
+        const parts = node.expressions.map(resolvePrefix);
+        if (parts.includes(null)) return null;
+        return node.quasis
+          .map((quasi, i) => quasi.value.cooked + (parts[i] ?? ""))
+          .join("");
+      }
+      if (node.type === "BinaryExpression" && node.operator === "+") {
+        const left = resolvePrefix(node.left);
+        const right = resolvePrefix(node.right);
+        return left === null || right === null ? null : left + right;
+      }
+      return getStaticString(node);
+    }
+
+    // Record app.use([prefix], ...routers) mounts, and the middleware
+    // the routes declared after them go through. A target may be either
+    // when it is imported: the caller tells them apart.
+    useCalls.forEach(({ owner, args, ancestors }) => {
+      const first = args[0];
+      const prefix = resolvePrefix(first);
+
+      // A prefix built at runtime cannot be resolved statically
+      if (
+        prefix === null &&
+        first &&
+        (first.type === "TemplateLiteral" || first.type === "BinaryExpression")
+      ) {
+        return;
+      }
+
+      const targets = prefix === null ? args : args.slice(1);
+
+      targets.forEach((arg) => {
+        const target = describeMountTarget(arg, ancestors);
+        if (target) {
+          moduleInfo.mounts.push({
+            owner,
+            prefix: prefix || "",
+            target,
+            start: arg.start,
+          });
+        }
+        moduleInfo.middleware.push({
+          owner,
+          prefix: prefix || "",
+          node: arg,
+          target,
+          start: arg.start,
+        });
+      });
+    });
+  } catch (error) {
+    // Reported by the caller, see reportParseError in routes.js
+    // acorn counts columns from 0, and ends its messages with "(line:column)"
+    const reported = error.loc
+      ? {
+          message: error.message.replace(/\s*\(\d+:\d+\)$/, ""),
+          line: error.loc.line,
+          column: error.loc.column + 1,
+        }
+      : { message: error.message };
+    if (parsed) {
+      moduleInfo.analysisError = reported;
+    } else {
+      moduleInfo.parseError = reported;
+    }
+  }
+
+  return moduleInfo;
+}
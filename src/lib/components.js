@@ -0,0 +1,380 @@
+// Hoist the schemas and error responses repeated across the operations of
+// a document into its components, and refer to them with $ref
+
+const SCHEMA_PREFIX = "#/components/schemas/";
+const RESPONSE_PREFIX = "#/components/responses/";
+
+// Key of a value that is the same for structurally equal values, whatever
+// the order of their object keys
+function hashValue(value) {
+  if (Array.isArray(value)) return `[${value.map(hashValue).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${hashValue(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Only objects with properties are worth a name of their own
+function isHoistable(schema) {
+  return Boolean(
+    schema &&
+      schema.type === "object" &&
+      schema.properties &&
+      Object.keys(schema.properties).length > 0
+  );
+}
+
+function pascalCase(text) {
+  return String(text)
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (match, char) =>
+      char ? char.toUpperCase() : ""
+    )
+    .replace(/^./, (char) => char.toUpperCase());
+}
+
+// todos -> Todo, categories -> Category, addresses -> Address
+function singularize(word) {
+  if (/ies$/i.test(word)) return word.replace(/ies$/i, "y");
+  if (/(ss|sh|ch|x)es$/i.test(word)) return word.replace(/es$/i, "");
+  if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Resource a path is about: its last segment that is not a parameter
+function getResource(path) {
+  const segments = path
+    .split("/")
+    .filter((segment) => segment && !segment.startsWith("{"));
+  return segments.length > 0 ? segments[segments.length - 1] : "";
+}
+
+// Envelope properties, which tell nothing of what they hold
+const GENERIC_PROPERTIES = [
+  "data",
+  "items",
+  "results",
+  "result",
+  "rows",
+  "records",
+  "docs",
+  "payload",
+];
+
+// Name of a schema, by where it is first found: the property holding it,
+// else the resource of the operation and its role
+function getSchemaName({ property, path, location, status }) {
+  if (property && !GENERIC_PROPERTIES.includes(property)) {
+    return pascalCase(singularize(property));
+  }
+
+  const resource = pascalCase(singularize(getResource(path))) || "Resource";
+  if (location === "requestBody") return `${resource}Input`;
+  if (Number(status) >= 400) return "Error";
+  return resource;
+}
+
+// Pick an unused component name: Todo, Todo2, Todo3...
+function reserveName(base, taken) {
+  let name = base;
+  for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+  taken.add(name);
+  return name;
+}
+
+// Names of the components the document refers to with the given prefix.
+// A doc comment {User} may refer to a schema that nothing defines yet:
+// giving its name to another schema would hide the missing one.
+function getReferencedNames(value, prefix, names = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => getReferencedNames(item, prefix, names));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, child]) => {
+      if (key === "$ref" && typeof child === "string") {
+        if (child.startsWith(prefix)) names.add(child.slice(prefix.length));
+      } else {
+        getReferencedNames(child, prefix, names);
+      }
+    });
+  }
+  return names;
+}
+
+// Path items also hold parameters, servers and a summary
+function isOperation(value) {
+  return Boolean(value && typeof value === "object" && !Array.isArray(value));
+}
+
+// Call visit(response, status) for the responses of the operations
+function forEachResponse(paths, visit) {
+  Object.values(paths).forEach((operations) => {
+    Object.values(operations).forEach((operation) => {
+      if (!isOperation(operation) || !operation.responses) return;
+      Object.entries(operation.responses).forEach(([status, response]) => {
+        if (response && !response.$ref) visit(response, status);
+      });
+    });
+  });
+}
+
+// Call visit(schema, context) for the schemas of the operations: those of
+// the responses first, as they name the resources best
+function forEachOperationSchema(paths, visit) {
+  Object.entries(paths).forEach(([path, operations]) => {
+    Object.values(operations).forEach((operation) => {
+      if (!isOperation(operation) || !operation.responses) return;
+      Object.entries(operation.responses).forEach(([status, response]) => {
+        if (!response || !response.content) return;
+        Object.values(response.content).forEach(({ schema }) =>
+          visit(schema, { path, location: "response", status, response })
+        );
+      });
+    });
+  });
+  Object.entries(paths).forEach(([path, operations]) => {
+    Object.values(operations).forEach((operation) => {
+      if (!isOperation(operation)) return;
+      const { requestBody } = operation;
+      if (requestBody && requestBody.content) {
+        Object.values(requestBody.content).forEach(({ schema }) =>
+          visit(schema, { path, location: "requestBody" })
+        );
+      }
+    });
+  });
+}
+
+// Nested schemas of a schema, with the property they are found under.
+// The items of an array are named after the property holding the array.
+function getChildSchemas(schema, property = null) {
+  const children = [];
+  Object.entries(schema.properties || {}).forEach(([key, child]) => {
+    children.push({ schema: child, property: key });
+  });
+  if (schema.items) {
+    children.push({ schema: schema.items, property });
+  }
+  if (schema.additionalProperties && schema.additionalProperties.type) {
+    children.push({ schema: schema.additionalProperties, property: null });
+  }
+  ["oneOf", "anyOf", "allOf"].forEach((key) => {
+    (schema[key] || []).forEach((child) =>
+      children.push({ schema: child, property: null })
+    );
+  });
+  return children;
+}
+
+// Copy a schema, with the hoisted schemas in it replaced by their $ref
+function replaceSchemas(schema, refs) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return schema;
+  }
+  const ref = isHoistable(schema) && refs.get(hashValue(schema));
+  return ref ? { $ref: ref } : replaceChildren(schema, refs);
+}
+
+// Copy a schema, with the hoisted schemas nested in it replaced
+function replaceChildren(schema, refs) {
+  const copy = { ...schema };
+  if (schema.properties) {
+    copy.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [
+        key,
+        replaceSchemas(child, refs),
+      ])
+    );
+  }
+  if (schema.items) copy.items = replaceSchemas(schema.items, refs);
+  if (schema.additionalProperties) {
+    copy.additionalProperties = replaceSchemas(
+      schema.additionalProperties,
+      refs
+    );
+  }
+  ["oneOf", "anyOf", "allOf"].forEach((key) => {
+    if (schema[key]) {
+      copy[key] = schema[key].map((child) => replaceSchemas(child, refs));
+    }
+  });
+  return copy;
+}
+
+function replaceContentSchemas(content, refs) {
+  return Object.fromEntries(
+    Object.entries(content).map(([mediaType, media]) => [
+      mediaType,
+      { ...media, schema: replaceSchemas(media.schema, refs) },
+    ])
+  );
+}
+
+// Move the schemas repeated across the operations of a document into
+// components.schemas, and the error responses repeated across operations
+// into components.responses. Schemas equal to a component already in the
+// document refer to it, even when used once. The document is copied: its
+// schemas may be shared with the route analyses.
+export function extractComponents(document) {
+  const components = document.components || {};
+  const existingSchemas = components.schemas || {};
+  // Names of the components, and of those referred to
+  const schemaNames = new Set([
+    ...Object.keys(existingSchemas),
+    ...getReferencedNames(document, SCHEMA_PREFIX),
+  ]);
+  const responseNames = new Set([
+    ...Object.keys(components.responses || {}),
+    ...getReferencedNames(document, RESPONSE_PREFIX),
+  ]);
+
+  // Error responses sent the same way by several operations
+  const responseCounts = new Map();
+  forEachResponse(document.paths, (response, status) => {
+    if (Number(status) < 400 || !response.content) return;
+    const hash = hashValue(response);
+    const found = responseCounts.get(hash);
+    if (found) found.count++;
+    else responseCounts.set(hash, { count: 1, response });
+  });
+  const responseRefs = new Map();
+  const hoistedResponses = {};
+  responseCounts.forEach(({ count, response }, hash) => {
+    if (count < 2) return;
+    const name = reserveName(
+      pascalCase(response.description) || "Error",
+      responseNames
+    );
+    hoistedResponses[name] = response;
+    responseRefs.set(hash, `${RESPONSE_PREFIX}${name}`);
+  });
+  const getResponseRef = (response, status) =>
+    Number(status) >= 400 && response.content
+      ? responseRefs.get(hashValue(response))
+      : undefined;
+
+  // Schemas are counted once per distinct parent: the properties of a
+  // repeated schema are only repeated if they are found elsewhere too
+  const schemaCounts = new Map();
+  function countSchema(schema, context) {
+    if (!schema || typeof schema !== "object") return;
+    if (isHoistable(schema)) {
+      const hash = hashValue(schema);
+      const found = schemaCounts.get(hash);
+      if (found) {
+        found.count++;
+        return;
+      }
+      schemaCounts.set(hash, { count: 1, schema, context });
+    }
+    getChildSchemas(schema, context.property).forEach((child) =>
+      countSchema(child.schema, {
+        ...context,
+        property: child.property,
+        nested: true,
+      })
+    );
+  }
+  // The schemas of a hoisted response are only found once, in components
+  const countedResponses = new Set();
+  forEachOperationSchema(document.paths, (schema, context) => {
+    if (context.response) {
+      const ref = getResponseRef(context.response, context.status);
+      if (ref && countedResponses.has(ref)) return;
+      if (ref) countedResponses.add(ref);
+    }
+    countSchema(schema, context);
+  });
+
+  const schemaRefs = new Map();
+  Object.entries(existingSchemas).forEach(([name, schema]) => {
+    schemaRefs.set(hashValue(schema), `${SCHEMA_PREFIX}${name}`);
+  });
+  // Nested schemas are named first: the resource name goes to the item of
+  // { data: [item] } rather than to its envelope, named TodoResponse
+  const candidates = [...schemaCounts]
+    .filter(([hash, { count }]) => count >= 2 && !schemaRefs.has(hash))
+    .sort(
+      ([, a], [, b]) => Number(!a.context.nested) - Number(!b.context.nested)
+    );
+  const hoistedSchemas = {};
+  candidates.forEach(([hash, { schema, context }]) => {
+    let base = getSchemaName(context);
+    if (
+      !context.nested &&
+      context.location === "response" &&
+      schemaNames.has(base)
+    ) {
+      base = `${base}Response`;
+    }
+    const name = reserveName(base, schemaNames);
+    hoistedSchemas[name] = schema;
+    schemaRefs.set(hash, `${SCHEMA_PREFIX}${name}`);
+  });
+
+  if (schemaRefs.size === 0 && responseRefs.size === 0) return document;
+
+  function replaceResponse(response, status) {
+    const ref = getResponseRef(response, status);
+    if (ref) return { $ref: ref };
+    return response.content
+      ? {
+          ...response,
+          content: replaceContentSchemas(response.content, schemaRefs),
+        }
+      : response;
+  }
+
+  const paths = Object.fromEntries(
+    Object.entries(document.paths).map(([path, operations]) => [
+      path,
+      Object.fromEntries(
+        Object.entries(operations).map(([method, operation]) => {
+          if (!isOperation(operation)) return [method, operation];
+
+          const { requestBody, responses } = operation;
+          const copy = { ...operation };
+          if (requestBody && requestBody.content) {
+            copy.requestBody = {
+              ...requestBody,
+              content: replaceContentSchemas(requestBody.content, schemaRefs),
+            };
+          }
+          if (responses) {
+            copy.responses = Object.fromEntries(
+              Object.entries(responses).map(([status, response]) => [
+                status,
+                replaceResponse(response, status),
+              ])
+            );
+          }
+          return [method, copy];
+        })
+      ),
+    ])
+  );
+
+  // Hoisted schemas refer to the others, and are not replaced themselves
+  const schemas = { ...existingSchemas };
+  Object.entries(hoistedSchemas).forEach(([name, schema]) => {
+    schemas[name] = replaceChildren(schema, schemaRefs);
+  });
+  const responses = { ...components.responses };
+  Object.entries(hoistedResponses).forEach(([name, response]) => {
+    responses[name] = {
+      ...response,
+      content: replaceContentSchemas(response.content, schemaRefs),
+    };
+  });
+
+  return {
+    ...document,
+    paths,
+    components: {
+      ...components,
+      ...(Object.keys(schemas).length > 0 && { schemas }),
+      ...(Object.keys(responses).length > 0 && { responses }),
+    },
+  };
+}
@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Config files looked up in the working directory, in this order
+export const CONFIG_FILES = [
+  "express-to-openapi.config.js",
+  "express-to-openapi.config.mjs",
+  "express-to-openapi.config.cjs",
+  "express-to-openapi.config.json",
+];
+
+// Find the closest package.json at or above a directory
+function findPackageJson(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, "package.json");
+    if (fs.existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+async function readConfigFile(configPath) {
+  try {
+    if (configPath.endsWith(".json")) {
+      return JSON.parse(fs.readFileSync(configPath, "utf8"));
+    }
+    const module = await import(pathToFileURL(configPath).href);
+    return module.default || module;
+  } catch (error) {
+    throw new Error(`Failed to load config ${configPath}: ${error.message}`);
+  }
+}
+
+// Load the config file given with --config, or the first of CONFIG_FILES
+// found in cwd. An inline config object may be given instead of a file.
+// Paths in the config (entry, include, exclude) are relative to its
+// directory, which is returned as baseDir. info.version defaults to the
+// version of the closest package.json.
+export async function loadConfig({
+  configPath,
+  config: inlineConfig,
+  cwd = process.cwd(),
+} = {}) {
+  let filePath = null;
+  if (configPath) {
+    filePath = path.resolve(cwd, configPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+  } else if (!inlineConfig) {
+    filePath =
+      CONFIG_FILES.map((name) => path.join(cwd, name)).find((candidate) =>
+        fs.existsSync(candidate)
+      ) || null;
+  }
+
+  const config =
+    inlineConfig || (filePath ? await readConfigFile(filePath) : {});
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(
+      `Invalid config${filePath ? ` ${filePath}` : ""}: expected an object`
+    );
+  }
+
+  const baseDir = filePath ? path.dirname(filePath) : path.resolve(cwd);
+  const packagePath = findPackageJson(baseDir);
+  const version =
+    packagePath && JSON.parse(fs.readFileSync(packagePath, "utf8")).version;
+
+  return {
+    ...config,
+    info: { ...(version && { version }), ...config.info },
+    baseDir,
+    configPath: filePath,
+  };
+}
+
+// Entry files of a config, as absolute paths
+export function getConfigEntries(config) {
+  const entries = [].concat(config.entry || []);
+  return entries.map((entry) => path.resolve(config.baseDir, entry));
+}
+
+// Convert a glob (**, *, ?, {a,b}) into a regular expression. Commas only
+// separate alternatives inside braces: routes/a,b.js is a file name.
+function globToRegExp(glob) {
+  let source = "";
+  let depth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches any number of directories, including none
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && glob.indexOf("}", i) > i) {
+      source += "(?:";
+      depth++;
+    } else if (char === "}" && depth > 0) {
+      source += ")";
+      depth--;
+    } else if (char === "," && depth > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$(){}|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Build a filter telling whether a file should be analyzed, from the
+// include/exclude globs of the options (relative to baseDir)
+export function createFileFilter({ include, exclude, baseDir } = {}) {
+  const included = [].concat(include || []).map(globToRegExp);
+  const excluded = [].concat(exclude || []).map(globToRegExp);
+  const root = path.resolve(baseDir || process.cwd());
+
+  return (filePath) => {
+    const relative = path.relative(root, filePath).split(path.sep).join("/");
+    return (
+      (included.length === 0 || included.some((glob) => glob.test(relative))) &&
+      !excluded.some((glob) => glob.test(relative))
+    );
+  };
+}
@@ -0,0 +1,525 @@
+import { HTTP_METHODS } from "./analyzer.js";
+
+// Operations of an OpenAPI document, by "METHOD /path"
+function getOperations(document) {
+  const operations = new Map();
+  Object.entries((document && document.paths) || {}).forEach(
+    ([path, pathItem]) => {
+      Object.entries(pathItem)
+        .filter(([method]) => HTTP_METHODS.includes(method))
+        .forEach(([method, operation]) => {
+          operations.set(`${method.toUpperCase()} ${path}`, operation);
+        });
+    }
+  );
+  return operations;
+}
+
+// Compare the operations of two OpenAPI documents. Returns the added,
+// removed and changed operations as "METHOD /path" strings.
+export function diffOperations(previous, next) {
+  const before = getOperations(previous);
+  const after = getOperations(next);
+
+  return {
+    added: [...after.keys()].filter((key) => !before.has(key)),
+    removed: [...before.keys()].filter((key) => !after.has(key)),
+    changed: [...after.keys()].filter(
+      (key) =>
+        before.has(key) &&
+        JSON.stringify(before.get(key)) !== JSON.stringify(after.get(key))
+    ),
+  };
+}
+
+// One line per operation: + added, - removed, ~ changed
+export function formatOperationDiff({ added, removed, changed }) {
+  return [
+    ...added.map((key) => `+ ${key}`),
+    ...removed.map((key) => `- ${key}`),
+    ...changed.map((key) => `~ ${key}`),
+  ];
+}
+
+// Value of a local $ref ("#/components/schemas/Todo"), undefined for the
+// refs to other files
+function getRefTarget(document, ref) {
+  if (!ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((value, key) => value && value[key], document);
+}
+
+// Follow the $refs of a parameter, body, response or schema
+function resolve(document, value) {
+  const seen = new Set();
+  let resolved = value;
+  while (resolved && typeof resolved.$ref === "string") {
+    if (seen.has(resolved.$ref)) return undefined;
+    seen.add(resolved.$ref);
+    resolved = getRefTarget(document, resolved.$ref);
+  }
+  return resolved;
+}
+
+function isNullSchema(schema) {
+  return schema.type === "null" || (schema.nullable && !schema.type);
+}
+
+// Schema and nullability of a schema value: a nullable $ref is written
+// { allOf: [ref], nullable: true } in 3.0, { anyOf: [ref, { type: "null" }] }
+// in 3.1
+function unwrap(schema) {
+  const { allOf, anyOf, oneOf } = schema;
+  if (allOf && allOf.length === 1 && !schema.type) {
+    return { schema: allOf[0], nullable: schema.nullable === true };
+  }
+  const alternatives = anyOf || oneOf;
+  if (alternatives && alternatives.length === 2) {
+    const other = alternatives.filter((child) => !isNullSchema(child));
+    if (other.length === 1) return { schema: other[0], nullable: true };
+  }
+  return { schema, nullable: false };
+}
+
+// Types accepted by a schema, with "null" for the nullable ones. No types
+// means anything.
+function getTypes(schema, nullable) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && (nullable || schema.nullable === true)) {
+    if (!types.includes("null")) types.push("null");
+  }
+  return types;
+}
+
+// Types of from that to does not accept: an integer is a number, and no
+// types accept everything
+function getLostTypes(from, to) {
+  if (to.length === 0) return [];
+  if (from.length === 0) return ["any"];
+  return from.filter(
+    (type) =>
+      !to.includes(type) && !(type === "integer" && to.includes("number"))
+  );
+}
+
+function describeTypes(types) {
+  return types.length > 0 ? types.join(" | ") : "any";
+}
+
+function describeValues(values) {
+  return values.map((value) => JSON.stringify(value)).join(", ");
+}
+
+// Schema a value refers to, with the nullability of its wrappers
+function normalize(document, value) {
+  const resolved = resolve(document, value) || {};
+  const { schema, nullable } = unwrap(resolved);
+  if (schema === resolved) return { schema, nullable };
+  const inner = normalize(document, schema);
+  return { schema: inner.schema, nullable: nullable || inner.nullable };
+}
+
+// Compare the schemas of a request (values sent by the clients) or a
+// response (values read by the clients). Accepting less is breaking for a
+// request, returning more is breaking for a response.
+function compareSchemas(context, previous, next, target, direction) {
+  const request = direction === "request";
+  // A recursive schema stops at the $refs already being compared
+  const refs =
+    (previous.$ref || next.$ref) &&
+    `${direction} ${previous.$ref} ${next.$ref}`;
+  if (refs) {
+    if (context.refs.has(refs)) return;
+    context.refs.add(refs);
+  }
+
+  const before = normalize(context.before, previous);
+  const after = normalize(context.after, next);
+  const beforeSchema = before.schema;
+  const afterSchema = after.schema;
+
+  const beforeTypes = getTypes(beforeSchema, before.nullable);
+  const afterTypes = getTypes(afterSchema, after.nullable);
+  const lost = getLostTypes(beforeTypes, afterTypes);
+  const gained = getLostTypes(afterTypes, beforeTypes);
+  const types = `was ${describeTypes(beforeTypes)}, now ${describeTypes(afterTypes)}`;
+  if (lost.length > 0 && gained.length > 0) {
+    context.add(true, "type-changed", target, `type changed: ${types}`);
+    if (refs) context.refs.delete(refs);
+    return;
+  }
+  if (lost.length > 0) {
+    context.add(request, "type-narrowed", target, `type narrowed: ${types}`);
+  }
+  if (gained.length > 0) {
+    context.add(!request, "type-widened", target, `type widened: ${types}`);
+  }
+
+  if (beforeSchema.format !== afterSchema.format) {
+    const format = `format was ${beforeSchema.format || "none"}, now ${
+      afterSchema.format || "none"
+    }`;
+    // A new format restricts the values, a removed one allows more
+    const breaking = request
+      ? Boolean(afterSchema.format)
+      : Boolean(beforeSchema.format);
+    context.add(breaking, "format-changed", target, format);
+  }
+
+  compareEnums(context, beforeSchema, afterSchema, target, request);
+  compareProperties(context, beforeSchema, afterSchema, target, direction);
+  if (beforeSchema.items || afterSchema.items) {
+    compareSchemas(
+      context,
+      beforeSchema.items || {},
+      afterSchema.items || {},
+      `${target}[]`,
+      direction
+    );
+  }
+  if (refs) context.refs.delete(refs);
+}
+
+function compareEnums(context, before, after, target, request) {
+  if (!before.enum && !after.enum) return;
+  if (!before.enum) {
+    context.add(
+      request,
+      "enum-added",
+      target,
+      `now limited to ${describeValues(after.enum)}`
+    );
+    return;
+  }
+  if (!after.enum) {
+    context.add(
+      !request,
+      "enum-removed",
+      target,
+      `no longer limited to ${describeValues(before.enum)}`
+    );
+    return;
+  }
+  const has = (values, value) =>
+    values.some((other) => JSON.stringify(other) === JSON.stringify(value));
+  const removed = before.enum.filter((value) => !has(after.enum, value));
+  const added = after.enum.filter((value) => !has(before.enum, value));
+  if (removed.length > 0) {
+    context.add(
+      request,
+      "enum-value-removed",
+      target,
+      `no longer allows ${describeValues(removed)}`
+    );
+  }
+  if (added.length > 0) {
+    context.add(
+      !request,
+      "enum-value-added",
+      target,
+      `now allows ${describeValues(added)}`
+    );
+  }
+}
+
+function compareProperties(context, before, after, target, direction) {
+  const request = direction === "request";
+  const beforeProperties = before.properties || {};
+  const afterProperties = after.properties || {};
+  const beforeRequired = before.required || [];
+  const afterRequired = after.required || [];
+
+  Object.keys(beforeProperties)
+    .filter((name) => !(name in afterProperties))
+    .forEach((name) => {
+      context.add(
+        !request,
+        "property-removed",
+        `${target}.${name}`,
+        "property removed"
+      );
+    });
+  Object.entries(afterProperties).forEach(([name, schema]) => {
+    const property = `${target}.${name}`;
+    const required = afterRequired.includes(name);
+    if (!(name in beforeProperties)) {
+      // Clients do not send the properties they do not know
+      context.add(
+        request && required,
+        "property-added",
+        property,
+        `new ${required ? "required" : "optional"} property`
+      );
+      return;
+    }
+    if (required && !beforeRequired.includes(name)) {
+      context.add(
+        request,
+        "property-required",
+        property,
+        request ? "now required" : "now always present"
+      );
+    }
+    if (!required && beforeRequired.includes(name)) {
+      context.add(
+        !request,
+        "property-optional",
+        property,
+        request ? "now optional" : "may now be missing"
+      );
+    }
+    compareSchemas(
+      context,
+      beforeProperties[name],
+      schema,
+      property,
+      direction
+    );
+  });
+}
+
+// Compare the media types of a request body or a response
+function compareContent(context, before, after, target, direction) {
+  const request = direction === "request";
+  const beforeContent = (before && before.content) || {};
+  const afterContent = (after && after.content) || {};
+
+  Object.keys(beforeContent)
+    .filter((mediaType) => !(mediaType in afterContent))
+    .forEach((mediaType) => {
+      context.add(
+        true,
+        "media-type-removed",
+        target,
+        `${mediaType} no longer ${request ? "accepted" : "returned"}`
+      );
+    });
+  Object.entries(afterContent).forEach(([mediaType, media]) => {
+    if (!(mediaType in beforeContent)) {
+      context.add(
+        false,
+        "media-type-added",
+        target,
+        `${mediaType} now ${request ? "accepted" : "returned"}`
+      );
+      return;
+    }
+    compareSchemas(
+      context,
+      beforeContent[mediaType].schema || {},
+      media.schema || {},
+      target,
+      direction
+    );
+  });
+}
+
+// Parameters of an operation, by "in.name" (header names are not case
+// sensitive)
+function getParameters(document, operation) {
+  const parameters = new Map();
+  (operation.parameters || []).forEach((value) => {
+    const parameter = resolve(document, value);
+    if (!parameter) return;
+    const name =
+      parameter.in === "header" ? parameter.name.toLowerCase() : parameter.name;
+    parameters.set(`${parameter.in}.${name}`, parameter);
+  });
+  return parameters;
+}
+
+function compareParameters(context, previous, next) {
+  const before = getParameters(context.before, previous);
+  const after = getParameters(context.after, next);
+  const removed = [...before.keys()].filter((key) => !after.has(key));
+  const added = [...after.keys()].filter((key) => !before.has(key));
+
+  removed.forEach((key) => {
+    const parameter = before.get(key);
+    // The same name elsewhere: moved, not removed and added
+    const name = parameter.name.toLowerCase();
+    const movedTo = added.find(
+      (other) => after.get(other).name.toLowerCase() === name
+    );
+    if (movedTo) {
+      const moved = after.get(movedTo);
+      added.splice(added.indexOf(movedTo), 1);
+      context.add(
+        true,
+        "parameter-location-changed",
+        key,
+        `moved from ${parameter.in} to ${moved.in}`
+      );
+      return;
+    }
+    context.add(false, "parameter-removed", key, "parameter removed");
+  });
+  added.forEach((key) => {
+    const required = after.get(key).required === true;
+    context.add(
+      required,
+      "parameter-added",
+      key,
+      `new ${required ? "required" : "optional"} parameter`
+    );
+  });
+
+  [...after.keys()]
+    .filter((key) => before.has(key))
+    .forEach((key) => {
+      const beforeRequired = before.get(key).required === true;
+      const afterRequired = after.get(key).required === true;
+      if (afterRequired !== beforeRequired) {
+        context.add(
+          afterRequired,
+          afterRequired ? "parameter-required" : "parameter-optional",
+          key,
+          afterRequired ? "now required" : "now optional"
+        );
+      }
+      compareSchemas(
+        context,
+        before.get(key).schema || {},
+        after.get(key).schema || {},
+        key,
+        "request"
+      );
+    });
+}
+
+function compareRequestBodies(context, previous, next) {
+  const before = resolve(context.before, previous.requestBody);
+  const after = resolve(context.after, next.requestBody);
+  if (!before && !after) return;
+  const afterRequired = Boolean(after && after.required);
+  if (!before) {
+    context.add(
+      afterRequired,
+      "request-body-added",
+      "body",
+      `new ${afterRequired ? "required" : "optional"} body`
+    );
+    return;
+  }
+  if (!after) {
+    context.add(false, "request-body-removed", "body", "body removed");
+    return;
+  }
+  if (afterRequired !== Boolean(before.required)) {
+    context.add(
+      afterRequired,
+      afterRequired ? "request-body-required" : "request-body-optional",
+      "body",
+      afterRequired ? "now required" : "now optional"
+    );
+  }
+  compareContent(context, before, after, "body", "request");
+}
+
+function compareResponses(context, previous, next) {
+  const before = previous.responses || {};
+  const after = next.responses || {};
+
+  Object.keys(before)
+    .filter((status) => !(status in after))
+    .forEach((status) => {
+      context.add(
+        true,
+        "response-removed",
+        `response ${status}`,
+        "response removed"
+      );
+    });
+  Object.entries(after).forEach(([status, response]) => {
+    const target = `response ${status}`;
+    if (!(status in before)) {
+      context.add(false, "response-added", target, "new response");
+      return;
+    }
+    compareContent(
+      context,
+      resolve(context.before, before[status]),
+      resolve(context.after, response),
+      `${target} body`,
+      "response"
+    );
+  });
+}
+
+// Compare two OpenAPI documents from the point of view of their clients.
+// Returns the breaking and the non-breaking changes, each
+// { code, method, path, target, message }: target is the changed
+// parameter ("query.limit"), body property ("body.title") or response
+// ("response 200 body.id"), null for a whole operation.
+export function diffDocuments(previous, next) {
+  const breaking = [];
+  const nonBreaking = [];
+  const before = getOperations(previous);
+  const after = getOperations(next);
+
+  function createContext(key) {
+    const [method, path] = key.split(" ");
+    return {
+      before: previous,
+      after: next,
+      refs: new Set(),
+      add(isBreaking, code, target, message) {
+        const change = { code, method: method.toLowerCase(), path };
+        (isBreaking ? breaking : nonBreaking).push({
+          ...change,
+          target,
+          message,
+        });
+      },
+    };
+  }
+
+  before.forEach((operation, key) => {
+    if (after.has(key)) {
+      const context = createContext(key);
+      compareParameters(context, operation, after.get(key));
+      compareRequestBodies(context, operation, after.get(key));
+      compareResponses(context, operation, after.get(key));
+    } else {
+      createContext(key).add(
+        true,
+        "operation-removed",
+        null,
+        "operation removed"
+      );
+    }
+  });
+  after.forEach((operation, key) => {
+    if (!before.has(key)) {
+      createContext(key).add(false, "operation-added", null, "new operation");
+    }
+  });
+
+  return { breaking, nonBreaking };
+}
+
+function formatChange({ method, path, target, message }) {
+  const operation = `${method.toUpperCase()} ${path}`;
+  return `  ${operation}${target ? `  ${target}` : ""}: ${message}`;
+}
+
+// Print the changes of diffDocuments as text lines
+export function formatDocumentDiff({ breaking, nonBreaking }) {
+  if (breaking.length === 0 && nonBreaking.length === 0) {
+    return ["No change in the API"];
+  }
+  const lines = [];
+  if (breaking.length > 0) {
+    lines.push(`💥 Breaking changes (${breaking.length})`);
+    breaking.forEach((change) => lines.push(formatChange(change)));
+  }
+  if (nonBreaking.length > 0) {
+    if (lines.length > 0) lines.push("");
+    lines.push(`✨ Non-breaking changes (${nonBreaking.length})`);
+    nonBreaking.forEach((change) => lines.push(formatChange(change)));
+  }
+  return lines;
+}
@@ -0,0 +1,21 @@
+import yaml from "js-yaml";
+import prettier from "prettier";
+
+export const FORMATS = ["json", "yaml"];
+
+// Serialize an OpenAPI document as JSON or YAML
+export async function formatSpec(openAPISpec, format = "json") {
+  if (format === "yaml") {
+    return yaml.dump(openAPISpec, {
+      indent: 2,
+      lineWidth: 120,
+      noRefs: true,
+    });
+  }
+  return prettier.format(JSON.stringify(openAPISpec), { parser: "json" });
+}
+
+// Read a JSON or YAML document, such as one written by formatSpec
+export function parseSpec(content) {
+  return yaml.load(content);
+}
@@ -0,0 +1,921 @@
+import * as walk from "acorn-walk";
+import { createSchemaInferrer, mergeSchemas, refineSchema } from "./infer.js";
+import { createRuleSet, getHintsOrigin } from "./rules.js";
+import { convertSchema, applyValidation } from "./validation.js";
+import { readModel } from "./models.js";
+import { getStaticString } from "./analyzer.js";
+
+// Where each part of the request ends up in the OpenAPI document
+const REQUEST_SOURCES = {
+  body: "body",
+  query: "query",
+  params: "path",
+  headers: "header",
+  cookies: "cookie",
+  signedCookies: "cookie",
+};
+
+// JSON types of the typeof results a request value may have
+const TYPEOF_TYPES = ["number", "string", "boolean", "object"];
+
+// req methods reading a request header: req.get("If-Match")
+const HEADER_GETTERS = ["get", "header"];
+
+// Headers sent by every client or proxy, or described elsewhere in the
+// document (Authorization by the security schemes, Content-Type by the
+// request body), which are not parameters of an operation
+const STANDARD_HEADERS = [
+  "accept",
+  "accept-charset",
+  "accept-encoding",
+  "accept-language",
+  "authorization",
+  "cache-control",
+  "connection",
+  "content-length",
+  "content-type",
+  "cookie",
+  "dnt",
+  "forwarded",
+  "host",
+  "origin",
+  "pragma",
+  "referer",
+  "te",
+  "upgrade",
+  "user-agent",
+  "via",
+  "x-forwarded-for",
+  "x-forwarded-host",
+  "x-forwarded-proto",
+  "x-real-ip",
+  "x-requested-with",
+];
+
+// res methods setting a response header, and the header they set when it
+// is not their first argument
+const HEADER_SETTERS = {
+  set: null,
+  header: null,
+  setHeader: null,
+  append: null,
+  location: "Location",
+  cookie: "Set-Cookie",
+  attachment: "Content-Disposition",
+};
+
+// Response headers described by the content of the response
+const CONTENT_HEADERS = ["content-type", "content-length"];
+
+// res methods that send a response
+const RESPONSE_METHODS = [
+  "json",
+  "jsonp",
+  "send",
+  "end",
+  "sendStatus",
+  "sendFile",
+  "download",
+  "redirect",
+  "render",
+];
+
+// Methods of Joi and zod schemas validating their argument
+const PARSE_METHODS = [
+  "parse",
+  "parseAsync",
+  "safeParse",
+  "safeParseAsync",
+  "validate",
+  "validateAsync",
+];
+
+// Functions whose result tells the type of their first argument
+const CONVERSION_TYPES = {
+  parseInt: "integer",
+  parseFloat: "number",
+  Number: "number",
+  Boolean: "boolean",
+  String: "string",
+};
+
+// Methods that only exist on one type
+const STRING_METHODS = [
+  "toLowerCase",
+  "toUpperCase",
+  "trim",
+  "split",
+  "startsWith",
+  "endsWith",
+];
+const ARRAY_METHODS = ["map", "forEach", "filter", "some", "every", "join"];
+
+// Read a property name from obj.name or obj["name"]
+function getPropertyName(node) {
+  if (!node.computed && node.property.type === "Identifier") {
+    return node.property.name;
+  }
+  if (node.property.type === "Literal") {
+    return String(node.property.value);
+  }
+  return null;
+}
+
+// Type of a literal default value such as { page = 1 }
+function getLiteralType(node) {
+  if (node.type === "Literal") {
+    if (typeof node.value === "boolean") return "boolean";
+    if (typeof node.value === "number") {
+      return Number.isInteger(node.value) ? "integer" : "number";
+    }
+    if (typeof node.value === "string") return "string";
+  }
+  if (node.type === "TemplateLiteral") return "string";
+  if (node.type === "ArrayExpression") return "array";
+  if (node.type === "ObjectExpression") return "object";
+  return null;
+}
+
+// Status codes a res.status() argument can evaluate to
+function getStatusCodes(node) {
+  if (!node) return [];
+  if (node.type === "Literal" && typeof node.value === "number") {
+    return [String(node.value)];
+  }
+  // res.status(err.status || 500)
+  if (node.type === "LogicalExpression") {
+    return [...getStatusCodes(node.left), ...getStatusCodes(node.right)];
+  }
+  // res.status(found ? 200 : 404)
+  if (node.type === "ConditionalExpression") {
+    return [
+      ...getStatusCodes(node.consequent),
+      ...getStatusCodes(node.alternate),
+    ];
+  }
+  return [];
+}
+
+// Analyze a route handler function for parameters and responses. The
+// handler is walked as an AST: aliases of req, res, req.body, req.query
+// and req.params are tracked, so fields are found however they are read.
+// moduleScope maps the module-level variables of the handler's file to
+// their initializers, so response payloads can be traced back to them.
+// resolveName(name) also follows imports, for the Joi/zod schemas the
+// handler validates the request with (see validation.js) and the models
+// it queries (see models.js). prismaModels holds the schemas of the
+// models of the Prisma schema, by name (see prisma.js). The schemas of
+// the models used are returned in `schemas`, by model name. In TypeScript
+// files, `types` gives the declared types of the handler's request and
+// responses (see typescript.js). The heuristic that typed each request
+// field is returned in `fields`, as { in, name, heuristic, confidence }.
+export function analyzeRouteHandler(
+  handlerFunction,
+  moduleScope = {},
+  ruleSet = createRuleSet(),
+  resolveName = createModuleResolver(moduleScope),
+  prismaModels = {},
+  types = null
+) {
+  const analysis = {
+    parameters: [],
+    requestBody: null,
+    responses: {},
+    fields: [],
+  };
+  let validation = null;
+  let declared = null;
+
+  if (
+    handlerFunction &&
+    (handlerFunction.type === "FunctionDeclaration" ||
+      handlerFunction.type === "FunctionExpression" ||
+      handlerFunction.type === "ArrowFunctionExpression")
+  ) {
+    const facts = collectHandlerFacts(
+      handlerFunction,
+      moduleScope,
+      ruleSet,
+      resolveName,
+      prismaModels
+    );
+    const { fields, bodyUsed, responses, models } = facts;
+    validation = facts.validation;
+    if (types) {
+      declared = applyDeclaredTypes(handlerFunction, facts, types);
+    }
+
+    // Schemas of the models used, for the components of the document
+    if (Object.keys(models).length > 0) analysis.schemas = models;
+
+    fields.forEach((field) => {
+      if (field.in === "body") return;
+      // Path parameters come from the route path; the handler only adds
+      // what its code tells about their type
+      if (field.in === "path" && field.types.size === 0) return;
+      if (
+        field.in === "header" &&
+        STANDARD_HEADERS.includes(field.name.toLowerCase())
+      ) {
+        return;
+      }
+
+      analysis.parameters.push({
+        name: field.name,
+        in: field.in,
+        required: field.in === "path" || isFieldRequired(field, ruleSet),
+        schema: getFieldSchema(field, ruleSet),
+      });
+      analysis.fields.push(getFieldOrigin(field, ruleSet));
+    });
+
+    const bodyFields = fields.filter((field) => field.in === "body");
+    if (bodyFields.length > 0 || bodyUsed) {
+      const properties = {};
+      const required = [];
+
+      bodyFields.forEach((field) => {
+        properties[field.name] = getFieldSchema(field, ruleSet);
+        if (isFieldRequired(field, ruleSet)) required.push(field.name);
+        analysis.fields.push(getFieldOrigin(field, ruleSet));
+      });
+
+      analysis.requestBody = {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              ...(bodyFields.length > 0 && { properties }),
+              ...(required.length > 0 && { required }),
+            },
+          },
+        },
+      };
+    }
+
+    responses.forEach((response) => {
+      const existing = analysis.responses[response.status];
+      const { content } = getResponseContent(response);
+      const headers = existing
+        ? { ...response.headers, ...existing.headers }
+        : response.headers;
+
+      // Payloads sent with the same status code are merged
+      if (existing && existing.content && content) {
+        const [mediaType] = Object.keys(content);
+        const current = existing.content[mediaType];
+        if (current) {
+          current.schema = mergeSchemas(
+            current.schema,
+            content[mediaType].schema
+          );
+        }
+      }
+      const merged = existing && (existing.content || !content);
+
+      analysis.responses[response.status] = {
+        description: getResponseDescription(response.status),
+        ...(headers && Object.keys(headers).length > 0 && { headers }),
+        ...(merged
+          ? existing.content && { content: existing.content }
+          : content && { content }),
+      };
+    });
+  }
+
+  // Ensure at least one success response exists
+  if (Object.keys(analysis.responses).length === 0) {
+    analysis.responses["200"] = {
+      description: "Success",
+      content: {
+        "application/json": {
+          schema: { type: "object" },
+        },
+      },
+    };
+  }
+
+  // Schemas the handler validates the request with win over its types
+  return applyValidation(
+    applyValidation(analysis, declared, "typescript"),
+    validation
+  );
+}
+
+// Use the declared types of a TypeScript handler: the request types of
+// Request<Params, ResBody, ReqBody, Query> are validated like a schema
+// would be. Response payloads are refined with their types, or replaced
+// by the type they are cast to. Returns the validation the types give.
+function applyDeclaredTypes(handlerFunction, facts, types) {
+  const { fields, responses } = facts;
+  const declared = types.getRequestTypes(handlerFunction);
+  const validation = {};
+
+  ["path", "query", "body"].forEach((location) => {
+    const schema = declared[location];
+    if (!schema || (location !== "body" && !schema.properties)) return;
+    if (location !== "path") {
+      validation[location] = schema;
+      return;
+    }
+    // parseInt(req.params.id) tells more than { id: string }
+    const properties = { ...schema.properties };
+    fields.forEach((field) => {
+      if (field.in === "path" && field.types.size > 0) {
+        properties[field.name] = { type: [...field.types][0] };
+      }
+    });
+    validation.path = { ...schema, properties };
+  });
+
+  responses.forEach((response) => {
+    if (!response.payload || response.method === "redirect") return;
+    const typed = types.getSchema(response.payload);
+    if (typed) {
+      response.schema = typed.cast
+        ? typed.schema
+        : refineSchema(response.schema, typed.schema);
+    } else if (declared.response && Object.keys(response.schema).length === 0) {
+      response.schema = declared.response;
+    }
+  });
+
+  return Object.keys(validation).length > 0 ? validation : null;
+}
+
+// Resolve names to the module-level values of the handler's file only
+function createModuleResolver(moduleScope) {
+  const resolve = (name) =>
+    Object.hasOwn(moduleScope, name)
+      ? { node: moduleScope[name], resolve }
+      : null;
+  return resolve;
+}
+
+// Content of a response, by the res method that sent it
+function getResponseContent(response) {
+  const { method, payload, schema } = response;
+
+  if (method === "render") {
+    return { content: { "text/html": { schema: { type: "string" } } } };
+  }
+  if (method === "sendFile" || method === "download") {
+    return {
+      content: {
+        "application/octet-stream": {
+          schema: { type: "string", format: "binary" },
+        },
+      },
+    };
+  }
+  if (!payload || method === "redirect") return {};
+
+  // res.send("text") sends HTML, objects and arrays are sent as JSON
+  const mediaType =
+    method === "send" && schema.type === "string"
+      ? "text/html"
+      : "application/json";
+  return { content: { [mediaType]: { schema } } };
+}
+
+// Pick the schema of a request field from what the code does with it,
+// falling back to the rules matching its name
+function getFieldSchema(field, ruleSet) {
+  const hints = ruleSet.getFieldHints(field.name, field.in);
+  const [first] = field.types;
+  const type = first || hints.type || "string";
+  const format = hints.format && (!hints.type || hints.type === type);
+  return { type, ...(format && { format: hints.format }) };
+}
+
+// How the type of a request field was found: the heuristic giving the
+// type getFieldSchema picks, a guess when the code tells several types
+function getFieldOrigin(field, ruleSet) {
+  const [first] = field.types;
+  const origin = first
+    ? {
+        heuristic: field.heuristics.get(first),
+        confidence: field.types.size > 1 ? "low" : "high",
+      }
+    : getHintsOrigin(ruleSet.getFieldHints(field.name, field.in), field.in);
+  return { in: field.in, name: field.name, ...origin };
+}
+
+// Fields checked by the validation of the handler are required, the
+// rules may require more
+function isFieldRequired(field, ruleSet) {
+  return (
+    field.required ||
+    ruleSet.getFieldHints(field.name, field.in).required === true
+  );
+}
+
+// Walk a handler and collect the request fields it reads, the schemas it
+// validates them with and the responses it sends
+function collectHandlerFacts(
+  handler,
+  moduleScope,
+  ruleSet,
+  resolveName,
+  prismaModels
+) {
+  const refs = new Map();
+  const parsedSources = [];
+  const fields = new Map();
+  const locals = new Map();
+  const errorNames = new Set();
+  const responses = [];
+  // res.set() calls chained to a response, which only concern that one
+  const chainedHeaderCalls = new Set();
+  let bodyUsed = false;
+
+  const [reqParam, resParam] = handler.params;
+
+  // What an expression refers to: req, res, one of the request sources
+  // (req.body, ...) or a single field of one
+  function describe(node) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case "Identifier":
+        return refs.get(node.name) || null;
+      case "ChainExpression":
+        return describe(node.expression);
+      case "AwaitExpression":
+        return describe(node.argument);
+      case "LogicalExpression":
+        // const { page } = req.query || {}
+        return node.operator === "&&" ? null : describe(node.left);
+      case "MemberExpression": {
+        const object = describe(node.object);
+        const name = getPropertyName(node);
+        if (!object || name === null) return null;
+
+        if (object.kind === "req" && REQUEST_SOURCES[name]) {
+          return { kind: "source", in: REQUEST_SOURCES[name] };
+        }
+        if (object.kind === "source") {
+          return { kind: "field", field: getField(object.in, name) };
+        }
+        return null;
+      }
+      case "CallExpression": {
+        // req.get("X-Tenant-Id"), req.header("If-Match")
+        const { callee } = node;
+        if (
+          callee.type !== "MemberExpression" ||
+          !HEADER_GETTERS.includes(getPropertyName(callee))
+        ) {
+          return null;
+        }
+        const object = describe(callee.object);
+        const name = getStaticString(node.arguments[0]);
+        return object && object.kind === "req" && name
+          ? { kind: "field", field: getField("header", name) }
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  function getField(location, name) {
+    // Header names are case-insensitive: the first spelling read is kept
+    const id = location === "header" ? name.toLowerCase() : name;
+    const key = `${location}:${id}`;
+    if (!fields.has(key)) {
+      fields.set(key, {
+        in: location,
+        name,
+        types: new Set(),
+        // Heuristic that found each type (see getFieldOrigin)
+        heuristics: new Map(),
+        required: false,
+      });
+    }
+    return fields.get(key);
+  }
+
+  // Record a type of a field, and the heuristic the code told it by
+  function addType(field, type, heuristic) {
+    field.types.add(type);
+    if (!field.heuristics.has(type)) field.heuristics.set(type, heuristic);
+  }
+
+  function describeField(node) {
+    const description = describe(node);
+    return description && description.kind === "field"
+      ? description.field
+      : null;
+  }
+
+  // Bind the names of a destructuring pattern to what they were read from
+  function bindPattern(pattern, description) {
+    if (!pattern || !description) return;
+
+    if (pattern.type === "Identifier") {
+      refs.set(pattern.name, description);
+      return;
+    }
+
+    if (pattern.type === "AssignmentPattern") {
+      // { page = 1 } also tells the type of the field
+      if (description.kind === "field") {
+        const type = getLiteralType(pattern.right);
+        if (type) addType(description.field, type, "default-value");
+      }
+      bindPattern(pattern.left, description);
+      return;
+    }
+
+    if (pattern.type !== "ObjectPattern") return;
+
+    pattern.properties.forEach((prop) => {
+      if (prop.type !== "Property") return;
+      const key = prop.computed
+        ? prop.key.type === "Literal"
+          ? String(prop.key.value)
+          : null
+        : prop.key.name || String(prop.key.value);
+      if (key === null) return;
+
+      if (description.kind === "req" && REQUEST_SOURCES[key]) {
+        bindPattern(prop.value, { kind: "source", in: REQUEST_SOURCES[key] });
+      } else if (description.kind === "source") {
+        const field = getField(description.in, key);
+        // { address: { city } } reads an object
+        const target =
+          prop.value.type === "AssignmentPattern"
+            ? prop.value.left
+            : prop.value;
+        if (target.type === "ObjectPattern") {
+          addType(field, "object", "destructuring");
+        }
+        bindPattern(prop.value, { kind: "field", field });
+      }
+    });
+  }
+
+  bindPattern(reqParam, { kind: "req" });
+  bindPattern(resParam, { kind: "res" });
+
+  // Statuses of a res.xxx() call that sends a response, following chains
+  // such as res.status(201).set(...).json(...)
+  function describeResponseCall(node) {
+    const { callee } = node;
+    if (callee.type !== "MemberExpression" || callee.computed) return null;
+
+    const method = callee.property.name;
+    if (!RESPONSE_METHODS.includes(method)) return null;
+
+    let statuses = [];
+    const headerCalls = [];
+    let current = callee.object;
+    while (
+      current.type === "CallExpression" &&
+      current.callee.type === "MemberExpression"
+    ) {
+      const name = getPropertyName(current.callee);
+      if (name === "status") {
+        statuses = getStatusCodes(current.arguments[0]);
+      } else if (Object.hasOwn(HEADER_SETTERS, name)) {
+        headerCalls.push(current);
+      }
+      current = current.callee.object;
+    }
+
+    const target = describe(current);
+    if (!target || target.kind !== "res") return null;
+    headerCalls.forEach((call) => chainedHeaderCalls.add(call));
+
+    let payload = node.arguments[0] || null;
+    if (method === "sendStatus") {
+      statuses = getStatusCodes(payload);
+      payload = null;
+    } else if (method === "redirect") {
+      const codes = node.arguments.length > 1 ? getStatusCodes(payload) : [];
+      statuses = codes.length > 0 ? codes : ["302"];
+    }
+
+    return {
+      statuses: statuses.length > 0 ? statuses : ["200"],
+      method,
+      payload,
+      headerCalls,
+    };
+  }
+
+  // Whether a branch rejects the request (error response or throw)
+  function rejectsRequest(node) {
+    let rejects = false;
+    walk.simple(node, {
+      ThrowStatement() {
+        rejects = true;
+      },
+      CallExpression(call) {
+        const response = describeResponseCall(call);
+        if (response && response.statuses.some((status) => status >= 400)) {
+          rejects = true;
+        }
+      },
+    });
+    return rejects;
+  }
+
+  // Fields whose absence is tested: !x, x === undefined, x == null
+  function getCheckedFields(test) {
+    if (test.type === "LogicalExpression" && test.operator === "||") {
+      return [...getCheckedFields(test.left), ...getCheckedFields(test.right)];
+    }
+    if (test.type === "UnaryExpression" && test.operator === "!") {
+      const field = describeField(test.argument);
+      return field ? [field] : [];
+    }
+    if (test.type === "BinaryExpression" && /^[=!]==?$/.test(test.operator)) {
+      const isMissing = (node) =>
+        (node.type === "Identifier" && node.name === "undefined") ||
+        (node.type === "Literal" && node.value === null);
+      const field = isMissing(test.right)
+        ? describeField(test.left)
+        : isMissing(test.left)
+          ? describeField(test.right)
+          : null;
+      return field && test.operator.startsWith("=") ? [field] : [];
+    }
+    return [];
+  }
+
+  walk.simple(handler.body, {
+    VariableDeclarator(node) {
+      // Remember initializers so response payloads can be traced back
+      if (node.id.type === "Identifier" && node.init) {
+        if (!locals.has(node.id.name)) locals.set(node.id.name, node.init);
+      }
+
+      const description = describe(node.init);
+      if (!description) return;
+
+      if (node.id.type === "Identifier") {
+        refs.set(node.id.name, description);
+      } else {
+        bindPattern(node.id, description);
+      }
+    },
+
+    MemberExpression(node) {
+      const description = describe(node);
+
+      // req.body used as a whole, e.g. new Todo(req.body)
+      if (description && description.kind === "source") {
+        if (description.in === "body") bodyUsed = true;
+        return;
+      }
+
+      // req.body.address.city reads an object
+      const parentField = describeField(node.object);
+      if (parentField && getPropertyName(node) !== null) {
+        const name = getPropertyName(node);
+        const type = STRING_METHODS.includes(name)
+          ? "string"
+          : ARRAY_METHODS.includes(name)
+            ? "array"
+            : "object";
+        addType(parentField, type, "member-access");
+      }
+    },
+
+    CallExpression(node) {
+      const response = describeResponseCall(node);
+      if (response) {
+        response.statuses.forEach((status) => {
+          responses.push({ ...response, status, call: node });
+        });
+        return;
+      }
+
+      // parseInt(req.params.id), Number(page), Array.isArray(tags)
+      const { callee } = node;
+      const calleeName =
+        callee.type === "Identifier"
+          ? callee.name
+          : callee.type === "MemberExpression"
+            ? getPropertyName(callee)
+            : null;
+      // createTodoSchema.parse(req.body), schema.validate(req.query)
+      const argument = describe(node.arguments[0]);
+      if (
+        PARSE_METHODS.includes(calleeName) &&
+        argument &&
+        argument.kind === "source"
+      ) {
+        parsedSources.push({ in: argument.in, schema: callee.object });
+        return;
+      }
+
+      const field = describeField(node.arguments[0]);
+      if (!field) return;
+
+      if (CONVERSION_TYPES[calleeName]) {
+        addType(field, CONVERSION_TYPES[calleeName], "conversion");
+      } else if (calleeName === "isArray") {
+        addType(field, "array", "type-check");
+      }
+    },
+
+    UnaryExpression(node) {
+      // +req.query.limit
+      const field = node.operator === "+" && describeField(node.argument);
+      if (field) addType(field, "number", "conversion");
+    },
+
+    BinaryExpression(node) {
+      // completed === true, typeof age === "number"
+      const check = (left, right) => {
+        if (left.type === "UnaryExpression" && left.operator === "typeof") {
+          const field = describeField(left.argument);
+          if (
+            field &&
+            right.type === "Literal" &&
+            TYPEOF_TYPES.includes(right.value)
+          ) {
+            addType(field, right.value, "type-check");
+          }
+          return;
+        }
+        const field = describeField(left);
+        const type = field && getLiteralType(right);
+        if (type === "boolean") addType(field, type, "comparison");
+      };
+      check(node.left, node.right);
+      check(node.right, node.left);
+    },
+
+    CatchClause(node) {
+      if (node.param && node.param.type === "Identifier") {
+        errorNames.add(node.param.name);
+      }
+    },
+
+    IfStatement(node) {
+      const checked = getCheckedFields(node.test);
+      if (checked.length > 0 && rejectsRequest(node.consequent)) {
+        checked.forEach((field) => {
+          field.required = true;
+        });
+      }
+    },
+  });
+
+  // res.set() calls made before a response is sent, which concern the
+  // responses sent after them in the same block (or a nested one)
+  const headerStatements = [];
+  walk.ancestor(handler.body, {
+    CallExpression(node, ancestors) {
+      if (chainedHeaderCalls.has(node)) return;
+      const { callee } = node;
+      if (
+        callee.type !== "MemberExpression" ||
+        !Object.hasOwn(HEADER_SETTERS, getPropertyName(callee))
+      ) {
+        return;
+      }
+      let current = callee.object;
+      while (
+        current.type === "CallExpression" &&
+        current.callee.type === "MemberExpression"
+      ) {
+        current = current.callee.object;
+      }
+      const target = describe(current);
+      if (!target || target.kind !== "res") return;
+
+      const block =
+        ancestors
+          .slice(0, -1)
+          .reverse()
+          .find((ancestor) => ancestor.type === "BlockStatement") ||
+        ancestors[0];
+      headerStatements.push({ call: node, block });
+    },
+  });
+
+  // Values declared in the handler come before those of the module
+  const resolveValue = (name) =>
+    locals.has(name)
+      ? { node: locals.get(name), resolve: resolveValue }
+      : resolveName(name);
+
+  // Models the responses refer to, by name
+  const models = {};
+
+  const inferSchema = createSchemaInferrer({
+    resolveIdentifier: (name) =>
+      locals.get(name) || (refs.has(name) ? null : moduleScope[name]) || null,
+    getRequestFieldSchema: (node) => {
+      const field = describeField(node);
+      return field ? getFieldSchema(field, ruleSet) : null;
+    },
+    isError: (node) => node.type === "Identifier" && errorNames.has(node.name),
+    getModel: (node) => {
+      const model = readModel(node, resolveValue, prismaModels);
+      if (!model) return null;
+      models[model.name] = model.schema;
+      return {
+        ref: { $ref: `#/components/schemas/${model.name}` },
+        orm: model.orm,
+      };
+    },
+  });
+
+  // Schema of a header value: headers are sent as text, numbers and
+  // booleans included
+  function getHeaderSchema(value) {
+    const schema = value ? inferSchema(value) : {};
+    return ["string", "integer", "number", "boolean"].includes(schema.type)
+      ? { type: schema.type }
+      : { type: "string" };
+  }
+
+  // Headers set by a res.set() call: res.set("ETag", tag),
+  // res.set({ "X-Total-Count": total }), res.location(url)
+  function readHeaders(call) {
+    const method = getPropertyName(call.callee);
+    const [first, second] = call.arguments;
+    if (HEADER_SETTERS[method]) {
+      return [
+        {
+          name: HEADER_SETTERS[method],
+          value: method === "location" ? first : null,
+        },
+      ];
+    }
+    if (first && first.type === "ObjectExpression") {
+      return first.properties
+        .filter((prop) => prop.type === "Property")
+        .map((prop) => ({
+          name: prop.computed
+            ? getStaticString(prop.key)
+            : prop.key.name || getStaticString(prop.key),
+          value: prop.value,
+        }))
+        .filter((header) => header.name);
+    }
+    const name = getStaticString(first);
+    return name ? [{ name, value: second || null }] : [];
+  }
+
+  responses.forEach((response) => {
+    response.schema = inferSchema(response.payload);
+
+    const { call } = response;
+    const calls = [
+      ...headerStatements
+        .filter(
+          ({ call: header, block }) =>
+            header.start < call.start &&
+            block.start <= call.start &&
+            call.end <= block.end
+        )
+        .map((statement) => statement.call),
+      ...[...response.headerCalls].reverse(),
+    ];
+    const headers = {};
+    calls.flatMap(readHeaders).forEach(({ name, value }) => {
+      if (CONTENT_HEADERS.includes(name.toLowerCase())) return;
+      const known = Object.keys(headers).find(
+        (key) => key.toLowerCase() === name.toLowerCase()
+      );
+      headers[known || name] = { schema: getHeaderSchema(value) };
+    });
+    if (Object.keys(headers).length > 0) response.headers = headers;
+  });
+
+  const validation = {};
+  parsedSources.forEach((parsed) => {
+    const schema = convertSchema(parsed.schema, resolveValue);
+    if (schema) validation[parsed.in] = schema;
+  });
+
+  return {
+    fields: [...fields.values()],
+    bodyUsed,
+    responses,
+    validation: Object.keys(validation).length > 0 ? validation : null,
+    models,
+  };
+}
+
+function getResponseDescription(statusCode) {
+  const descriptions = {
+    200: "Success",
+    201: "Created",
+    204: "No Content",
+    400: "Bad Request",
+    401: "Unauthorized",
+    403: "Forbidden",
+    404: "Not Found",
+    500: "Internal Server Error",
+  };
+  return descriptions[statusCode] || "Response";
+}
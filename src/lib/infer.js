@@ -0,0 +1,510 @@
+// Methods whose result type does not depend on what they are called on
+const METHOD_RESULT_TYPES = {
+  toString: "string",
+  toFixed: "string",
+  toLowerCase: "string",
+  toUpperCase: "string",
+  toLocaleString: "string",
+  toDateString: "string",
+  trim: "string",
+  join: "string",
+  replace: "string",
+  substring: "string",
+  padStart: "string",
+  padEnd: "string",
+  includes: "boolean",
+  some: "boolean",
+  every: "boolean",
+  startsWith: "boolean",
+  endsWith: "boolean",
+  test: "boolean",
+  has: "boolean",
+  indexOf: "integer",
+  findIndex: "integer",
+  push: "integer",
+  unshift: "integer",
+  getTime: "integer",
+  countDocuments: "integer",
+  estimatedDocumentCount: "integer",
+};
+
+// Array methods returning one of the items / a subset of the array
+const ITEM_METHODS = ["find", "findLast", "at", "pop", "shift"];
+const SUBSET_METHODS = [
+  "filter",
+  "slice",
+  "concat",
+  "sort",
+  "reverse",
+  "splice",
+];
+
+// Query methods of ORM models (Todo.find(), User.findById(id), ...)
+const MODEL_LIST_METHODS = ["find", "findAll", "findMany"];
+const MODEL_ITEM_METHODS = [
+  "findById",
+  "findOne",
+  "findByPk",
+  "findUnique",
+  "findFirst",
+  "create",
+  "findByIdAndUpdate",
+  "findOneAndUpdate",
+  "findByIdAndDelete",
+];
+
+// Query methods of the models whose schema is known, by ORM (see
+// models.js): those returning a list of records, a single record and a
+// count
+const MODEL_QUERY_METHODS = {
+  mongoose: {
+    list: ["find"],
+    item: [
+      "findById",
+      "findOne",
+      "create",
+      "findByIdAndUpdate",
+      "findOneAndUpdate",
+      "findOneAndReplace",
+      "findByIdAndDelete",
+      "findOneAndDelete",
+    ],
+    count: ["countDocuments", "estimatedDocumentCount"],
+  },
+  sequelize: {
+    list: ["findAll", "bulkCreate"],
+    item: ["findByPk", "findOne", "create", "build"],
+    count: ["count"],
+  },
+  prisma: {
+    list: ["findMany"],
+    item: [
+      "findUnique",
+      "findUniqueOrThrow",
+      "findFirst",
+      "findFirstOrThrow",
+      "create",
+      "update",
+      "upsert",
+      "delete",
+    ],
+    count: ["count"],
+  },
+  typeorm: {
+    list: ["find", "findBy"],
+    item: [
+      "findOne",
+      "findOneBy",
+      "findOneOrFail",
+      "findOneByOrFail",
+      "create",
+      "save",
+      "preload",
+      "remove",
+    ],
+    count: ["count", "countBy"],
+  },
+};
+
+// Prisma queries returning the count of the records they changed
+const PRISMA_BATCH_METHODS = ["createMany", "updateMany", "deleteMany"];
+
+// Query and document methods returning the documents they are called on:
+// Todo.find().sort(...), todo.save()
+const DOCUMENT_METHODS = [
+  "sort",
+  "limit",
+  "skip",
+  "select",
+  "populate",
+  "lean",
+  "exec",
+  "save",
+  "toObject",
+  "toJSON",
+  "reload",
+  "update",
+  "get",
+];
+
+// Global functions and static methods with a known result
+const GLOBAL_RESULT_SCHEMAS = {
+  String: { type: "string" },
+  Number: { type: "number" },
+  parseFloat: { type: "number" },
+  parseInt: { type: "integer" },
+  Boolean: { type: "boolean" },
+  Array: { type: "array", items: {} },
+  Date: { type: "string", format: "date-time" },
+  "Date.now": { type: "integer" },
+  "JSON.stringify": { type: "string" },
+  "Object.keys": { type: "array", items: { type: "string" } },
+  "Promise.all": { type: "array", items: {} },
+  "process.uptime": { type: "number" },
+  "Math.floor": { type: "integer" },
+  "Math.ceil": { type: "integer" },
+  "Math.round": { type: "integer" },
+  "Math.trunc": { type: "integer" },
+};
+
+const COMPARISON_OPERATORS = [
+  "==",
+  "!=",
+  "===",
+  "!==",
+  "<",
+  "<=",
+  ">",
+  ">=",
+  "instanceof",
+  "in",
+];
+
+// Properties of a caught error that are always strings
+const ERROR_STRING_PROPERTIES = ["message", "name", "stack"];
+
+function getMemberName(node) {
+  if (!node.computed && node.property.type === "Identifier") {
+    return node.property.name;
+  }
+  if (node.property.type === "Literal") {
+    return String(node.property.value);
+  }
+  return null;
+}
+
+// "Math.floor" for Math.floor(...), "parseInt" for parseInt(...)
+function getCalleeName(callee) {
+  if (callee.type === "Identifier") return callee.name;
+  if (
+    callee.type === "MemberExpression" &&
+    callee.object.type === "Identifier" &&
+    getMemberName(callee) !== null
+  ) {
+    return `${callee.object.name}.${getMemberName(callee)}`;
+  }
+  return null;
+}
+
+function isEmptySchema(schema) {
+  return Object.keys(schema).length === 0;
+}
+
+function isNullLiteral(node) {
+  return node.type === "Literal" && node.value === null && !node.regex;
+}
+
+// Schema of a value that may also be null (age || null). Values of an
+// unknown type may already be anything; a $ref cannot take nullable in
+// OpenAPI 3.0 and is wrapped instead.
+function makeNullable(schema) {
+  if (isEmptySchema(schema)) return schema;
+  if (schema.$ref) return { allOf: [schema], nullable: true };
+  return { ...schema, nullable: true };
+}
+
+// Combine two schemas describing the same value: object properties are
+// united, otherwise the first informative schema wins
+export function mergeSchemas(first, second) {
+  if (isEmptySchema(first)) return second;
+  if (
+    first.type === "object" &&
+    second.type === "object" &&
+    (first.properties || second.properties)
+  ) {
+    const properties = { ...first.properties };
+    Object.entries(second.properties || {}).forEach(([key, schema]) => {
+      properties[key] = properties[key]
+        ? mergeSchemas(properties[key], schema)
+        : schema;
+    });
+    return { ...first, properties };
+  }
+  return first;
+}
+
+// Refine an inferred schema with the declared type of the same value (see
+// typescript.js). The declared schema gives what inference cannot tell:
+// required and optional properties, enums, descriptions. Inference keeps
+// model references, integers and string formats, which types do not have.
+export function refineSchema(inferred, declared) {
+  if (isEmptySchema(inferred) || inferred.type === undefined) {
+    return inferred.$ref ? inferred : declared;
+  }
+  if (inferred.type === "object" && declared.type === "object") {
+    const properties = { ...declared.properties };
+    Object.entries(inferred.properties || {}).forEach(([key, schema]) => {
+      properties[key] = properties[key]
+        ? refineSchema(schema, properties[key])
+        : schema;
+    });
+    return {
+      ...declared,
+      ...inferred,
+      ...(Object.keys(properties).length > 0 && { properties }),
+      ...(declared.required && { required: declared.required }),
+    };
+  }
+  if (inferred.type === "array" && declared.type === "array") {
+    return {
+      ...declared,
+      ...inferred,
+      items: refineSchema(inferred.items || {}, declared.items || {}),
+    };
+  }
+  if (
+    inferred.type === declared.type ||
+    (inferred.type === "integer" && declared.type === "number")
+  ) {
+    return { ...declared, ...inferred };
+  }
+  // The inference guessed wrong
+  return declared;
+}
+
+// Build a schema inferrer for the expressions of one handler. The context
+// links the expressions to the rest of the code:
+// - resolveIdentifier(name): the initializer a variable was declared with
+// - getRequestFieldSchema(node): schema of a req.body/query/params field
+// - isError(node): whether the node is a caught error
+// - getModel(node): { ref, orm } of the model a node names, if its schema
+//   is known (see models.js). ref is the { $ref } of the schema.
+export function createSchemaInferrer(context) {
+  const {
+    resolveIdentifier,
+    getRequestFieldSchema,
+    isError,
+    getModel = () => null,
+  } = context;
+  const resolving = new Set();
+
+  // Result of a query method of a known model, null for other methods
+  function inferModelQuery({ ref, orm }, method) {
+    const methods = MODEL_QUERY_METHODS[orm];
+    if (methods.list.includes(method)) return { type: "array", items: ref };
+    if (methods.item.includes(method)) return ref;
+    if (methods.count.includes(method)) return { type: "integer" };
+
+    // Todo.findAndCountAll() gives { count, rows }
+    if (orm === "sequelize" && method === "findAndCountAll") {
+      return {
+        type: "object",
+        properties: {
+          count: { type: "integer" },
+          rows: { type: "array", items: ref },
+        },
+      };
+    }
+    // prisma.todo.deleteMany() gives { count }
+    if (orm === "prisma" && PRISMA_BATCH_METHODS.includes(method)) {
+      return { type: "object", properties: { count: { type: "integer" } } };
+    }
+    return null;
+  }
+
+  function inferCall(node) {
+    const { callee } = node;
+    const calleeName = getCalleeName(callee);
+
+    if (calleeName && GLOBAL_RESULT_SCHEMAS[calleeName]) {
+      return { ...GLOBAL_RESULT_SCHEMAS[calleeName] };
+    }
+    if (calleeName && calleeName.startsWith("Math.")) {
+      return { type: "number" };
+    }
+    if (callee.type !== "MemberExpression") return {};
+
+    const method = getMemberName(callee);
+
+    // Todo.find(), prisma.todo.findMany() on a model whose schema is known
+    const model = getModel(callee.object);
+    const result = model && inferModelQuery(model, method);
+    if (result) return result;
+
+    const target = infer(callee.object);
+    const items = target.type === "array" ? target.items || {} : {};
+    if (DOCUMENT_METHODS.includes(method) && (target.$ref || items.$ref)) {
+      return target;
+    }
+
+    if (method === "toISOString" || method === "toJSON") {
+      return { type: "string", format: "date-time" };
+    }
+    if (METHOD_RESULT_TYPES[method]) {
+      return { type: METHOD_RESULT_TYPES[method] };
+    }
+
+    if (target.type === "array" && ITEM_METHODS.includes(method)) {
+      return target.items || {};
+    }
+    if (target.type === "array" && SUBSET_METHODS.includes(method)) {
+      return target;
+    }
+    if (isEmptySchema(target) && MODEL_LIST_METHODS.includes(method)) {
+      return { type: "array", items: { type: "object" } };
+    }
+    if (isEmptySchema(target) && MODEL_ITEM_METHODS.includes(method)) {
+      return { type: "object" };
+    }
+    if (method === "map") {
+      // users.map((u) => ({ id: u.id }))
+      const [callback] = node.arguments;
+      const items =
+        callback &&
+        callback.type === "ArrowFunctionExpression" &&
+        callback.body.type !== "BlockStatement"
+          ? infer(callback.body)
+          : {};
+      return { type: "array", items };
+    }
+    return {};
+  }
+
+  function inferMember(node) {
+    const name = getMemberName(node);
+    if (name === null) return {};
+    if (name === "length") return { type: "integer" };
+    if (ERROR_STRING_PROPERTIES.includes(name) && isError(node.object)) {
+      return { type: "string" };
+    }
+
+    const target = infer(node.object);
+    if (target.properties && target.properties[name]) {
+      return target.properties[name];
+    }
+    if (target.type === "array" && /^\d+$/.test(name)) {
+      return target.items || {};
+    }
+    return {};
+  }
+
+  function infer(node) {
+    if (!node) return {};
+
+    // age || null, req.body.age ?? null: the value, or null
+    if (node.type === "LogicalExpression" && isNullLiteral(node.right)) {
+      return makeNullable(infer(node.left));
+    }
+
+    const fieldSchema = getRequestFieldSchema(node);
+    if (fieldSchema) return fieldSchema;
+
+    switch (node.type) {
+      case "Literal":
+        if (typeof node.value === "string") return { type: "string" };
+        if (typeof node.value === "boolean") return { type: "boolean" };
+        if (typeof node.value === "number") {
+          return { type: Number.isInteger(node.value) ? "integer" : "number" };
+        }
+        return node.regex ? { type: "string" } : {};
+
+      case "TemplateLiteral":
+        return { type: "string" };
+
+      case "ObjectExpression": {
+        let schema = { type: "object", properties: {} };
+        node.properties.forEach((prop) => {
+          if (prop.type === "SpreadElement") {
+            // { ...user, name } keeps the properties of user
+            schema = mergeSchemas(
+              { type: "object", properties: {} },
+              mergeSchemas(infer(prop.argument), schema)
+            );
+            return;
+          }
+          if (prop.computed && prop.key.type !== "Literal") return;
+          const key = prop.key.name || String(prop.key.value);
+          schema.properties[key] = infer(prop.value);
+        });
+        return schema;
+      }
+
+      case "ArrayExpression": {
+        const items = node.elements
+          .filter((element) => element && element.type !== "SpreadElement")
+          .map(infer)
+          .reduce(mergeSchemas, {});
+        return { type: "array", items };
+      }
+
+      case "Identifier": {
+        if (node.name === "undefined" || resolving.has(node.name)) return {};
+
+        const init = resolveIdentifier(node.name);
+        if (!init) return {};
+
+        resolving.add(node.name);
+        const schema = infer(init);
+        resolving.delete(node.name);
+        return schema;
+      }
+
+      case "AwaitExpression":
+        return infer(node.argument);
+
+      case "ChainExpression":
+      case "ParenthesizedExpression":
+        return infer(node.expression);
+
+      case "LogicalExpression": {
+        // age || null, name ?? "anonymous"
+        const left = infer(node.left);
+        return isEmptySchema(left) ? infer(node.right) : left;
+      }
+
+      case "ConditionalExpression": {
+        // user ? user.name : null
+        if (isNullLiteral(node.alternate)) {
+          return makeNullable(infer(node.consequent));
+        }
+        if (isNullLiteral(node.consequent)) {
+          return makeNullable(infer(node.alternate));
+        }
+        const consequent = infer(node.consequent);
+        return isEmptySchema(consequent) ? infer(node.alternate) : consequent;
+      }
+
+      case "UnaryExpression":
+        if (node.operator === "!") return { type: "boolean" };
+        if (node.operator === "typeof") return { type: "string" };
+        if (node.operator === "-" || node.operator === "+") {
+          return { type: "number" };
+        }
+        return {};
+
+      case "BinaryExpression": {
+        if (COMPARISON_OPERATORS.includes(node.operator)) {
+          return { type: "boolean" };
+        }
+        if (node.operator === "+") {
+          const left = infer(node.left);
+          const right = infer(node.right);
+          if (left.type === "string" || right.type === "string") {
+            return { type: "string" };
+          }
+        }
+        return { type: "number" };
+      }
+
+      case "NewExpression": {
+        if (node.callee.type === "Identifier" && node.callee.name === "Date") {
+          return { type: "string", format: "date-time" };
+        }
+        // new Todo(req.body)
+        const model = getModel(node.callee);
+        return model ? model.ref : {};
+      }
+
+      case "CallExpression":
+        return inferCall(node);
+
+      case "MemberExpression":
+        return inferMember(node);
+
+      default:
+        return {};
+    }
+  }
+
+  return infer;
+}
@@ -0,0 +1,355 @@
+import yaml from "js-yaml";
+
+// Comments meant for other tools are not documentation
+const DIRECTIVE_PATTERN =
+  /^\s*(eslint|global|jshint|prettier-ignore|istanbul|c8|@ts-|#)/;
+
+// "GET /api/users/:id - Get user by ID" repeats the route before the
+// summary. Only an upper-case method followed by a path is a route, not
+// "Get user by ID".
+const ROUTE_PREFIX_PATTERN =
+  /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+\/\S*\s*(-+|:|–)?\s*/;
+
+const PARAM_LOCATIONS = ["path", "query", "header", "cookie", "body"];
+
+const PRIMITIVE_TYPES = ["string", "number", "integer", "boolean", "object"];
+
+// Whether a comment starts with the route it documents
+export function startsWithRoute(text) {
+  return ROUTE_PREFIX_PATTERN.test(text);
+}
+
+// Schema of a JSDoc type: {integer}, {User}, {User[]}, {Array<string>}
+export function parseDocType(type) {
+  const text = (type || "").trim();
+  if (!text || text === "*" || /^any$/i.test(text)) return {};
+
+  const list = text.match(/^(.+)\[\]$/) || text.match(/^Array<(.+)>$/i);
+  if (list) return { type: "array", items: parseDocType(list[1]) };
+  if (/^array$/i.test(text)) return { type: "array", items: {} };
+
+  const primitive = text.toLowerCase();
+  if (PRIMITIVE_TYPES.includes(primitive)) return { type: primitive };
+  if (primitive === "date") return { type: "string", format: "date-time" };
+
+  return { $ref: `#/components/schemas/${text}` };
+}
+
+// Split "{type} rest" into the type and what follows it
+function readType(text) {
+  const match = text.match(/^\{([^}]*)\}\s*(.*)$/s);
+  return match ? [match[1], match[2]] : [null, text];
+}
+
+// Remove the "- " that JSDoc puts before descriptions
+function readDescription(text) {
+  return text.replace(/^-\s*/, "").trim();
+}
+
+// Default values are written as text: [page=1]
+function parseDefault(value, type) {
+  if ((type === "integer" || type === "number") && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === "boolean") return value === "true";
+  return value.replace(/^["']|["']$/g, "");
+}
+
+// Whether a schema refers to a named one: {User}, {User[]}
+function refersToSchema(schema) {
+  return Boolean(schema.$ref || (schema.items && refersToSchema(schema.items)));
+}
+
+// @param {integer} [query.page=1] - Page number
+function parseParamTag(text) {
+  const [type, rest] = readType(text);
+  const match = rest.match(/^(\[[^\]]+\]|\S+)\s*(.*)$/s);
+  if (!match) return null;
+
+  const optional = match[1].startsWith("[");
+  const [target, defaultValue] = match[1].replace(/^\[|\]$/g, "").split("=");
+  const [first, ...others] = target.split(".");
+  const location = others.length > 0 && PARAM_LOCATIONS.includes(first);
+
+  // Only body properties are objects: {Request} or {Options} of another
+  // parameter names no schema of the document
+  const parsed = parseDocType(type);
+  const schema =
+    refersToSchema(parsed) && !(location && first === "body") ? {} : parsed;
+  if (defaultValue !== undefined) {
+    schema.default = parseDefault(defaultValue, schema.type);
+  }
+
+  return {
+    name: location ? others.join(".") : target,
+    in: location ? first : null,
+    required: !optional,
+    schema,
+    description: readDescription(match[2]),
+  };
+}
+
+// @response 200 {User} The user
+function parseResponseTag(text) {
+  const match = text.match(/^(\d{3}|default)\s*(.*)$/s);
+  if (!match) return null;
+
+  const [type, rest] = readType(match[2]);
+  return {
+    status: match[1],
+    schema: type === null ? null : parseDocType(type),
+    description: readDescription(rest),
+  };
+}
+
+// Parse the text of a doc comment. Free text before the tags is the
+// summary (first line) and the description (the rest). Returns null when
+// the comment documents nothing. What is ignored, such as an @openapi
+// block that is not valid YAML, goes to problem(message).
+export function parseDocComment(text, problem = () => {}) {
+  if (!text || DIRECTIVE_PATTERN.test(text)) return null;
+
+  const doc = { params: [], responses: {} };
+  const free = [];
+  const tags = [];
+
+  text.split("\n").forEach((line) => {
+    const tag = line.trim().match(/^@(\w+)\s*(.*)$/);
+    if (tag) {
+      tags.push({ name: tag[1], lines: [tag[2]] });
+    } else if (tags.length > 0) {
+      tags[tags.length - 1].lines.push(line);
+    } else {
+      free.push(line.trim());
+    }
+  });
+
+  const [firstLine = "", ...otherLines] = free.join("\n").trim().split("\n");
+  const summary = firstLine.replace(ROUTE_PREFIX_PATTERN, "").trim();
+  if (summary) doc.summary = summary;
+  if (otherLines.join("\n").trim()) {
+    doc.description = otherLines.join("\n").trim();
+  }
+
+  tags.forEach(({ name, lines }) => {
+    // @openapi keeps its lines (YAML), other tags are folded into one line
+    const value =
+      name === "openapi"
+        ? lines.slice(1).join("\n")
+        : lines
+            .map((line) => line.trim())
+            .join(" ")
+            .trim();
+
+    if (name === "summary" && value) {
+      doc.summary = value;
+    } else if (name === "description" && value) {
+      doc.description = value;
+    } else if (name === "tags" || name === "tag") {
+      doc.tags = [...(doc.tags || []), ...value.split(/[\s,]+/)].filter(
+        Boolean
+      );
+    } else if (name === "deprecated") {
+      doc.deprecated = true;
+    } else if (name === "param") {
+      const param = parseParamTag(value);
+      if (param) doc.params.push(param);
+    } else if (name === "body") {
+      const [type, rest] = readType(value);
+      doc.body = {
+        schema: parseDocType(type),
+        description: readDescription(rest),
+      };
+    } else if (name === "response" || name === "returns") {
+      const response = parseResponseTag(value);
+      if (response) doc.responses[response.status] = response;
+    } else if (name === "openapi") {
+      try {
+        const operation = yaml.load(value);
+        if (operation && typeof operation === "object") {
+          doc.operation = operation;
+        }
+      } catch (error) {
+        problem(
+          `@openapi is not valid YAML, it was ignored: ${error.reason || error.message}`
+        );
+      }
+    }
+  });
+
+  const documented =
+    Object.keys(doc).length > 2 ||
+    doc.params.length > 0 ||
+    Object.keys(doc.responses).length > 0;
+  return documented ? doc : null;
+}
+
+// @param req, @param res and @param next describe the arguments of a
+// handler function, not its request. Docs are copied.
+export function omitHandlerParams(doc, handler) {
+  if (!doc || !handler || !handler.params) return doc;
+  const names = handler.params
+    .map((param) => (param.type === "AssignmentPattern" ? param.left : param))
+    .filter((param) => param.type === "Identifier")
+    .map((param) => param.name);
+  return {
+    ...doc,
+    params: doc.params.filter(
+      (param) => param.in || !names.includes(param.name)
+    ),
+  };
+}
+
+// Combine the doc of a handler function with the doc of its route: the
+// route comment wins
+export function mergeDocs(base, override) {
+  if (!base || !override) return base || override;
+  return {
+    ...base,
+    ...override,
+    params: [...base.params, ...override.params],
+    responses: { ...base.responses, ...override.responses },
+  };
+}
+
+function applyParams(route, params) {
+  const parameters = [...route.parameters];
+  let { requestBody, fields = [] } = route;
+
+  params.forEach(({ name, in: location, required, schema, description }) => {
+    const pathParam = parameters.find(
+      (p) => p.in === "path" && p.name === name
+    );
+    // Without a location, only path parameters are known by their name
+    const where = location || (pathParam ? "path" : null);
+    if (!where) return;
+
+    // A documented type is the one of the field
+    if (Object.keys(schema).length > 0) {
+      const field = {
+        in: where,
+        name,
+        heuristic: "doc-comment",
+        confidence: "high",
+      };
+      fields = fields.some((f) => f.in === where && f.name === name)
+        ? fields.map((f) => (f.in === where && f.name === name ? field : f))
+        : [...fields, field];
+    }
+
+    // @param body.title documents a property of the request body
+    if (where === "body") {
+      const media = requestBody && requestBody.content["application/json"];
+      const bodySchema = { type: "object", ...(media && media.schema) };
+      const requiredFields = (bodySchema.required || []).filter(
+        (field) => field !== name
+      );
+      if (required) requiredFields.push(name);
+
+      const nextSchema = {
+        ...bodySchema,
+        properties: {
+          ...bodySchema.properties,
+          [name]: {
+            ...(bodySchema.properties && bodySchema.properties[name]),
+            ...schema,
+            ...(description && { description }),
+          },
+        },
+      };
+      delete nextSchema.required;
+      if (requiredFields.length > 0) nextSchema.required = requiredFields;
+
+      requestBody = {
+        ...requestBody,
+        required: true,
+        content: {
+          ...(requestBody && requestBody.content),
+          "application/json": { ...media, schema: nextSchema },
+        },
+      };
+      return;
+    }
+
+    const index = parameters.findIndex(
+      (p) => p.in === where && p.name === name
+    );
+    const existing = index >= 0 ? parameters[index] : null;
+    const parameter = {
+      name,
+      in: where,
+      required: where === "path" || required,
+      ...(description && { description }),
+      schema: { ...(existing && existing.schema), ...schema },
+    };
+    if (!parameter.schema.type && !parameter.schema.$ref) {
+      parameter.schema.type = "string";
+    }
+
+    if (existing) {
+      parameters[index] = parameter;
+    } else {
+      parameters.push(parameter);
+    }
+  });
+
+  return { parameters, requestBody, fields };
+}
+
+function applyBody(requestBody, body) {
+  return {
+    ...(body.description && { description: body.description }),
+    required: true,
+    content: {
+      ...(requestBody && requestBody.content),
+      "application/json": { schema: body.schema },
+    },
+  };
+}
+
+function applyResponses(responses, documented) {
+  const result = { ...responses };
+  Object.values(documented).forEach(({ status, schema, description }) => {
+    const existing = result[status] || {};
+    result[status] = {
+      ...existing,
+      description: description || existing.description || "Response",
+      ...(schema && {
+        content: { "application/json": { schema } },
+      }),
+    };
+  });
+  return result;
+}
+
+// Apply the doc of a route to what the handler analysis found. The route
+// is copied, analyses shared by several routes are left untouched.
+export function applyDoc(route, doc) {
+  if (!doc) return route;
+
+  const { parameters, requestBody, fields } = applyParams(route, doc.params);
+  const bodySchema = doc.body ? doc.body.schema : null;
+  return {
+    ...route,
+    parameters,
+    // A documented body replaces the fields the analysis found
+    fields: bodySchema
+      ? [
+          ...fields.filter((field) => field.in !== "body"),
+          ...Object.keys(bodySchema.properties || {}).map((name) => ({
+            in: "body",
+            name,
+            heuristic: "doc-comment",
+            confidence: "high",
+          })),
+        ]
+      : fields,
+    requestBody: doc.body ? applyBody(requestBody, doc.body) : requestBody,
+    responses: applyResponses(route.responses, doc.responses),
+    ...(doc.summary && { summary: doc.summary }),
+    ...(doc.description && { description: doc.description }),
+    ...(doc.tags && { tags: doc.tags }),
+    ...(doc.deprecated && { deprecated: true }),
+    ...(doc.operation && { operation: doc.operation }),
+  };
+}
@@ -0,0 +1,956 @@
+import * as walk from "acorn-walk";
+import { getStaticString } from "./analyzer.js";
+import {
+  lookup,
+  getPropertyKey,
+  readValue,
+  readPattern,
+  setEnum,
+  getValueType,
+} from "./values.js";
+
+// Guards against names whose value refers back to themselves
+const MAX_RESOLVE_DEPTH = 20;
+
+const OBJECT_ID_SCHEMA = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+const DATE_TIME_SCHEMA = { type: "string", format: "date-time" };
+
+// Schemas of the mongoose SchemaTypes, by name
+const SCHEMA_TYPES = {
+  String: { type: "string" },
+  Number: { type: "number" },
+  Boolean: { type: "boolean" },
+  Date: DATE_TIME_SCHEMA,
+  Buffer: { type: "string", format: "binary" },
+  ObjectId: OBJECT_ID_SCHEMA,
+  UUID: { type: "string", format: "uuid" },
+  Decimal128: { type: "number" },
+  BigInt: { type: "integer" },
+  Int32: { type: "integer" },
+  Double: { type: "number" },
+  Map: { type: "object" },
+  Array: { type: "array", items: {} },
+  Mixed: {},
+  Object: {},
+};
+
+// Model schemas converted so far, by the node declaring them
+const convertedSchemas = new WeakMap();
+
+// Name of a function or constructor: model, mongoose.model, Sequelize.Model
+function getName(node) {
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && !node.computed) {
+    return node.property.name;
+  }
+  return null;
+}
+
+function readOnly(schema) {
+  return { ...schema, readOnly: true };
+}
+
+// SchemaType a node names: String, Schema.Types.ObjectId, "Number", ...
+function getTypeName(node) {
+  let name = getName(node);
+  const text = getStaticString(node);
+  if (text) name = text.charAt(0).toUpperCase() + text.slice(1);
+  return lookup(SCHEMA_TYPES, name) ? name : null;
+}
+
+// new Schema(...) / new mongoose.Schema(...)
+function isSchemaConstructor(node) {
+  if (node.type !== "NewExpression" && node.type !== "CallExpression") {
+    return false;
+  }
+  return getName(node.callee) === "Schema";
+}
+
+// Follow names to the value they are declared with
+function resolveNode(node, resolve, depth = 0) {
+  if (!node || node.type !== "Identifier" || depth > MAX_RESOLVE_DEPTH) {
+    return { node, resolve };
+  }
+  const resolved = resolve(node.name);
+  return resolved
+    ? resolveNode(resolved.node, resolved.resolve, depth + 1)
+    : { node: null, resolve };
+}
+
+// Apply the options of a { type: ..., required, enum, ... } path
+function convertPathOptions(node, resolve, depth) {
+  const options = {};
+  node.properties.forEach((prop) => {
+    const key = getPropertyKey(prop);
+    if (key !== null) options[key] = prop.value;
+  });
+  const read = (key) => readValue(options[key], resolve);
+
+  let { schema } = convertPath(options.type, resolve, depth);
+
+  // { type: Map, of: Number }
+  if (options.of && schema.type === "object") {
+    schema = {
+      ...schema,
+      additionalProperties: convertPath(options.of, resolve, depth).schema,
+    };
+  }
+
+  // enum: [...] or { values: [...] }, on the items of arrays
+  const enumOption = read("enum");
+  const values = Array.isArray(enumOption)
+    ? enumOption
+    : enumOption && enumOption.values;
+  schema =
+    schema.type === "array"
+      ? { ...schema, items: setEnum(schema.items, values) }
+      : setEnum(schema, values);
+
+  const bounds = {
+    min: "minimum",
+    max: "maximum",
+    minlength: "minLength",
+    minLength: "minLength",
+    maxlength: "maxLength",
+    maxLength: "maxLength",
+  };
+  Object.entries(bounds).forEach(([option, keyword]) => {
+    const value = read(option);
+    if (typeof value === "number") schema = { ...schema, [keyword]: value };
+  });
+
+  // match: /regexp/ or [/regexp/, "message"]
+  const match =
+    options.match && options.match.type === "ArrayExpression"
+      ? options.match.elements[0]
+      : options.match;
+  const pattern = readPattern(match);
+  if (pattern) schema = { ...schema, pattern };
+
+  // default: Date.now and other functions are left out
+  const defaultValue = read("default");
+  if (defaultValue !== undefined && defaultValue !== null) {
+    schema = { ...schema, default: defaultValue };
+  }
+
+  // Documents reference others by id: { type: ObjectId, ref: "User" }
+  const ref = read("ref");
+  if (typeof ref === "string") {
+    schema = { ...schema, description: `${ref} id` };
+  }
+
+  // select: false keeps the path out of query results
+  if (read("select") === false) schema = { ...schema, writeOnly: true };
+
+  // required: true or [true, "message"]; functions make it conditional
+  const required = read("required");
+  return {
+    schema,
+    required:
+      required === true || (Array.isArray(required) && required[0] === true),
+  };
+}
+
+// Convert the definition of one path: String, [String], a
+// { type: String, required: true } object, a nested object or a
+// subdocument schema
+function convertPath(node, resolve, depth = 0) {
+  const unknown = { schema: {}, required: false };
+  if (!node || depth > MAX_RESOLVE_DEPTH) return unknown;
+
+  const typeName = getTypeName(node);
+  if (typeName) {
+    return { schema: { ...SCHEMA_TYPES[typeName] }, required: false };
+  }
+
+  if (node.type === "Identifier") {
+    const resolved = resolve(node.name);
+    return resolved
+      ? convertPath(resolved.node, resolved.resolve, depth + 1)
+      : unknown;
+  }
+  if (isSchemaConstructor(node)) {
+    return { schema: convertSchema(node, resolve, depth), required: false };
+  }
+  if (node.type === "ArrayExpression") {
+    const [item] = node.elements;
+    return {
+      schema: {
+        type: "array",
+        items: item ? convertPath(item, resolve, depth).schema : {},
+      },
+      required: false,
+    };
+  }
+  if (node.type === "ObjectExpression") {
+    const hasType = node.properties.some(
+      (prop) => getPropertyKey(prop) === "type"
+    );
+    return hasType
+      ? convertPathOptions(node, resolve, depth)
+      : { schema: convertFields(node, resolve, depth), required: false };
+  }
+  return unknown;
+}
+
+// Object schema of the paths of a schema definition
+function convertFields(node, resolve, depth) {
+  const definition = resolveNode(node, resolve);
+  const properties = {};
+  const required = [];
+
+  if (definition.node && definition.node.type === "ObjectExpression") {
+    definition.node.properties.forEach((prop) => {
+      const key = getPropertyKey(prop);
+      // _id: false in nested objects
+      if (key === null || prop.value.type === "Literal") return;
+
+      const path = convertPath(prop.value, definition.resolve, depth + 1);
+      properties[key] = path.schema;
+      if (path.required) required.push(key);
+    });
+  }
+
+  return {
+    type: "object",
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+}
+
+// Convert a new Schema(definition, options) call. Documents also have
+// an _id, the timestamps and the version key the options ask for.
+function convertSchema(node, resolve, depth = 0) {
+  if (convertedSchemas.has(node)) return convertedSchemas.get(node);
+
+  const [definition, optionsNode] = node.arguments;
+  const options = readValue(optionsNode, resolve) || {};
+  const fields = convertFields(definition, resolve, depth);
+
+  const properties = {
+    ...(options._id !== false && { _id: readOnly(OBJECT_ID_SCHEMA) }),
+    ...fields.properties,
+  };
+
+  // timestamps: true, or { createdAt: "created_at", updatedAt: false }
+  const { timestamps } = options;
+  if (timestamps) {
+    ["createdAt", "updatedAt"].forEach((name) => {
+      const option = timestamps === true ? true : timestamps[name];
+      if (option === false) return;
+      properties[typeof option === "string" ? option : name] = readOnly(
+        SCHEMA_TYPES.Date
+      );
+    });
+  }
+
+  // versionKey: false, or the name of the key
+  if (options.versionKey !== false) {
+    const versionKey =
+      typeof options.versionKey === "string" ? options.versionKey : "__v";
+    properties[versionKey] = readOnly({ type: "integer" });
+  }
+
+  const schema = { ...fields, properties };
+  convertedSchemas.set(node, schema);
+  return schema;
+}
+
+// Schemas of the Sequelize DataTypes, by name. BIGINT and DECIMAL
+// columns are read as strings, to keep their precision.
+const SEQUELIZE_TYPES = {
+  STRING: { type: "string" },
+  CHAR: { type: "string" },
+  TEXT: { type: "string" },
+  CITEXT: { type: "string" },
+  UUID: { type: "string", format: "uuid" },
+  INTEGER: { type: "integer" },
+  SMALLINT: { type: "integer" },
+  MEDIUMINT: { type: "integer" },
+  TINYINT: { type: "integer" },
+  BIGINT: { type: "string", format: "int64" },
+  DECIMAL: { type: "string", format: "decimal" },
+  NUMERIC: { type: "string", format: "decimal" },
+  FLOAT: { type: "number" },
+  REAL: { type: "number" },
+  DOUBLE: { type: "number" },
+  BOOLEAN: { type: "boolean" },
+  DATE: DATE_TIME_SCHEMA,
+  DATEONLY: { type: "string", format: "date" },
+  TIME: { type: "string" },
+  JSON: {},
+  JSONB: {},
+  BLOB: { type: "string", format: "binary" },
+  ENUM: { type: "string" },
+  ARRAY: { type: "array", items: {} },
+  VIRTUAL: {},
+  INET: { type: "string" },
+  CIDR: { type: "string" },
+  MACADDR: { type: "string" },
+};
+
+// Sequelize validators giving a string format
+const SEQUELIZE_FORMATS = { isEmail: "email", isUrl: "uri", isUUID: "uuid" };
+
+// Read a Sequelize data type: DataTypes.STRING, STRING(100),
+// DataTypes.ENUM("a", "b"), DataTypes.ARRAY(DataTypes.INTEGER), ...
+function convertDataType(node, resolve, depth = 0) {
+  if (!node || depth > MAX_RESOLVE_DEPTH) return {};
+
+  if (node.type === "CallExpression") {
+    const name = getName(node.callee);
+    const args = node.arguments;
+    let schema = convertDataType(node.callee, resolve, depth + 1);
+    if (name === "ARRAY" || name === "VIRTUAL") {
+      const inner = convertDataType(args[0], resolve, depth + 1);
+      return name === "ARRAY" ? { ...schema, items: inner } : inner;
+    }
+    if (name === "ENUM") {
+      // ENUM("a", "b"), ENUM(...PRIORITIES) or ENUM({ values: [...] })
+      const values = args.map((arg) =>
+        arg.type === "SpreadElement"
+          ? readValue(arg.argument, resolve)
+          : readValue(arg, resolve)
+      );
+      const [first] = values;
+      if (first && Array.isArray(first.values)) {
+        return setEnum(schema, first.values);
+      }
+      return values.includes(undefined)
+        ? schema
+        : setEnum(schema, values.flat());
+    }
+    const length = readValue(args[0], resolve);
+    if ((name === "STRING" || name === "CHAR") && typeof length === "number") {
+      schema = { ...schema, maxLength: length };
+    }
+    return schema;
+  }
+
+  const name = getName(node);
+  if (lookup(SEQUELIZE_TYPES, name)) return { ...SEQUELIZE_TYPES[name] };
+  // DataTypes.INTEGER.UNSIGNED
+  if (node.type === "MemberExpression") {
+    return convertDataType(node.object, resolve, depth + 1);
+  }
+  if (node.type === "Identifier") {
+    const resolved = resolve(node.name);
+    return resolved
+      ? convertDataType(resolved.node, resolved.resolve, depth + 1)
+      : {};
+  }
+  return {};
+}
+
+// Convert an attribute of a Sequelize model: a data type, or
+// { type, allowNull, defaultValue, primaryKey, validate, ... }
+function convertAttribute(node, resolve) {
+  const definition = resolveNode(node, resolve);
+  if (!definition.node) {
+    return { schema: {}, required: false, primaryKey: false };
+  }
+
+  const isOptions =
+    definition.node.type === "ObjectExpression" &&
+    definition.node.properties.some((prop) => getPropertyKey(prop) === "type");
+  if (!isOptions) {
+    return {
+      schema: convertDataType(definition.node, definition.resolve),
+      required: false,
+      primaryKey: false,
+    };
+  }
+
+  const options = {};
+  definition.node.properties.forEach((prop) => {
+    const key = getPropertyKey(prop);
+    if (key !== null) options[key] = prop.value;
+  });
+  const read = (key) => readValue(options[key], definition.resolve);
+
+  let schema = convertDataType(options.type, definition.resolve);
+  schema = setEnum(schema, read("values"));
+
+  const validate = read("validate") || {};
+  Object.entries(SEQUELIZE_FORMATS).forEach(([validator, format]) => {
+    if (validate[validator]) schema = { ...schema, format };
+  });
+  if (Array.isArray(validate.len)) {
+    const [min, max] = validate.len;
+    if (typeof min === "number") schema = { ...schema, minLength: min };
+    if (typeof max === "number") schema = { ...schema, maxLength: max };
+  }
+  if (validate.notEmpty && schema.minLength === undefined) {
+    schema = { ...schema, minLength: 1 };
+  }
+  if (typeof validate.min === "number") {
+    schema = { ...schema, minimum: validate.min };
+  }
+  if (typeof validate.max === "number") {
+    schema = { ...schema, maximum: validate.max };
+  }
+  // isIn: [["low", "high"]]
+  if (Array.isArray(validate.isIn)) schema = setEnum(schema, validate.isIn[0]);
+
+  // is: /regexp/ and is: ["regexp", "flags"]
+  const validateNode = resolveNode(options.validate, definition.resolve).node;
+  const isNode =
+    validateNode &&
+    validateNode.type === "ObjectExpression" &&
+    validateNode.properties.find((prop) =>
+      ["is", "matches"].includes(getPropertyKey(prop))
+    );
+  const patternValue =
+    isNode &&
+    (readPattern(isNode.value) || readValue(isNode.value, definition.resolve));
+  const pattern = Array.isArray(patternValue) ? patternValue[0] : patternValue;
+  if (typeof pattern === "string") schema = { ...schema, pattern };
+
+  // defaultValue: DataTypes.NOW and other generated values are left out
+  const defaultValue = read("defaultValue");
+  if (defaultValue !== undefined && defaultValue !== null) {
+    schema = { ...schema, default: defaultValue };
+  }
+
+  const comment = read("comment");
+  if (typeof comment === "string") schema = { ...schema, description: comment };
+  if (read("allowNull") === true) schema = { ...schema, nullable: true };
+
+  // Keys the database generates
+  const primaryKey = read("primaryKey") === true;
+  const generated =
+    read("autoIncrement") === true ||
+    (options.defaultValue &&
+      /^UUIDV\d$/.test(getName(options.defaultValue) || ""));
+  if (primaryKey && generated) schema = readOnly(schema);
+
+  return { schema, required: read("allowNull") === false, primaryKey };
+}
+
+// Convert the attributes of a Sequelize model. Models get an id when no
+// attribute is the primary key, and the timestamps the options ask for.
+function convertSequelizeModel(node, attributesNode, options, resolve) {
+  if (convertedSchemas.has(node)) return convertedSchemas.get(node);
+
+  const attributes = resolveNode(attributesNode, resolve);
+  const properties = {};
+  const required = [];
+  let hasPrimaryKey = false;
+
+  if (attributes.node && attributes.node.type === "ObjectExpression") {
+    attributes.node.properties.forEach((prop) => {
+      const key = getPropertyKey(prop);
+      if (key === null) return;
+
+      const attribute = convertAttribute(prop.value, attributes.resolve);
+      properties[key] = attribute.schema;
+      if (attribute.required) required.push(key);
+      if (attribute.primaryKey) hasPrimaryKey = true;
+    });
+  }
+
+  const id = hasPrimaryKey ? {} : { id: readOnly({ type: "integer" }) };
+
+  // timestamps: false, createdAt: "created_at" or false, underscored,
+  // paranoid for deletedAt
+  if (options.timestamps !== false) {
+    const timestamps = [
+      ["createdAt", "created_at"],
+      ["updatedAt", "updated_at"],
+      ...(options.paranoid ? [["deletedAt", "deleted_at"]] : []),
+    ];
+    timestamps.forEach(([name, underscored]) => {
+      const option = options[name];
+      if (option === false) return;
+      const key =
+        typeof option === "string"
+          ? option
+          : options.underscored
+            ? underscored
+            : name;
+      properties[key] = readOnly(
+        name === "deletedAt"
+          ? { ...DATE_TIME_SCHEMA, nullable: true }
+          : DATE_TIME_SCHEMA
+      );
+    });
+  }
+
+  const schema = {
+    type: "object",
+    properties: { ...id, ...properties },
+    ...(required.length > 0 && { required }),
+  };
+  convertedSchemas.set(node, schema);
+  return schema;
+}
+
+// Whether a class extends Model or Sequelize.Model
+function isModelClass(node) {
+  return Boolean(node.superClass && getName(node.superClass) === "Model");
+}
+
+// The Model.init(attributes, options) call of a Sequelize model class:
+// Todo.init(...) after the class, or super.init(...) in a static method
+function findInitCall(node, resolve) {
+  const init = node.id && resolve(`${node.id.name}.init`);
+  if (init) return init.node;
+
+  let call = null;
+  walk.simple(node.body, {
+    CallExpression(expression) {
+      const { callee } = expression;
+      if (
+        callee.type === "MemberExpression" &&
+        callee.object.type === "Super" &&
+        getName(callee) === "init"
+      ) {
+        call = expression;
+      }
+    },
+  });
+  return call;
+}
+
+// Schemas of the TypeORM column types, by name. bigint and decimal
+// columns are read as strings, to keep their precision.
+const TYPEORM_TYPES = {
+  String: { type: "string" },
+  Number: { type: "number" },
+  Boolean: { type: "boolean" },
+  Date: DATE_TIME_SCHEMA,
+  varchar: { type: "string" },
+  nvarchar: { type: "string" },
+  "character varying": { type: "string" },
+  char: { type: "string" },
+  nchar: { type: "string" },
+  character: { type: "string" },
+  text: { type: "string" },
+  tinytext: { type: "string" },
+  mediumtext: { type: "string" },
+  longtext: { type: "string" },
+  citext: { type: "string" },
+  uuid: { type: "string", format: "uuid" },
+  int: { type: "integer" },
+  integer: { type: "integer" },
+  int2: { type: "integer" },
+  int4: { type: "integer" },
+  smallint: { type: "integer" },
+  mediumint: { type: "integer" },
+  tinyint: { type: "integer" },
+  bigint: { type: "string", format: "int64" },
+  int8: { type: "string", format: "int64" },
+  decimal: { type: "string", format: "decimal" },
+  numeric: { type: "string", format: "decimal" },
+  float: { type: "number" },
+  float4: { type: "number" },
+  float8: { type: "number" },
+  double: { type: "number" },
+  "double precision": { type: "number" },
+  real: { type: "number" },
+  boolean: { type: "boolean" },
+  bool: { type: "boolean" },
+  date: { type: "string", format: "date" },
+  time: { type: "string" },
+  datetime: DATE_TIME_SCHEMA,
+  timestamp: DATE_TIME_SCHEMA,
+  timestamptz: DATE_TIME_SCHEMA,
+  "timestamp with time zone": DATE_TIME_SCHEMA,
+  "timestamp without time zone": DATE_TIME_SCHEMA,
+  json: {},
+  jsonb: {},
+  "simple-json": {},
+  "simple-array": { type: "array", items: { type: "string" } },
+  enum: { type: "string" },
+};
+
+// Columns whose value TypeORM sets, by decorator or EntitySchema option
+const SPECIAL_COLUMNS = {
+  CreateDateColumn: DATE_TIME_SCHEMA,
+  UpdateDateColumn: DATE_TIME_SCHEMA,
+  DeleteDateColumn: { ...DATE_TIME_SCHEMA, nullable: true },
+  VersionColumn: { type: "integer" },
+  ObjectIdColumn: OBJECT_ID_SCHEMA,
+  createDate: DATE_TIME_SCHEMA,
+  updateDate: DATE_TIME_SCHEMA,
+  deleteDate: { ...DATE_TIME_SCHEMA, nullable: true },
+  version: { type: "integer" },
+  objectId: OBJECT_ID_SCHEMA,
+};
+
+const COLUMN_DECORATORS = [
+  "Column",
+  "PrimaryColumn",
+  "PrimaryGeneratedColumn",
+  ...Object.keys(SPECIAL_COLUMNS).filter((name) => name.endsWith("Column")),
+];
+
+function getColumnType(type) {
+  if (typeof type !== "string") return {};
+  return { ...(lookup(TYPEORM_TYPES, type) || {}) };
+}
+
+// Convert the options of a TypeORM column: { type, length, nullable,
+// default, enum, select, array, ... }. `base` is the schema the type of
+// the property or the decorator gives.
+function convertColumn(options, base) {
+  let schema =
+    options.type !== undefined ? getColumnType(options.type) : { ...base };
+
+  const values = Array.isArray(options.enum)
+    ? options.enum
+    : options.enum && typeof options.enum === "object"
+      ? Object.values(options.enum)
+      : null;
+  schema = setEnum(schema, values);
+
+  const length = Number(options.length);
+  if (schema.type === "string" && length > 0) {
+    schema = { ...schema, maxLength: length };
+  }
+  if (options.array === true) schema = { type: "array", items: schema };
+  if (
+    options.default !== undefined &&
+    options.default !== null &&
+    typeof options.default !== "object"
+  ) {
+    schema = { ...schema, default: options.default };
+  }
+  if (typeof options.comment === "string") {
+    schema = { ...schema, description: options.comment };
+  }
+  if (options.select === false) schema = { ...schema, writeOnly: true };
+  if (options.nullable === true) schema = { ...schema, nullable: true };
+
+  return { schema, required: options.nullable !== true };
+}
+
+// Type of a column declared with a name: the Number, Boolean, Date
+// constructors of EntitySchema columns, or a node given to the decorator
+function readColumnTypeName(node) {
+  if (!node) return undefined;
+  if (node.type === "Identifier") return node.name;
+  return getStaticString(node) ?? undefined;
+}
+
+// Convert a class property decorated with @Column() and the like
+function convertDecoratedColumn(member, resolve) {
+  const decorator = (member.decorators || [])
+    .map((item) => item.expression)
+    .find(
+      (expression) =>
+        expression.type === "CallExpression" &&
+        COLUMN_DECORATORS.includes(getName(expression.callee))
+    );
+  if (!decorator) return null;
+
+  const kind = getName(decorator.callee);
+  const args = decorator.arguments;
+  // @Column("varchar", { length: 100 }) or @Column({ type: "varchar" })
+  const [first, second] = args;
+  const typeName =
+    first && first.type !== "ObjectExpression"
+      ? readColumnTypeName(first)
+      : undefined;
+  const optionsNode = [first, second].find(
+    (arg) => arg && arg.type === "ObjectExpression"
+  );
+  const options = {
+    ...(readValue(optionsNode, resolve) || {}),
+    ...(typeName !== undefined && { type: typeName }),
+  };
+
+  if (lookup(SPECIAL_COLUMNS, kind)) {
+    return { schema: readOnly(SPECIAL_COLUMNS[kind]), required: false };
+  }
+  if (kind === "PrimaryGeneratedColumn") {
+    return {
+      schema: readOnly(
+        typeName === "uuid"
+          ? { type: "string", format: "uuid" }
+          : { type: "integer" }
+      ),
+      required: false,
+    };
+  }
+
+  // Without a type, the initial value of the property tells it
+  const initial = readValue(member.value, resolve);
+  const base = ["string", "number", "boolean"].includes(typeof initial)
+    ? { type: getValueType(initial) }
+    : {};
+  const column = convertColumn(options, base);
+  return kind === "PrimaryColumn" ? { ...column, required: true } : column;
+}
+
+// Convert a TypeORM entity class: @Entity() class Todo { @Column() ... }
+function convertEntityClass(node, resolve) {
+  if (convertedSchemas.has(node)) return convertedSchemas.get(node);
+
+  const properties = {};
+  const required = [];
+  node.body.body.forEach((member) => {
+    if (member.type !== "PropertyDefinition" || member.computed) return;
+    const column = convertDecoratedColumn(member, resolve);
+    if (!column) return;
+
+    const key = member.key.name ?? String(member.key.value);
+    properties[key] = column.schema;
+    if (column.required) required.push(key);
+  });
+
+  const schema = {
+    type: "object",
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+  convertedSchemas.set(node, schema);
+  return schema;
+}
+
+// Convert the columns of a new EntitySchema({ name, columns }) call
+function convertEntitySchema(node, columnsNode, resolve) {
+  if (convertedSchemas.has(node)) return convertedSchemas.get(node);
+
+  const columns = resolveNode(columnsNode, resolve);
+  const properties = {};
+  const required = [];
+  if (columns.node && columns.node.type === "ObjectExpression") {
+    columns.node.properties.forEach((prop) => {
+      const key = getPropertyKey(prop);
+      const column = resolveNode(prop.value, columns.resolve).node;
+      if (key === null || !column || column.type !== "ObjectExpression") {
+        return;
+      }
+
+      // type: Number is a constructor, not a static value
+      const typeProp = column.properties.find(
+        (option) => getPropertyKey(option) === "type"
+      );
+      const options = {
+        ...(readValue(column, columns.resolve) || {}),
+        type: typeProp && readColumnTypeName(typeProp.value),
+      };
+      const special = Object.keys(SPECIAL_COLUMNS).find(
+        (option) => options[option] === true
+      );
+
+      let result;
+      if (special) {
+        result = {
+          schema: readOnly(SPECIAL_COLUMNS[special]),
+          required: false,
+        };
+      } else if (options.primary && options.generated) {
+        const uuid = options.generated === "uuid" || options.type === "uuid";
+        result = {
+          schema: readOnly(
+            uuid ? { type: "string", format: "uuid" } : { type: "integer" }
+          ),
+          required: false,
+        };
+      } else {
+        result = convertColumn(options, {});
+      }
+      properties[key] = result.schema;
+      if (result.required) required.push(key);
+    });
+  }
+
+  const schema = {
+    type: "object",
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+  convertedSchemas.set(node, schema);
+  return schema;
+}
+
+// Whether a class has one of the given decorators: @Entity(), @Entity
+function hasDecorator(node, names) {
+  return (node.decorators || []).some(({ expression }) =>
+    names.includes(
+      getName(
+        expression.type === "CallExpression" ? expression.callee : expression
+      )
+    )
+  );
+}
+
+// Whether a node is a Prisma client: new PrismaClient(), possibly behind
+// a name, `globalThis.prisma || new PrismaClient()` or $extends(...)
+function isPrismaClient(node, resolve, depth = 0) {
+  if (!node || depth > MAX_RESOLVE_DEPTH) return false;
+
+  switch (node.type) {
+    case "Identifier": {
+      const resolved = resolve(node.name);
+      return Boolean(
+        resolved && isPrismaClient(resolved.node, resolved.resolve, depth + 1)
+      );
+    }
+    case "LogicalExpression":
+      return (
+        isPrismaClient(node.left, resolve, depth + 1) ||
+        isPrismaClient(node.right, resolve, depth + 1)
+      );
+    case "NewExpression":
+      return getName(node.callee) === "PrismaClient";
+    case "CallExpression":
+      return (
+        node.callee.type === "MemberExpression" &&
+        getName(node.callee) === "$extends" &&
+        isPrismaClient(node.callee.object, resolve, depth + 1)
+      );
+    default:
+      return false;
+  }
+}
+
+// Model of a Prisma delegate: prisma.todoItem for model TodoItem
+function readPrismaDelegate(node, resolve, prismaModels) {
+  const delegate = getName(node);
+  if (!delegate || Object.keys(prismaModels).length === 0) return null;
+  if (!isPrismaClient(node.object, resolve)) return null;
+
+  const name = Object.keys(prismaModels).find(
+    (model) => model.charAt(0).toLowerCase() + model.slice(1) === delegate
+  );
+  return name ? { name, schema: prismaModels[name], orm: "prisma" } : null;
+}
+
+// Read the model a class declares: a Sequelize model class or a TypeORM
+// entity
+function readModelClass(node, resolve) {
+  if (!node.id) return null;
+  const name = node.id.name;
+
+  if (hasDecorator(node, ["Entity", "ViewEntity", "ChildEntity"])) {
+    return { name, schema: convertEntityClass(node, resolve), orm: "typeorm" };
+  }
+
+  const init = isModelClass(node) && findInitCall(node, resolve);
+  if (!init) return null;
+  const [attributes, optionsNode] = init.arguments;
+  const options = readValue(optionsNode, resolve) || {};
+  return {
+    name: typeof options.modelName === "string" ? options.modelName : name,
+    schema: convertSequelizeModel(node, attributes, options, resolve),
+    orm: "sequelize",
+  };
+}
+
+// Methods giving the repository of a TypeORM entity
+const REPOSITORY_METHODS = [
+  "getRepository",
+  "getTreeRepository",
+  "getMongoRepository",
+];
+
+// Read a model created by a call: mongoose.model("Todo", todoSchema),
+// sequelize.define("Todo", {...}) or dataSource.getRepository(Todo)
+function readModelCall(node, resolve, read) {
+  const method = getName(node.callee);
+  const [first, second, third] = node.arguments;
+
+  if (REPOSITORY_METHODS.includes(method)) return read(first, resolve);
+
+  const name = getStaticString(first);
+  if (!name) return null;
+
+  if (method === "model") {
+    // The schema may be declared under a name, or in another file
+    const schema = resolveNode(second, resolve);
+    if (!schema.node || !isSchemaConstructor(schema.node)) return null;
+    return {
+      name,
+      schema: convertSchema(schema.node, schema.resolve),
+      orm: "mongoose",
+    };
+  }
+
+  if (method === "define" && node.callee.type === "MemberExpression") {
+    const attributes = resolveNode(second, resolve);
+    if (!attributes.node || attributes.node.type !== "ObjectExpression") {
+      return null;
+    }
+    return {
+      name,
+      schema: convertSequelizeModel(
+        node,
+        second,
+        readValue(third, resolve) || {},
+        resolve
+      ),
+      orm: "sequelize",
+    };
+  }
+  return null;
+}
+
+// Read the model a node refers to:
+// - Mongoose models: mongoose.model("Todo", todoSchema)
+// - Sequelize models: sequelize.define("Todo", {...}) and model classes
+//   set up with Todo.init({...}, { sequelize })
+// - TypeORM entities: @Entity() classes, new EntitySchema({...}) and
+//   their repositories
+// - Prisma delegates: prisma.todo, for the models of prismaModels
+// possibly behind names or `mongoose.models.Todo || mongoose.model(...)`.
+// `resolve(name)` returns the value a name is declared with, as in
+// validation.js. Returns { name, schema, orm } or null.
+export function readModel(node, resolve, prismaModels = {}) {
+  function read(current, currentResolve, depth = 0) {
+    if (!current || depth > MAX_RESOLVE_DEPTH) return null;
+
+    switch (current.type) {
+      case "Identifier": {
+        const resolved = currentResolve(current.name);
+        return resolved && read(resolved.node, resolved.resolve, depth + 1);
+      }
+      case "LogicalExpression":
+        return (
+          read(current.right, currentResolve, depth) ||
+          read(current.left, currentResolve, depth)
+        );
+      case "ClassDeclaration":
+      case "ClassExpression":
+        return readModelClass(current, currentResolve);
+      case "MemberExpression":
+        return readPrismaDelegate(current, currentResolve, prismaModels);
+      case "NewExpression": {
+        const [options] = current.arguments;
+        const optionsNode = resolveNode(options, currentResolve).node;
+        if (
+          getName(current.callee) !== "EntitySchema" ||
+          !optionsNode ||
+          optionsNode.type !== "ObjectExpression"
+        ) {
+          return null;
+        }
+        const findOption = (key) =>
+          optionsNode.properties.find((prop) => getPropertyKey(prop) === key);
+        const nameOption = findOption("name");
+        const columnsOption = findOption("columns");
+        const name = nameOption && getStaticString(nameOption.value);
+        if (!name) return null;
+        return {
+          name,
+          schema: convertEntitySchema(
+            current,
+            columnsOption && columnsOption.value,
+            currentResolve
+          ),
+          orm: "typeorm",
+        };
+      }
+      case "CallExpression":
+        return readModelCall(current, currentResolve, (next, nextResolve) =>
+          read(next, nextResolve, depth + 1)
+        );
+      default:
+        return null;
+    }
+  }
+
+  return read(node, resolve);
+}
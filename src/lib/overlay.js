@@ -0,0 +1,243 @@
+// Overlays: hand-written changes applied on top of the generated document,
+// so that descriptions, examples and fixes survive regeneration. An overlay
+// file is either an OpenAPI Overlay 1.0 document (actions with a JSONPath
+// target) or a partial document whose "METHOD /path" keys target
+// operations.
+import fs from "fs";
+import path from "path";
+import { HTTP_METHODS } from "./analyzer.js";
+import { parseSpec } from "./format.js";
+
+const WILDCARD = Symbol("*");
+
+// .name, .*, ['name'], ["name"], [0] and [*]
+const SEGMENT =
+  /\.([\w$-]+|\*)|\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(\d+)|(\*))\s*\]/y;
+
+// "GET /todos/{id}"
+const OPERATION_KEY = new RegExp(`^(${HTTP_METHODS.join("|")}) (/.*)$`, "i");
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Segments of a JSONPath target such as $.paths['/todos'].get. Only names,
+// indexes and wildcards are supported, not filters or recursive descent.
+function parseTarget(target) {
+  if (typeof target !== "string" || !target.startsWith("$")) {
+    throw new Error(`target ${JSON.stringify(target)} is not a JSONPath`);
+  }
+  const segments = [];
+  let index = 1;
+  while (index < target.length) {
+    SEGMENT.lastIndex = index;
+    const match = SEGMENT.exec(target);
+    if (!match) {
+      throw new Error(
+        `target ${target} is not supported: only names, indexes and * are`
+      );
+    }
+    const [, name, single, double, position, star] = match;
+    const quoted = single !== undefined ? single : double;
+    if (name === "*" || star) segments.push(WILDCARD);
+    else if (position !== undefined) segments.push(Number(position));
+    else if (quoted !== undefined)
+      segments.push(quoted.replace(/\\(.)/g, "$1"));
+    else segments.push(name);
+    index = SEGMENT.lastIndex;
+  }
+  return segments;
+}
+
+function checkOverlay(overlay) {
+  if (!isObject(overlay)) throw new Error("expected an object");
+  if (!("overlay" in overlay)) return;
+  if (!Array.isArray(overlay.actions)) {
+    throw new Error("an Overlay document needs an actions list");
+  }
+  overlay.actions.forEach((action) => {
+    if (!isObject(action)) throw new Error("actions must be objects");
+    parseTarget(action.target);
+  });
+}
+
+// Read the overlays of a config: files relative to baseDir, or overlay
+// objects. Returns { file, overlay } for each, file null for objects.
+// Missing and invalid overlays throw.
+export function loadOverlays(config) {
+  return [].concat(config.overlays || []).map((entry) => {
+    const file =
+      typeof entry === "string" ? path.resolve(config.baseDir, entry) : null;
+    if (file && !fs.existsSync(file)) {
+      throw new Error(`Overlay file not found: ${file}`);
+    }
+    try {
+      const overlay = file ? parseSpec(fs.readFileSync(file, "utf8")) : entry;
+      checkOverlay(overlay);
+      return { file, overlay };
+    } catch (error) {
+      throw new Error(
+        `Invalid overlay${file ? ` ${file}` : ""}: ${error.message}`
+      );
+    }
+  });
+}
+
+// Parameters are merged by location and name, the others are added
+function mergeParameters(parameters, patch) {
+  const merged = [...parameters];
+  patch.forEach((parameter) => {
+    const index = merged.findIndex(
+      (known) =>
+        isObject(parameter) &&
+        known.in === parameter.in &&
+        known.name === parameter.name
+    );
+    if (index === -1) merged.push(parameter);
+    else merged[index] = merge(merged[index], parameter);
+  });
+  return merged;
+}
+
+// Deep-merge a patch into a value: objects are merged key by key, null
+// removes a key, and arrays and other values replace the previous one
+function merge(value, patch) {
+  if (!isObject(value) || !isObject(patch)) return patch;
+  const merged = { ...value };
+  Object.entries(patch).forEach(([key, child]) => {
+    if (child === null) {
+      delete merged[key];
+    } else if (
+      key === "parameters" &&
+      Array.isArray(merged[key]) &&
+      Array.isArray(child)
+    ) {
+      merged[key] = mergeParameters(merged[key], child);
+    } else {
+      merged[key] = merge(merged[key], child);
+    }
+  });
+  return merged;
+}
+
+// Values matched by JSONPath segments, with their parent and key
+function findNodes(document, segments) {
+  let nodes = [{ parent: null, key: null, value: document }];
+  segments.forEach((segment) => {
+    nodes = nodes.flatMap(({ value }) => {
+      if (!value || typeof value !== "object") return [];
+      const keys =
+        segment === WILDCARD
+          ? Object.keys(value)
+          : Object.keys(value).filter((key) => key === String(segment));
+      return keys.map((key) => ({
+        parent: value,
+        key: Array.isArray(value) ? Number(key) : key,
+        value: value[key],
+      }));
+    });
+  });
+  return nodes;
+}
+
+// Apply the actions of an Overlay 1.0 document: update merges into the
+// objects matched by target, or is appended to the arrays, remove deletes
+// them
+function applyActions(document, overlay, problem) {
+  let result = document;
+  overlay.actions.forEach(({ target, update, remove }) => {
+    const nodes = findNodes(result, parseTarget(target));
+    if (nodes.length === 0) {
+      problem(`${target}: matches nothing, the action was not applied`);
+      return;
+    }
+    // From the last one, so that removed array items keep the indexes
+    [...nodes].reverse().forEach(({ parent, key, value }) => {
+      if (remove === true) {
+        if (Array.isArray(parent)) parent.splice(key, 1);
+        else if (parent) delete parent[key];
+        return;
+      }
+      if (update === undefined) return;
+      const updated = Array.isArray(value)
+        ? [...value, update]
+        : merge(value, update);
+      if (parent) parent[key] = updated;
+      else result = updated;
+    });
+  });
+  return result;
+}
+
+// Merge an operation patch, null removes the operation
+function patchOperation(document, method, routePath, patch, problem) {
+  const pathItem = document.paths && document.paths[routePath];
+  if (!pathItem || !pathItem[method]) {
+    problem(
+      `${method.toUpperCase()} ${routePath}: no such operation, its overlay was not applied`
+    );
+    return;
+  }
+  if (patch === null) delete pathItem[method];
+  else pathItem[method] = merge(pathItem[method], patch);
+  if (Object.keys(pathItem).length === 0) delete document.paths[routePath];
+}
+
+// Apply a partial document: "METHOD /path" keys and the operations under
+// paths are merged into existing operations, the other keys into the
+// document
+function applyPartial(document, overlay, problem) {
+  const { paths, ...rest } = overlay;
+  const documentPatch = {};
+  Object.entries(rest).forEach(([key, value]) => {
+    const match = key.match(OPERATION_KEY);
+    if (match) {
+      patchOperation(
+        document,
+        match[1].toLowerCase(),
+        match[2],
+        value,
+        problem
+      );
+    } else {
+      documentPatch[key] = value;
+    }
+  });
+
+  Object.entries(paths || {}).forEach(([routePath, pathPatch]) => {
+    if (!document.paths || !document.paths[routePath]) {
+      problem(`${routePath}: no such path, its overlay was not applied`);
+      return;
+    }
+    if (pathPatch === null) {
+      delete document.paths[routePath];
+      return;
+    }
+    Object.entries(pathPatch).forEach(([key, value]) => {
+      if (HTTP_METHODS.includes(key)) {
+        patchOperation(document, key, routePath, value, problem);
+      } else if (document.paths[routePath]) {
+        document.paths[routePath] = merge(document.paths[routePath], {
+          [key]: value,
+        });
+      }
+    });
+  });
+
+  return merge(document, documentPatch);
+}
+
+// Apply overlays (see loadOverlays) to a copy of a document, in order.
+// Returns the document and the problems, { file, message }, for the
+// targets that match nothing in it.
+export function applyOverlays(document, overlays) {
+  const problems = [];
+  const result = overlays.reduce((current, { file, overlay }) => {
+    const problem = (message) => problems.push({ file, message });
+    const copy = structuredClone(current);
+    return "overlay" in overlay
+      ? applyActions(copy, overlay, problem)
+      : applyPartial(copy, overlay, problem);
+  }, document);
+  return { document: result, problems };
+}
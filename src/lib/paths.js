@@ -0,0 +1,37 @@
+import { createRuleSet } from "./rules.js";
+
+// Join a mount prefix and a route path into one normalized Express path
+export function joinPaths(...segments) {
+  const joined = segments
+    .filter(Boolean)
+    .join("/")
+    .replace(/\/{2,}/g, "/");
+  const normalized = joined.startsWith("/") ? joined : `/${joined}`;
+  return normalized.length > 1 ? normalized.replace(/\/$/, "") : normalized;
+}
+
+// Extract path parameters from route pattern, typed by the rules matching
+// their names
+export function extractPathParams(routePath, ruleSet = createRuleSet()) {
+  const paramMatches = routePath.match(/:(\w+)/g) || [];
+
+  return paramMatches.map((match) => {
+    const paramName = match.substring(1);
+    const hints = ruleSet.getFieldHints(paramName, "path");
+
+    return {
+      name: paramName,
+      in: "path",
+      required: true,
+      schema: {
+        type: hints.type || "string",
+        ...(hints.format && { format: hints.format }),
+      },
+    };
+  });
+}
+
+// Convert Express route pattern to OpenAPI format
+export function convertRouteToOpenAPI(routePath) {
+  return routePath.replace(/:(\w+)/g, "{$1}");
+}
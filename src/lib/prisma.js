@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+
+// Where `prisma` looks for the schema, relative to the project root. A
+// prisma/schema directory holds a schema split over several files.
+const SCHEMA_LOCATIONS = [
+  "prisma/schema.prisma",
+  "schema.prisma",
+  "prisma/schema",
+];
+
+// Schemas of the scalar types of Prisma fields
+const SCALAR_TYPES = {
+  String: { type: "string" },
+  Boolean: { type: "boolean" },
+  Int: { type: "integer" },
+  BigInt: { type: "integer", format: "int64" },
+  Float: { type: "number" },
+  // Decimal values are serialized as strings
+  Decimal: { type: "string", format: "decimal" },
+  DateTime: { type: "string", format: "date-time" },
+  Json: {},
+  Bytes: { type: "string", format: "byte" },
+};
+
+// Default value functions generating the id of a new record
+const GENERATED_DEFAULTS = [
+  "autoincrement",
+  "uuid",
+  "cuid",
+  "nanoid",
+  "ulid",
+  "auto",
+  "dbgenerated",
+];
+
+// Drop a // comment from a line, unless it is inside a string
+function stripComment(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"' && line[i - 1] !== "\\") quoted = !quoted;
+    if (!quoted && line.startsWith("//", i)) return line.slice(0, i);
+  }
+  return line;
+}
+
+// Argument text of an attribute: `@default(now())` gives "now()"
+function getAttributeArgument(text, name) {
+  const start = text.indexOf(`${name}(`);
+  if (start === -1) return null;
+
+  let depth = 0;
+  for (let i = start + name.length; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    if (text[i] === ")") depth--;
+    if (depth === 0) return text.slice(start + name.length + 1, i).trim();
+  }
+  return null;
+}
+
+// Whether a field has an attribute, such as @id but not @idx
+function hasAttribute(text, name) {
+  return new RegExp(`${name}(?![\\w.])`).test(text);
+}
+
+// Value of a literal @default: strings, numbers, booleans and enum values
+function readDefault(text) {
+  if (/^".*"$/.test(text)) return JSON.parse(text);
+  if (text === "true" || text === "false") return text === "true";
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (/^\w+$/.test(text)) return text;
+  return undefined;
+}
+
+// Split the schema into its blocks: { kind, name, lines, doc }. Doc
+// comments (///) are kept with the lines and blocks they precede.
+function readBlocks(source) {
+  const blocks = [];
+  let block = null;
+  let doc = [];
+
+  source.split(/\r?\n/).forEach((rawLine) => {
+    const trimmed = rawLine.trim();
+    if (trimmed.startsWith("///")) {
+      doc.push(trimmed.slice(3).trim());
+      return;
+    }
+    const line = stripComment(trimmed).trim();
+
+    if (!block) {
+      const match = /^(model|enum|type|view)\s+(\w+)\s*\{$/.exec(line);
+      if (match) {
+        block = {
+          kind: match[1],
+          name: match[2],
+          lines: [],
+          doc: doc.join(" "),
+        };
+        blocks.push(block);
+      }
+    } else if (line === "}") {
+      block = null;
+    } else if (line) {
+      block.lines.push({ text: line, doc: doc.join(" ") });
+    }
+    if (line) doc = [];
+  });
+
+  return blocks;
+}
+
+// Parse the text of a Prisma schema into the object schemas of its models,
+// by model name. Relation fields are left out, as queries only return
+// them when asked to with `include`. Enums and composite types are
+// inlined.
+export function parsePrismaSchema(source) {
+  const blocks = readBlocks(source);
+  const byName = (kind) =>
+    Object.fromEntries(
+      blocks.filter((b) => b.kind === kind).map((b) => [b.name, b])
+    );
+  const enums = byName("enum");
+  const types = byName("type");
+  const models = { ...byName("model"), ...byName("view") };
+
+  function convertField({ text, doc }) {
+    const match = /^(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/.exec(text);
+    if (!match) return null;
+    const [, name, typeName, list, optional, attributes] = match;
+
+    let schema;
+    if (Object.hasOwn(SCALAR_TYPES, typeName)) {
+      schema = { ...SCALAR_TYPES[typeName] };
+    } else if (Object.hasOwn(enums, typeName)) {
+      schema = {
+        type: "string",
+        // Values may be followed by @map("..."), then come @@map(...)
+        enum: enums[typeName].lines
+          .filter((line) => !line.text.startsWith("@@"))
+          .map((line) => line.text.split(/\s/)[0]),
+      };
+    } else if (Object.hasOwn(types, typeName)) {
+      schema = convertBlock(types[typeName]);
+    } else {
+      // Relations to other models, Unsupported("...") columns
+      return null;
+    }
+
+    const defaultValue = getAttributeArgument(attributes, "@default");
+    const generator = defaultValue && /^(\w+)\(/.exec(defaultValue);
+    if (generator && generator[1] === "uuid") {
+      schema.format = "uuid";
+    }
+    if (hasAttribute(attributes, "@db.Uuid")) schema.format = "uuid";
+    if (hasAttribute(attributes, "@db.ObjectId")) {
+      schema.pattern = "^[0-9a-fA-F]{24}$";
+    }
+    const length = /@db\.(?:VarChar|Char|NVarChar|NChar)\((\d+)\)/.exec(
+      attributes
+    );
+    if (length) schema.maxLength = Number(length[1]);
+
+    if (list) schema = { type: "array", items: schema };
+    if (defaultValue !== null && !generator) {
+      const value = readDefault(defaultValue);
+      if (value !== undefined) schema.default = value;
+    }
+    if (optional) schema.nullable = true;
+    if (doc) schema.description = doc;
+
+    // Ids generated by the database and @updatedAt are set by Prisma
+    const generated =
+      hasAttribute(attributes, "@id") &&
+      generator &&
+      GENERATED_DEFAULTS.includes(generator[1]);
+    if (generated || hasAttribute(attributes, "@updatedAt")) {
+      schema.readOnly = true;
+    }
+
+    return { name, schema, required: !optional };
+  }
+
+  function convertBlock(block) {
+    const properties = {};
+    const required = [];
+    block.lines.forEach((line) => {
+      // Block attributes: @@id, @@map, @@index, ...
+      if (line.text.startsWith("@@")) return;
+
+      const field = convertField(line);
+      if (!field) return;
+      properties[field.name] = field.schema;
+      if (field.required) required.push(field.name);
+    });
+
+    return {
+      type: "object",
+      ...(block.doc && { description: block.doc }),
+      properties,
+      ...(required.length > 0 && { required }),
+    };
+  }
+
+  return Object.fromEntries(
+    Object.values(models).map((block) => [block.name, convertBlock(block)])
+  );
+}
+
+// Find the Prisma schema of the project a directory belongs to, looking up
+// to the closest directory with a package.json. Returns its path or null.
+export function findPrismaSchema(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const found = SCHEMA_LOCATIONS.map((location) =>
+      path.join(current, location)
+    ).find((candidate) => fs.existsSync(candidate));
+    if (found) return found;
+
+    const parent = path.dirname(current);
+    if (
+      fs.existsSync(path.join(current, "package.json")) ||
+      parent === current
+    ) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Files of a Prisma schema: the schema file, or the .prisma files of a
+// schema directory
+export function getPrismaSchemaFiles(schemaPath) {
+  if (!fs.statSync(schemaPath).isDirectory()) return [schemaPath];
+  return fs
+    .readdirSync(schemaPath)
+    .filter((name) => name.endsWith(".prisma"))
+    .sort()
+    .map((name) => path.join(schemaPath, name));
+}
@@ -0,0 +1,167 @@
+import path from "path";
+
+// What each heuristic typing a request field looks at (see handler.js)
+const HEURISTICS = {
+  "default-value": "default value",
+  destructuring: "nested destructuring",
+  "member-access": "properties or methods used",
+  conversion: "conversion",
+  "type-check": "type check",
+  comparison: "comparison",
+  "name-rule": "name rule",
+  fallback: "default type",
+  validation: "validation schema",
+  typescript: "TypeScript type",
+  "doc-comment": "doc comment",
+  middleware: "read by middleware",
+};
+
+// Diagnostics telling what was left out of the document
+const SKIP_CODES = [
+  "skipped-route",
+  "analysis-error",
+  "invalid-doc-comment",
+  "parse-error",
+];
+
+function isUnknownSchema(schema) {
+  const keys = Object.keys(schema || {});
+  return keys.length === 0 || (keys.length === 1 && schema.type === "object");
+}
+
+// Type shown for a schema: integer, string (email), Todo, Todo[]
+function describeSchema(schema) {
+  if (!schema) return "unknown";
+  if (schema.$ref) return schema.$ref.split("/").pop();
+  if (schema.type === "array") return `${describeSchema(schema.items)}[]`;
+  if (!schema.type) return "unknown";
+  return schema.format ? `${schema.type} (${schema.format})` : schema.type;
+}
+
+// Final schema of a field of a route, once validation and docs applied
+function getFieldSchema(route, field) {
+  if (field.in !== "body") {
+    const parameter = route.parameters.find(
+      (param) => param.in === field.in && param.name === field.name
+    );
+    return parameter && parameter.schema;
+  }
+  const media =
+    route.requestBody && route.requestBody.content["application/json"];
+  const properties = media && media.schema && media.schema.properties;
+  return properties && properties[field.name];
+}
+
+// Why a field typed with low confidence may be wrong
+function describeDoubt(field) {
+  if (field.heuristic === "name-rule") {
+    return `typed by the name rule ${field.rule}`;
+  }
+  if (field.heuristic === "fallback") return "nothing tells its type";
+  return "the code uses it as several types, the first one was kept";
+}
+
+// Build the report of an analysis: the routes left out of the document and
+// why (skipped), the request fields typed with low confidence and the JSON
+// responses whose properties are unknown (lowConfidence), and the
+// heuristic that typed each request field of each operation (operations).
+// How response schemas were inferred is not reported. diagnostics are
+// those of generateSpec.
+export function createReport(routes, diagnostics) {
+  const skipped = diagnostics
+    .filter((diagnostic) => SKIP_CODES.includes(diagnostic.code))
+    .map(({ level, code, reason, message, ...skip }) => ({
+      reason: reason || code,
+      message:
+        code === "parse-error"
+          ? `the file could not be parsed: ${message}`
+          : message,
+      ...skip,
+    }));
+
+  const lowConfidence = [];
+  const operations = routes.map((route) => {
+    const { method, path: routePath, source } = route;
+    const fields = (route.fields || []).map((field) => ({
+      ...field,
+      type: describeSchema(getFieldSchema(route, field)),
+    }));
+
+    fields
+      .filter((field) => field.confidence === "low")
+      .forEach((field) => {
+        lowConfidence.push({
+          method,
+          path: routePath,
+          source,
+          target: `${field.in}.${field.name}`,
+          message: `${field.type}, ${describeDoubt(field)}`,
+        });
+      });
+    Object.entries(route.responses).forEach(([status, response]) => {
+      Object.entries(response.content || {}).forEach(([mediaType, media]) => {
+        if (
+          mediaType !== "application/json" ||
+          !isUnknownSchema(media.schema)
+        ) {
+          return;
+        }
+        lowConfidence.push({
+          method,
+          path: routePath,
+          source,
+          target: `response ${status}`,
+          message: "the properties of the payload are unknown",
+        });
+      });
+    });
+
+    return { method, path: routePath, source, fields };
+  });
+
+  return { skipped, lowConfidence, operations };
+}
+
+function formatLocation({ file, line, column }, baseDir) {
+  const relative = file ? path.relative(baseDir, file) : "<inline>";
+  return line ? `${relative}:${line}:${column}` : relative;
+}
+
+// Print a report as text lines, with the files relative to baseDir
+export function formatReport(report, baseDir = process.cwd()) {
+  const { skipped, lowConfidence, operations } = report;
+  const lines = ["📋 Analysis report"];
+
+  lines.push("", `Skipped (${skipped.length})`);
+  skipped.forEach((skip) => {
+    lines.push(`  ${formatLocation(skip, baseDir)}  ${skip.message}`);
+  });
+
+  lines.push("", `Low-confidence inferences (${lowConfidence.length})`);
+  lowConfidence.forEach(
+    ({ method, path: routePath, source, target, message }) => {
+      lines.push(
+        `  ${formatLocation(source || {}, baseDir)}  ${method.toUpperCase()} ${routePath}  ${target}: ${message}`
+      );
+    }
+  );
+
+  lines.push("", "Request fields");
+  operations
+    .filter((operation) => operation.fields.length > 0)
+    .forEach(({ method, path: routePath, source, fields }) => {
+      lines.push(
+        `  ${method.toUpperCase()} ${routePath}  ${formatLocation(source || {}, baseDir)}`
+      );
+      fields.forEach((field) => {
+        const heuristic = HEURISTICS[field.heuristic] || field.heuristic;
+        lines.push(
+          `    ${field.in}.${field.name}: ${field.type}, by ${
+            field.rule ? `${heuristic} ${field.rule}` : heuristic
+          }${field.confidence === "low" ? " (low confidence)" : ""}`
+        );
+      });
+    });
+
+  return lines;
+}
@@ -0,0 +1,38 @@
+import fs from "fs";
+import path from "path";
+
+const EXTENSIONS = [".js", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"];
+
+// TypeScript sources import each other by the name of the compiled file:
+// "./todos.js" is todos.ts
+const COMPILED_EXTENSIONS = {
+  ".js": [".ts", ".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+
+// Resolve a relative import/require specifier to a file on disk.
+// Package imports (express, ../node_modules, ...) are not followed.
+export function resolveModule(specifier, fromFile) {
+  if (!specifier.startsWith(".") && !path.isAbsolute(specifier)) {
+    return null;
+  }
+
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const extension = path.extname(base);
+  const sources = Object.hasOwn(COMPILED_EXTENSIONS, extension)
+    ? COMPILED_EXTENSIONS[extension]
+    : [];
+  const candidates = [
+    base,
+    ...sources.map((ext) => `${base.slice(0, -extension.length)}${ext}`),
+    ...EXTENSIONS.map((ext) => `${base}${ext}`),
+    ...EXTENSIONS.map((ext) => path.join(base, `index${ext}`)),
+  ];
+
+  return (
+    candidates.find(
+      (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+    ) || null
+  );
+}
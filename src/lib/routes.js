@@ -0,0 +1,751 @@
+import fs from "fs";
+import path from "path";
+import { analyzeModule } from "./analyzer.js";
+import { analyzeRouteHandler } from "./handler.js";
+import { resolveModule } from "./resolve.js";
+import { createTypeChecker, isTypeScriptFile } from "./typescript.js";
+import { createRuleSet, getHintsOrigin } from "./rules.js";
+import { createFileFilter } from "./config.js";
+import {
+  parseDocComment,
+  mergeDocs,
+  omitHandlerParams,
+  applyDoc,
+} from "./jsdoc.js";
+import { readValidation, applyValidation } from "./validation.js";
+import {
+  readSecurity,
+  combineSecurity,
+  findMiddlewareFunction,
+} from "./security.js";
+import {
+  parsePrismaSchema,
+  findPrismaSchema,
+  getPrismaSchemaFiles,
+} from "./prisma.js";
+import {
+  joinPaths,
+  extractPathParams,
+  convertRouteToOpenAPI,
+} from "./paths.js";
+
+// Guards against re-export chains that loop back on themselves
+const MAX_RESOLVE_DEPTH = 20;
+
+// Default report of the files that could not be parsed
+function reportParseError(filePath, error) {
+  console.error(
+    `Error parsing file${filePath ? ` ${filePath}` : ""}:`,
+    error.message
+  );
+  console.error(
+    "Make sure your JavaScript or TypeScript file has valid syntax"
+  );
+}
+
+// Default report of what the extraction left out: only the files whose
+// analysis failed and the doc comments partly ignored, the other skips are
+// expected
+function reportSkip({ reason, file, message }) {
+  if (reason === "analysis-error") {
+    console.error(`Error analyzing file${file ? ` ${file}` : ""}:`, message);
+  }
+  if (reason === "invalid-doc-comment") {
+    console.error(`Invalid doc comment${file ? ` in ${file}` : ""}:`, message);
+  }
+}
+
+// Why a route declaration is left out, or documented without analysis
+const SKIP_MESSAGES = {
+  "dynamic-path": "its path is computed at runtime",
+  wildcard: "wildcard paths are not documented",
+  "unresolved-handler":
+    "its handler could not be found, the operation is only a placeholder",
+};
+
+// Report of a module whose analysis failed part way
+function getAnalysisErrorSkip(filePath, { message, line, column }) {
+  return {
+    reason: "analysis-error",
+    message: `analysis stopped, routes declared after this point are missing: ${message}`,
+    file: filePath,
+    ...(line && { line, column }),
+  };
+}
+
+// Turn a route recorded by analyzeModule into an OpenAPI-ready route,
+// completed by the doc comments of the route and its handler. file is the
+// path of the module declaring the route (null for a source string).
+function buildRoute(prefix, route, analysis, ruleSet, doc, security, file) {
+  const fullPath = joinPaths(prefix, route.path);
+  const { parameters, requestBody, responses, schemas } = analysis;
+
+  // Path parameters are declared by the path; their schema is refined by
+  // what the handler does with them (e.g. parseInt(req.params.id))
+  const pathParams = extractPathParams(fullPath, ruleSet).map((param) => {
+    const fromHandler = parameters.find(
+      (p) => p.in === "path" && p.name === param.name
+    );
+    return fromHandler
+      ? {
+          ...param,
+          ...(fromHandler.description && {
+            description: fromHandler.description,
+          }),
+          schema: fromHandler.schema,
+        }
+      : param;
+  });
+
+  // Responses sent by the authentication middleware, unless the handler
+  // sends them too
+  const authResponses = security ? security.responses : {};
+  const missing = Object.keys(authResponses).filter(
+    (status) => !responses[status]
+  );
+
+  // Heuristic that typed each field, path parameters first
+  const fields = analysis.fields || [];
+  const pathFields = pathParams.map(
+    ({ name }) =>
+      fields.find((field) => field.in === "path" && field.name === name) || {
+        in: "path",
+        name,
+        ...getHintsOrigin(ruleSet.getFieldHints(name, "path"), "path"),
+      }
+  );
+
+  return applyDoc(
+    {
+      path: convertRouteToOpenAPI(fullPath),
+      method: route.method,
+      // Combine path and query parameters
+      parameters: [...pathParams, ...parameters.filter((p) => p.in !== "path")],
+      requestBody,
+      responses:
+        missing.length > 0
+          ? {
+              ...responses,
+              ...Object.fromEntries(
+                missing.map((status) => [status, authResponses[status]])
+              ),
+            }
+          : responses,
+      // Schemas the responses refer to, such as those of models
+      ...(schemas && { schemas }),
+      // Authentication required by the middleware (see security.js)
+      ...(security &&
+        security.security && {
+          security: security.security,
+          securitySchemes: security.schemes,
+        }),
+      // Where the route is declared, to report problems of its operation
+      source: { file, ...route.location },
+      fields: [...pathFields, ...fields.filter((field) => field.in !== "path")],
+    },
+    doc
+  );
+}
+
+// Look up an app/router binding, or the router returned by a factory
+function findRouter(call) {
+  return (moduleInfo, name, member) => {
+    if (member) return null;
+    const id = call
+      ? moduleInfo.factories[name]
+      : moduleInfo.bindings[name] && name;
+    return id ? { name: id } : null;
+  };
+}
+
+// Look up a handler function, or a method of a controller object/class
+function findHandler(moduleInfo, name, member) {
+  const node = moduleInfo.functions[member ? `${name}.${member}` : name];
+  return node ? { node } : null;
+}
+
+// Look up the value a module-level variable is declared with. Imported
+// names (const Todo = require("./models/todo")) are followed instead.
+function findDeclaration(moduleInfo, name, member) {
+  if (member || Object.hasOwn(moduleInfo.imports, name)) return null;
+  if (!Object.hasOwn(moduleInfo.declarations, name)) return null;
+  return { node: moduleInfo.declarations[name] };
+}
+
+// Look up a middleware function, else the value it is declared with
+function findMiddleware(moduleInfo, name, member) {
+  return (
+    findHandler(moduleInfo, name, member) ||
+    findDeclaration(moduleInfo, name, member)
+  );
+}
+
+// Walk the app.use() mount tree starting at the apps and routers of the
+// entry module and collect every route with its full path. Handler
+// analyses are cached in `analyses`, by function node, with the files they
+// were resolved through. prismaModels are
+// the models of the Prisma schema of the app (see prisma.js), types the
+// type checker of its TypeScript files (see typescript.js), authMiddleware
+// the names of the app's own authentication middleware (see security.js).
+function linkRoutes(
+  entryPath,
+  {
+    loadModule: loadFile,
+    resolveModule,
+    ruleSet,
+    analyses = new Map(),
+    prismaModels = {},
+    types = null,
+    authMiddleware = {},
+    onSkip = reportSkip,
+  }
+) {
+  const routes = [];
+  // Security read from each middleware expression
+  const securities = new Map();
+  // Files read by the handler analysis being run
+  let analysisFiles = null;
+
+  function loadModule(filePath) {
+    if (analysisFiles) analysisFiles.add(filePath);
+    return loadFile(filePath);
+  }
+
+  const entry = loadModule(entryPath);
+  if (!entry) return routes;
+
+  // Follow a local name (and the member accessed on it) through imports
+  // and re-exports until `find` locates what it refers to
+  function resolveLocal(filePath, name, member, find, depth) {
+    const moduleInfo = loadModule(filePath);
+    if (!moduleInfo || depth > MAX_RESOLVE_DEPTH) return null;
+
+    const found = find(moduleInfo, name, member);
+    if (found) {
+      return { filePath, ...found };
+    }
+    if (moduleInfo.imports[name]) {
+      return resolveImport(
+        filePath,
+        moduleInfo.imports[name],
+        member,
+        find,
+        depth + 1
+      );
+    }
+    return null;
+  }
+
+  function resolveExport(filePath, exportName, member, find, depth) {
+    const moduleInfo = loadModule(filePath);
+    const exported = moduleInfo && moduleInfo.exports[exportName];
+    if (!exported) return null;
+
+    if (exported.local) {
+      return resolveLocal(filePath, exported.local, member, find, depth + 1);
+    }
+    return resolveImport(filePath, exported, member, find, depth + 1);
+  }
+
+  function resolveImport(fromPath, { source, imported }, member, find, depth) {
+    if (depth > MAX_RESOLVE_DEPTH) return null;
+
+    const targetPath = resolveModule(source, fromPath);
+    if (!targetPath) return null;
+
+    // import * as todos from "./todos.js"; todos.list
+    if (imported === "*") {
+      return member
+        ? resolveExport(targetPath, member, null, find, depth)
+        : null;
+    }
+
+    // A default import may also be a CommonJS module.exports = { list }
+    return (
+      resolveExport(targetPath, imported, member, find, depth) ||
+      (imported === "default" && member
+        ? resolveExport(targetPath, member, null, find, depth)
+        : null)
+    );
+  }
+
+  // Resolve the target of a mount recorded in the given file
+  function resolveMountTarget(filePath, target) {
+    const find = findRouter(target.call);
+    return target.local
+      ? resolveLocal(filePath, target.local, null, find, 0)
+      : resolveImport(filePath, target, null, find, 0);
+  }
+
+  // Find the function a route handler refers to, and the file declaring it
+  function resolveHandler(filePath, handler) {
+    if (!handler) return null;
+    if (handler.node) return { filePath, node: handler.node };
+    return resolveLocal(
+      filePath,
+      handler.local,
+      handler.member,
+      findHandler,
+      0
+    );
+  }
+
+  // Resolver of the names used in a file to the values they are declared
+  // with, following imports. A value comes with the resolver of its own
+  // file, for the names it uses in turn (see validation.js).
+  function getScopeResolver(filePath) {
+    return (name) => {
+      const found = resolveLocal(filePath, name, null, findDeclaration, 0);
+      return (
+        found && { node: found.node, resolve: getScopeResolver(found.filePath) }
+      );
+    };
+  }
+
+  // Analyze the function of a route handler, in the file that declares it.
+  // Handlers shared by several routes are analyzed once.
+  function analyzeHandler(resolved) {
+    if (!resolved) return analyzeRouteHandler(null, {}, ruleSet);
+
+    const cached = analyses.get(resolved.node);
+    if (cached) {
+      // The models and schemas it uses are still files of the app
+      cached.files.forEach(loadModule);
+      return cached.analysis;
+    }
+
+    analysisFiles = new Set();
+    const { declarations } = loadModule(resolved.filePath);
+    const analysis = analyzeRouteHandler(
+      resolved.node,
+      declarations,
+      ruleSet,
+      getScopeResolver(resolved.filePath),
+      prismaModels,
+      types && types.forFile(resolved.filePath)
+    );
+    analyses.set(resolved.node, { analysis, files: [...analysisFiles] });
+    analysisFiles = null;
+    return analysis;
+  }
+
+  // What the middleware readers need of the file a middleware is used in
+  function getMiddlewareContext(filePath) {
+    return {
+      resolve: getScopeResolver(filePath),
+      resolveMiddleware: (node) => {
+        let found = null;
+        if (node.type === "Identifier") {
+          found = resolveLocal(filePath, node.name, null, findMiddleware, 0);
+        } else if (
+          node.type === "MemberExpression" &&
+          !node.computed &&
+          node.object.type === "Identifier"
+        ) {
+          found = resolveLocal(
+            filePath,
+            node.object.name,
+            node.property.name,
+            findMiddleware,
+            0
+          );
+        }
+        return (
+          found && {
+            node: found.node,
+            context: getMiddlewareContext(found.filePath),
+          }
+        );
+      },
+      analyze: (node) => analyzeHandler({ filePath, node }),
+    };
+  }
+
+  // Authentication required by middleware, read once per expression.
+  // Several middleware of a route are read as one.
+  function readMiddlewareSecurity(filePath, nodes) {
+    if (nodes.length === 0) return null;
+    if (!securities.has(nodes[0])) {
+      securities.set(
+        nodes[0],
+        readSecurity(nodes, getMiddlewareContext(filePath), authMiddleware)
+      );
+    }
+    return securities.get(nodes[0]);
+  }
+
+  // Header and cookie parameters read by middleware functions, such as
+  // the tenant header of a multi-tenant app
+  function readMiddlewareParameters(filePath, nodes) {
+    const context = getMiddlewareContext(filePath);
+    return nodes
+      .flatMap((node) =>
+        node.type === "ArrayExpression" ? node.elements : [node]
+      )
+      .flatMap((node) => {
+        const found = node && findMiddlewareFunction(node, context);
+        if (!found) return [];
+        return found.context
+          .analyze(found.node)
+          .parameters.filter(
+            (param) => param.in === "header" || param.in === "cookie"
+          );
+      });
+  }
+
+  // Add the parameters of the middleware to those of the handler. The
+  // credentials of the security schemes are described by them instead.
+  function addMiddlewareParameters(analysis, parameters, security) {
+    const schemes = security ? Object.values(security.schemes) : [];
+    const isKnown = (param, { name, in: location }) =>
+      param.in === location &&
+      (location === "header"
+        ? param.name.toLowerCase() === name.toLowerCase()
+        : param.name === name);
+    const added = parameters.filter(
+      (param, index) =>
+        !analysis.parameters.some((known) => isKnown(param, known)) &&
+        !parameters.slice(0, index).some((known) => isKnown(param, known)) &&
+        !schemes.some(
+          (scheme) => scheme.type === "apiKey" && isKnown(param, scheme)
+        )
+    );
+    return added.length > 0
+      ? {
+          ...analysis,
+          parameters: [...analysis.parameters, ...added],
+          fields: [
+            ...analysis.fields,
+            ...added.map((param) => ({
+              in: param.in,
+              name: param.name,
+              heuristic: "middleware",
+              confidence: "high",
+            })),
+          ],
+        }
+      : analysis;
+  }
+
+  // Whether a path is one an app.use() prefix applies to
+  function isUnderPrefix(fullPath, prefix) {
+    return (
+      prefix === "/" || fullPath === prefix || fullPath.startsWith(`${prefix}/`)
+    );
+  }
+
+  // Middleware is inherited from the apps and routers mounting this one:
+  // { prefix, filePath, node, security } for each app.use() declared
+  // before the mount
+  function collect(filePath, name, prefix, stack, inherited = []) {
+    const key = `${filePath}#${name}`;
+    if (stack.includes(key)) return;
+
+    const moduleInfo = loadModule(filePath);
+
+    // app.use() targets that are not routers, with the prefix they apply to
+    const middleware = moduleInfo.middleware
+      .filter(
+        (entry) =>
+          entry.owner === name &&
+          !(entry.target && resolveMountTarget(filePath, entry.target))
+      )
+      .map((entry) => ({
+        start: entry.start,
+        prefix: joinPaths(prefix, entry.prefix),
+        filePath,
+        node: entry.node,
+        security: readMiddlewareSecurity(filePath, [entry.node]),
+      }));
+    const getMiddlewareBefore = (start) => [
+      ...inherited,
+      ...middleware.filter((entry) => entry.start < start),
+    ];
+
+    // Reports what is left out of the document, where it is declared
+    const skip = (route, fullPath) =>
+      onSkip({
+        reason: route.reason,
+        message: `${route.method.toUpperCase()} ${fullPath || "route"}: ${SKIP_MESSAGES[route.reason]}`,
+        method: route.method,
+        path: fullPath,
+        file: moduleInfo.filePath,
+        ...route.location,
+      });
+
+    // Parse the doc of a route, or of its handler, reporting what it ignores
+    // where the comment is
+    const readDoc = (route, docFile, comment) =>
+      comment &&
+      parseDocComment(comment.text, (message) => {
+        const fullPath = convertRouteToOpenAPI(joinPaths(prefix, route.path));
+        onSkip({
+          reason: "invalid-doc-comment",
+          message: `${route.method.toUpperCase()} ${fullPath}: ${message}`,
+          method: route.method,
+          path: fullPath,
+          file: docFile,
+          line: comment.line,
+          column: comment.column,
+        });
+      });
+
+    moduleInfo.skipped
+      .filter((route) => route.owner === name)
+      .forEach((route) =>
+        skip(
+          route,
+          route.path === null
+            ? null
+            : convertRouteToOpenAPI(joinPaths(prefix, route.path))
+        )
+      );
+
+    moduleInfo.routes
+      .filter((route) => route.owner === name)
+      .forEach((route) => {
+        const resolved = resolveHandler(filePath, route.handler);
+        if (!resolved) {
+          skip(
+            { ...route, reason: "unresolved-handler" },
+            convertRouteToOpenAPI(joinPaths(prefix, route.path))
+          );
+        }
+        const handlerDoc =
+          resolved && loadModule(resolved.filePath).docs.get(resolved.node);
+        const doc = omitHandlerParams(
+          mergeDocs(
+            readDoc(route, resolved && resolved.filePath, handlerDoc),
+            readDoc(route, moduleInfo.filePath, route.doc)
+          ),
+          resolved && resolved.node
+        );
+
+        // Schemas of validation middleware replace what the handler tells
+        const validation = readValidation(
+          route.middleware,
+          getScopeResolver(filePath)
+        );
+        const analysis = applyValidation(analyzeHandler(resolved), validation);
+
+        // Middleware of the app.use() calls before the route, then its own
+        const fullPath = joinPaths(prefix, route.path);
+        const applied = getMiddlewareBefore(route.start).filter((entry) =>
+          isUnderPrefix(fullPath, entry.prefix)
+        );
+        const security = combineSecurity(
+          [
+            ...applied.map((entry) => entry.security),
+            readMiddlewareSecurity(filePath, route.middleware),
+          ],
+          fullPath,
+          route.method
+        );
+        const parameters = [
+          ...applied.flatMap((entry) =>
+            readMiddlewareParameters(entry.filePath, [entry.node])
+          ),
+          ...readMiddlewareParameters(filePath, route.middleware),
+        ];
+
+        routes.push(
+          buildRoute(
+            prefix,
+            route,
+            addMiddlewareParameters(analysis, parameters, security),
+            ruleSet,
+            doc,
+            security,
+            moduleInfo.filePath
+          )
+        );
+      });
+
+    moduleInfo.mounts
+      .filter((mount) => mount.owner === name)
+      .forEach((mount) => {
+        const target = resolveMountTarget(filePath, mount.target);
+
+        if (target) {
+          collect(
+            target.filePath,
+            target.name,
+            joinPaths(prefix, mount.prefix),
+            [...stack, key],
+            getMiddlewareBefore(mount.start)
+          );
+        }
+      });
+  }
+
+  // Apps and routers of the entry that are not mounted by another
+  // binding of the same file are the roots of the route tree
+  const mountedLocally = new Set(
+    entry.mounts
+      .map((mount) => resolveMountTarget(entryPath, mount.target))
+      .filter((target) => target && target.filePath === entryPath)
+      .map((target) => target.name)
+  );
+
+  Object.keys(entry.bindings)
+    .filter((name) => !mountedLocally.has(name))
+    .forEach((name) => collect(entryPath, name, "", []));
+
+  return routes;
+}
+
+// Extract the routes declared in a single source string. Mounts between
+// routers of the same file are followed, imports are not. Options:
+// - rules: name-based heuristics tried before the defaults (see rules.js)
+// - defaultRules: false to turn the default heuristics off
+// - authMiddleware: security scheme of the app's own authentication
+//   middleware, by name: { requireAuth: "bearerAuth" } (see security.js)
+// - onParseError(filePath, { message, line, column }): called for the
+//   files that are not valid JavaScript or TypeScript, instead of logging them
+// - onSkip({ reason, message, method?, path?, file, line?, column? }):
+//   called for the routes left out of the document (reason "dynamic-path"
+//   or "wildcard"), those whose handler could not be found
+//   ("unresolved-handler"), the files whose analysis failed part way
+//   ("analysis-error") and the doc comments partly ignored, such as an
+//   @openapi block that is not valid YAML ("invalid-doc-comment"), the last
+//   two logged by default
+export function extractRoutesFromExpressApp(fileContent, options = {}) {
+  const { onParseError = reportParseError, onSkip = reportSkip } = options;
+  const entryPath = "<inline>";
+  const moduleInfo = analyzeModule(fileContent);
+  if (moduleInfo.parseError) onParseError(null, moduleInfo.parseError);
+  if (moduleInfo.analysisError) {
+    onSkip(getAnalysisErrorSkip(null, moduleInfo.analysisError));
+  }
+
+  return linkRoutes(entryPath, {
+    loadModule: (filePath) => (filePath === entryPath ? moduleInfo : null),
+    resolveModule: () => null,
+    ruleSet: createRuleSet(options),
+    authMiddleware: options.authMiddleware,
+    onSkip,
+  });
+}
+
+// Create an extractor for the routes of an application on disk. Parsed
+// modules and handler analyses are kept between runs, so after
+// invalidate(filePath) only that file is parsed again. Options are those
+// of extractRoutesFromProject.
+export function createProjectExtractor(options = {}) {
+  const { onParseError = reportParseError, onSkip = reportSkip } = options;
+  const isIncluded = createFileFilter(options);
+  const ruleSet = createRuleSet(options);
+  const modules = new Map();
+  let analyses = new Map();
+  let entryPaths = [];
+  let usedFiles = new Set();
+  let prisma = null;
+  const types = createTypeChecker();
+
+  // Models of the Prisma schema given in the options, or found next to
+  // the first entry. Kept until one of its files changes.
+  function loadPrismaSchema() {
+    const schemaPath = options.prismaSchema
+      ? path.resolve(options.baseDir || process.cwd(), options.prismaSchema)
+      : findPrismaSchema(path.dirname(entryPaths[0]));
+    if (!schemaPath) return { files: [], models: {} };
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error(`Prisma schema not found: ${schemaPath}`);
+    }
+
+    if (!prisma || prisma.path !== schemaPath) {
+      const files = getPrismaSchemaFiles(schemaPath);
+      const source = files
+        .map((file) => fs.readFileSync(file, "utf8"))
+        .join("\n");
+      prisma = { path: schemaPath, files, models: parsePrismaSchema(source) };
+    }
+    return prisma;
+  }
+
+  // Entry files are analyzed even when the globs leave them out
+  function loadModule(filePath) {
+    if (!entryPaths.includes(filePath) && !isIncluded(filePath)) return null;
+
+    if (!modules.has(filePath)) {
+      const content = fs.readFileSync(filePath, "utf8");
+      modules.set(filePath, analyzeModule(content, filePath));
+    }
+    usedFiles.add(filePath);
+    return modules.get(filePath);
+  }
+
+  function extract(entry) {
+    entryPaths = [].concat(entry).map((file) => path.resolve(file));
+    usedFiles = new Set();
+    const { files: schemaFiles, models: prismaModels } = loadPrismaSchema();
+
+    const routes = entryPaths.flatMap((entryPath) =>
+      linkRoutes(entryPath, {
+        loadModule,
+        resolveModule,
+        ruleSet,
+        analyses,
+        prismaModels,
+        types,
+        authMiddleware: options.authMiddleware,
+        onSkip,
+      })
+    );
+
+    usedFiles.forEach((filePath) => {
+      const { parseError, analysisError } = modules.get(filePath);
+      if (parseError) onParseError(filePath, parseError);
+      if (analysisError) {
+        onSkip(getAnalysisErrorSkip(filePath, analysisError));
+      }
+    });
+    schemaFiles.forEach((file) => usedFiles.add(file));
+
+    // An entry may also be mounted by another one: keep each operation once
+    const seen = new Set();
+    return routes.filter((route) => {
+      const key = `${route.method} ${route.path}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  return {
+    extract,
+    invalidate: (filePath) => {
+      const resolved = path.resolve(filePath);
+      modules.delete(resolved);
+      // Drop the analyses of the handlers declared in the file, or using
+      // a model or schema of it
+      analyses.forEach(({ files }, node) => {
+        if (files.includes(resolved)) analyses.delete(node);
+      });
+      // Handler analyses hold the schemas of the Prisma models
+      if (prisma && prisma.files.includes(resolved)) {
+        prisma = null;
+        analyses = new Map();
+      }
+      // The types of a file may come from any other one
+      if (isTypeScriptFile(resolved)) {
+        types.invalidate();
+        analyses = new Map();
+      }
+    },
+    // Files read by the last extract() run
+    getFiles: () => [...usedFiles],
+  };
+}
+
+// Extract the routes of an application starting at its entry file(s),
+// following local imports/requires and app.use() mounts across files.
+// Takes the same options as extractRoutesFromExpressApp, plus:
+// - include/exclude: globs (relative to baseDir) of the files to follow
+// - baseDir: directory the globs are relative to, cwd by default
+// - prismaSchema: path (relative to baseDir) of the Prisma schema file or
+//   directory. By default prisma/schema.prisma or schema.prisma is looked
+//   up from the directory of the first entry to the project root.
+export function extractRoutesFromProject(entry, options = {}) {
+  return createProjectExtractor(options).extract(entry);
+}
@@ -0,0 +1,97 @@
+// Name-based heuristics, used when the code gives no better clue. A rule
+// matches request fields by `name` (optionally only `in` one location) and
+// gives them a type/format/required flag, or matches route paths by `path`
+// and gives them a tag. Patterns are a name, a list of names, a RegExp or
+// a "/regexp/flags" string. Earlier rules win over later ones.
+export const DEFAULT_RULES = [
+  { name: ["completed", "active", "enabled", "published"], type: "boolean" },
+  {
+    name: ["age", "count", "price", "quantity", "page", "limit"],
+    type: "integer",
+  },
+  { name: ["rating", "score", "percentage"], type: "number" },
+];
+
+const FIELD_HINTS = ["type", "format", "required"];
+
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) return (value) => pattern.test(value);
+  if (Array.isArray(pattern)) return (value) => pattern.includes(value);
+
+  // "/^is[A-Z]/" in a JSON config stands for a regular expression
+  const regexp =
+    typeof pattern === "string" && pattern.match(/^\/(.+)\/(\w*)$/);
+  if (regexp) {
+    const compiled = new RegExp(regexp[1], regexp[2]);
+    return (value) => compiled.test(value);
+  }
+  if (typeof pattern === "string") return (value) => value === pattern;
+
+  throw new Error(`Invalid rule pattern: ${JSON.stringify(pattern)}`);
+}
+
+// Pattern of a rule as written: /^is[A-Z]/, age, title|name|email
+function formatPattern(pattern) {
+  return Array.isArray(pattern) ? pattern.join("|") : String(pattern);
+}
+
+function compileRule(rule) {
+  if (!rule || (rule.name === undefined) === (rule.path === undefined)) {
+    throw new Error(
+      `Invalid rule ${JSON.stringify(rule)}: expected either "name" or "path"`
+    );
+  }
+  const key = rule.name !== undefined ? "name" : "path";
+  return { ...rule, key, matches: compilePattern(rule[key]) };
+}
+
+// Build the rule set used by an analysis. User rules come first so they
+// override the defaults, which can be turned off with defaultRules: false.
+export function createRuleSet({ rules = [], defaultRules = true } = {}) {
+  const compiled = [...rules, ...(defaultRules ? DEFAULT_RULES : [])].map(
+    compileRule
+  );
+
+  // Type, format and required flag of a request field, by its name.
+  // typeRule is the pattern of the rule giving the type.
+  function getFieldHints(name, location) {
+    const hints = {};
+    compiled
+      .filter(
+        (rule) =>
+          rule.key === "name" &&
+          (!rule.in || rule.in === location) &&
+          rule.matches(name)
+      )
+      .forEach((rule) => {
+        FIELD_HINTS.forEach((hint) => {
+          if (hints[hint] === undefined && rule[hint] !== undefined) {
+            hints[hint] = rule[hint];
+            if (hint === "type") hints.typeRule = formatPattern(rule.name);
+          }
+        });
+      });
+    return hints;
+  }
+
+  // Tag of the first rule matching an OpenAPI path
+  function getTag(path) {
+    const rule = compiled.find(
+      (rule) => rule.key === "path" && rule.tag && rule.matches(path)
+    );
+    return rule ? rule.tag : null;
+  }
+
+  return { getFieldHints, getTag };
+}
+
+// How the hints of a field tell its type: a name rule, or nothing (it is
+// a string). Either way it is a guess, but for headers and cookies, which
+// are strings.
+export function getHintsOrigin(hints, location) {
+  if (hints.type) {
+    return { heuristic: "name-rule", rule: hints.typeRule, confidence: "low" };
+  }
+  const isString = location === "header" || location === "cookie";
+  return { heuristic: "fallback", confidence: isString ? "high" : "low" };
+}
@@ -0,0 +1,427 @@
+import * as walk from "acorn-walk";
+import { getStaticString } from "./analyzer.js";
+import { lookup, getPropertyKey, readValue } from "./values.js";
+
+// Guards against middleware whose value refers back to itself
+const MAX_RESOLVE_DEPTH = 20;
+
+const FUNCTION_TYPES = [
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+];
+
+// Schemes of the authentications recognized, by their usual names
+export const SECURITY_SCHEMES = {
+  bearerAuth: { type: "http", scheme: "bearer" },
+  jwtAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+  basicAuth: { type: "http", scheme: "basic" },
+  ApiKeyAuth: { type: "apiKey", in: "header", name: "X-API-Key" },
+  cookieAuth: { type: "apiKey", in: "cookie", name: "connect.sid" },
+};
+
+// Schemes of the passport strategies that authenticate each request.
+// Login strategies (local, oauth2, google, ...) are left out: the routes
+// using them start a login, they do not require one.
+const PASSPORT_STRATEGIES = {
+  jwt: "jwtAuth",
+  bearer: "bearerAuth",
+  basic: "basicAuth",
+  digest: "basicAuth",
+  headerapikey: "ApiKeyAuth",
+  localapikey: "ApiKeyAuth",
+  session: "cookieAuth",
+};
+
+// expressjwt({ secret }) from express-jwt, under its names across versions
+const EXPRESS_JWT_NAMES = ["expressjwt", "expressJwt", "expressJWT", "jwt"];
+
+// Headers, query parameters and cookies that carry a key or a token
+const API_KEY_PATTERN = /^(x-)?(api[-_]?key|access[-_]?token|auth[-_]?token)$/i;
+const AUTH_COOKIE_PATTERN = /token|jwt|session|sid|auth/i;
+
+const UNAUTHORIZED = { description: "Unauthorized" };
+
+// Name of a middleware expression, as it may be configured: requireAuth,
+// auth.required, requireRole for requireRole("admin")
+function getMiddlewareName(node) {
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && !node.computed) {
+    const object = getMiddlewareName(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  if (node.type === "CallExpression") return getMiddlewareName(node.callee);
+  return null;
+}
+
+function getCalleeName(node) {
+  const { callee } = node;
+  if (callee.type === "Identifier") return callee.name;
+  if (callee.type === "MemberExpression" && !callee.computed) {
+    return callee.property.name;
+  }
+  return null;
+}
+
+// Scheme of an API key, named after where it is read from
+function createApiKeyScheme(location, name) {
+  if (location === "header" && /^x-api-key$/i.test(name)) {
+    return { name: "ApiKeyAuth", scheme: SECURITY_SCHEMES.ApiKeyAuth };
+  }
+  const words = name.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  const prefix = words
+    .map((word) => word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join("");
+  const suffix = location === "cookie" ? "Cookie" : "Auth";
+  return {
+    name: `${prefix}${prefix.endsWith(suffix) ? "" : suffix}`,
+    scheme: { type: "apiKey", in: location, name },
+  };
+}
+
+// Name of the request header, query parameter or cookie a node reads:
+// req.headers.authorization, req.header("X-API-Key"), req.query.api_key
+function readRequestKey(node) {
+  if (node.type === "MemberExpression") {
+    const { object } = node;
+    const key = node.computed
+      ? getStaticString(node.property)
+      : node.property.name;
+    if (key === null || object.type !== "MemberExpression") return null;
+    const source = object.computed ? null : object.property.name;
+    if (source === "headers") return { location: "header", name: key };
+    if (source === "query") return { location: "query", name: key };
+    if (source === "cookies" || source === "signedCookies") {
+      return { location: "cookie", name: key };
+    }
+    return null;
+  }
+  if (
+    node.type === "CallExpression" &&
+    node.callee.type === "MemberExpression" &&
+    ["header", "get"].includes(node.callee.property.name)
+  ) {
+    const name = getStaticString(node.arguments[0]);
+    return name === null ? null : { location: "header", name };
+  }
+  return null;
+}
+
+// What a middleware function tells about the authentication it checks:
+// the credentials it reads, whether it verifies a JWT and if it relies on
+// a passport session. Nested functions (middleware factories) included.
+function readCredentials(fn) {
+  const facts = {
+    authorization: false,
+    basic: false,
+    jwt: false,
+    session: false,
+    keys: [],
+  };
+
+  walk.full(fn, (node) => {
+    if (node.type === "Literal" && typeof node.value === "string") {
+      if (/^basic\b/i.test(node.value)) facts.basic = true;
+    }
+    if (node.type === "CallExpression") {
+      const name = getCalleeName(node);
+      if (name === "isAuthenticated") facts.session = true;
+      // jwt.verify(token, secret)
+      if (
+        name === "verify" &&
+        node.callee.type === "MemberExpression" &&
+        /jwt|jose/i.test(getMiddlewareName(node.callee.object) || "")
+      ) {
+        facts.jwt = true;
+      }
+    }
+
+    const key = readRequestKey(node);
+    if (!key) return;
+    if (key.location === "header" && /^authorization$/i.test(key.name)) {
+      facts.authorization = true;
+    } else if (
+      (key.location !== "cookie" && API_KEY_PATTERN.test(key.name)) ||
+      (key.location === "cookie" && AUTH_COOKIE_PATTERN.test(key.name))
+    ) {
+      if (
+        !facts.keys.some(
+          (known) =>
+            known.location === key.location &&
+            known.name.toLowerCase() === key.name.toLowerCase()
+        )
+      ) {
+        facts.keys.push(key);
+      }
+    }
+  });
+
+  // Either of the credentials read is accepted
+  const alternatives = [];
+  if (facts.authorization) {
+    if (facts.basic) alternatives.push({ name: "basicAuth" });
+    else alternatives.push({ name: facts.jwt ? "jwtAuth" : "bearerAuth" });
+  }
+  facts.keys.forEach(({ location, name }) => {
+    alternatives.push(createApiKeyScheme(location, name));
+  });
+  if (facts.session && alternatives.length === 0) {
+    alternatives.push({ name: "cookieAuth" });
+  }
+  return alternatives;
+}
+
+// The function a middleware factory returns: requireRole("admin")
+function getReturnedFunction(fn) {
+  if (fn.body.type !== "BlockStatement") {
+    return FUNCTION_TYPES.includes(fn.body.type) ? fn.body : null;
+  }
+  const statement = fn.body.body.find(
+    (node) =>
+      node.type === "ReturnStatement" &&
+      node.argument &&
+      FUNCTION_TYPES.includes(node.argument.type)
+  );
+  return statement ? statement.argument : null;
+}
+
+// The function a middleware expression runs, with the context of its
+// file: an inline function, a name or a member referring to one, or the
+// function a factory such as requireTenant({ header }) returns
+export function findMiddlewareFunction(node, context, depth = 0) {
+  if (!node || depth > MAX_RESOLVE_DEPTH) return null;
+  if (FUNCTION_TYPES.includes(node.type)) return { node, context };
+  if (node.type === "CallExpression") {
+    const target = context.resolveMiddleware(node.callee);
+    const fn =
+      target &&
+      FUNCTION_TYPES.includes(target.node.type) &&
+      getReturnedFunction(target.node);
+    return fn ? { node: fn, context: target.context } : null;
+  }
+  if (node.type === "Identifier" || node.type === "MemberExpression") {
+    const target = context.resolveMiddleware(node);
+    return target
+      ? findMiddlewareFunction(target.node, target.context, depth + 1)
+      : null;
+  }
+  return null;
+}
+
+// Paths left out by express-jwt's .unless({ path: [...] })
+function readUnless(node, resolve) {
+  const options = readValue(node.arguments[0], resolve);
+  if (!options || typeof options !== "object") return [];
+  return []
+    .concat(options.path || [])
+    .map((entry) =>
+      typeof entry === "string"
+        ? { url: entry, methods: null }
+        : entry && typeof entry.url === "string"
+          ? { url: entry.url, methods: [].concat(entry.methods || []) }
+          : null
+    )
+    .filter(Boolean);
+}
+
+// Read the authentication a route's middleware requires. Recognized:
+// - middleware named in authMiddleware ({ requireAuth: "bearerAuth" } or
+//   { requireRole: { scheme: "bearerAuth", scopes: ["admin"] } })
+// - passport.authenticate("jwt"), express-jwt's expressjwt({ secret })
+//   (and its .unless()), express-oauth2-jwt-bearer's auth({ audience })
+// - functions reading the Authorization header, an API key header, query
+//   parameter or cookie, or checking req.isAuthenticated()
+// The context of the file the middleware is used in gives:
+// - resolve(name): the value a name is declared with (see routes.js)
+// - resolveMiddleware(node): { node, context } of the function or value a
+//   name or a member refers to, with the context of its file
+// - analyze(fn): the analysis of a middleware function (see handler.js),
+//   whose 401 and 403 responses are kept
+// Returns { requirements, schemes, responses, unless } or null: the
+// requirements are alternatives ({ schemeName: scopes }), any of which
+// grants access; unless lists the { url, methods } left out.
+export function readSecurity(middleware, context, authMiddleware = {}) {
+  const requirements = [];
+  const schemes = {};
+  const responses = {};
+  const unless = [];
+
+  function addAlternatives(alternatives, scopes = []) {
+    if (alternatives.length === 0) return;
+    alternatives.forEach(({ name, scheme }) => {
+      // Configured schemes the config does not define are bearer tokens
+      schemes[name] = scheme ||
+        lookup(SECURITY_SCHEMES, name) || { type: "http", scheme: "bearer" };
+    });
+    requirements.push(alternatives.map(({ name }) => ({ [name]: scopes })));
+  }
+
+  function addResponses(fn, fnContext) {
+    const analysis = fnContext.analyze(fn);
+    ["401", "403"].forEach((status) => {
+      if (analysis.responses[status] && !responses[status]) {
+        responses[status] = analysis.responses[status];
+      }
+    });
+  }
+
+  function read(node, nodeContext, depth) {
+    if (!node || depth > MAX_RESOLVE_DEPTH) return;
+
+    if (node.type === "ArrayExpression") {
+      node.elements.forEach((element) => read(element, nodeContext, depth));
+      return;
+    }
+
+    const configured = lookup(authMiddleware, getMiddlewareName(node));
+    if (configured) {
+      const { scheme, scopes = [] } =
+        typeof configured === "string" ? { scheme: configured } : configured;
+      addAlternatives([{ name: scheme }], scopes);
+      const target = nodeContext.resolveMiddleware(
+        node.type === "CallExpression" ? node.callee : node
+      );
+      if (target && FUNCTION_TYPES.includes(target.node.type)) {
+        const fn =
+          node.type === "CallExpression"
+            ? getReturnedFunction(target.node)
+            : target.node;
+        if (fn) addResponses(fn, target.context);
+      }
+      if (!responses["401"] && !responses["403"]) {
+        responses["401"] = UNAUTHORIZED;
+      }
+      return;
+    }
+
+    if (FUNCTION_TYPES.includes(node.type)) {
+      const alternatives = readCredentials(node);
+      addAlternatives(alternatives);
+      addResponses(getReturnedFunction(node) || node, nodeContext);
+      if (alternatives.length > 0 && !responses["401"]) {
+        responses["401"] = UNAUTHORIZED;
+      }
+      return;
+    }
+
+    if (node.type === "CallExpression") {
+      const name = getCalleeName(node);
+      const [first] = node.arguments;
+
+      // expressjwt({ ... }).unless({ path: ["/login"] })
+      if (
+        name === "unless" &&
+        node.callee.type === "MemberExpression" &&
+        node.callee.object.type === "CallExpression"
+      ) {
+        unless.push(...readUnless(node, nodeContext.resolve));
+        read(node.callee.object, nodeContext, depth + 1);
+        return;
+      }
+
+      // passport.authenticate("jwt", { session: false })
+      if (
+        name === "authenticate" &&
+        node.callee.type === "MemberExpression" &&
+        first
+      ) {
+        const strategies = [].concat(readValue(first, nodeContext.resolve));
+        const alternatives = strategies
+          .map((strategy) => lookup(PASSPORT_STRATEGIES, String(strategy)))
+          .filter(Boolean)
+          .map((scheme) => ({ name: scheme }));
+        if (alternatives.length > 0) {
+          addAlternatives(alternatives);
+          responses["401"] = responses["401"] || UNAUTHORIZED;
+        }
+        return;
+      }
+
+      // expressjwt({ secret, algorithms }), auth({ audience, issuerBaseURL })
+      const options =
+        first && first.type === "ObjectExpression"
+          ? first.properties.map(getPropertyKey)
+          : [];
+      if (
+        (EXPRESS_JWT_NAMES.includes(name) && options.includes("secret")) ||
+        (name === "auth" &&
+          (options.includes("audience") || options.includes("issuerBaseURL")))
+      ) {
+        addAlternatives([{ name: "jwtAuth" }]);
+        responses["401"] = responses["401"] || UNAUTHORIZED;
+        return;
+      }
+
+      // requireRole("admin"): the function the factory returns
+      const target = nodeContext.resolveMiddleware(node.callee);
+      if (target && FUNCTION_TYPES.includes(target.node.type)) {
+        const alternatives = readCredentials(target.node);
+        addAlternatives(alternatives);
+        const fn = getReturnedFunction(target.node);
+        if (fn) addResponses(fn, target.context);
+        if (alternatives.length > 0 && !responses["401"]) {
+          responses["401"] = UNAUTHORIZED;
+        }
+      } else if (target) {
+        read(target.node, target.context, depth + 1);
+      }
+      return;
+    }
+
+    if (node.type === "Identifier" || node.type === "MemberExpression") {
+      const target = nodeContext.resolveMiddleware(node);
+      if (target) read(target.node, target.context, depth + 1);
+    }
+  }
+
+  middleware.forEach((node) => read(node, context, 0));
+  if (requirements.length === 0 && Object.keys(responses).length === 0) {
+    return null;
+  }
+  return { requirements, schemes, responses, unless };
+}
+
+// Whether a route is left out of a middleware by express-jwt's .unless()
+function isExcluded(security, path, method) {
+  return security.unless.some(
+    ({ url, methods }) =>
+      url === path &&
+      (!methods ||
+        methods.length === 0 ||
+        methods.some((m) => m.toLowerCase() === method))
+  );
+}
+
+// Combine the security read from the middleware a route goes through (in
+// order) into its security requirements, the schemes they refer to and
+// the responses the middleware sends. Each middleware adds a requirement:
+// alternatives are crossed, so { a } then { b } or { c } gives
+// [{ a, b }, { a, c }].
+export function combineSecurity(securities, path, method) {
+  let security = null;
+  const schemes = {};
+  const responses = {};
+
+  securities
+    .filter((entry) => entry && !isExcluded(entry, path, method))
+    .forEach((entry) => {
+      Object.assign(schemes, entry.schemes);
+      Object.entries(entry.responses).forEach(([status, response]) => {
+        if (!responses[status]) responses[status] = response;
+      });
+      entry.requirements.forEach((alternatives) => {
+        security = security
+          ? security.flatMap((requirement) =>
+              alternatives.map((alternative) => ({
+                ...requirement,
+                ...alternative,
+              }))
+            )
+          : alternatives;
+      });
+    });
+
+  if (!security && Object.keys(responses).length === 0) return null;
+  return { security, schemes, responses };
+}
@@ -0,0 +1,133 @@
+import path from "path";
+import { createRuleSet } from "./rules.js";
+import { extractComponents } from "./components.js";
+import { resolveOpenAPIVersion, convertDocumentTo31 } from "./versions.js";
+
+// x-source of an operation: the file declaring its route, relative to the
+// base directory and with forward slashes on every platform, and the line
+function getSourceExtension({ file, line }, baseDir = process.cwd()) {
+  return {
+    ...(file && {
+      file: path.relative(baseDir, file).split(path.sep).join("/"),
+    }),
+    line,
+  };
+}
+
+// Build the OpenAPI document for the extracted routes. Tags come from the
+// rules matching each path (same options as the route extraction). The
+// info, servers, tags, externalDocs and components options are merged into
+// the document, with the schemas the routes refer to. Doc comments of the
+// routes override the generated summary and tags. Operations behind
+// authentication middleware get its security requirements, and the
+// schemes they refer to are added to the components. Schemas and error
+// responses repeated across operations are moved to the components (see
+// components.js), unless inlineSchemas is true. openapiVersion "3.1"
+// writes an OpenAPI 3.1 document, with the webhooks option (see
+// versions.js); "3.0" is the default. sourceLocations: true tells where
+// each operation is declared, in x-source.
+export function generateOpenAPISpec(routes, options = {}) {
+  const version = resolveOpenAPIVersion(options.openapiVersion);
+  const ruleSet = createRuleSet(options);
+  const paths = {};
+  const operationIds = new Set();
+
+  for (const route of routes) {
+    const { path, method, parameters, requestBody, responses } = route;
+
+    if (!paths[path]) {
+      paths[path] = {};
+    }
+
+    // Generate operation summary and description
+    const operationPath = path.replace(/\{[^}]+\}/g, (match) => {
+      return match.toLowerCase();
+    });
+
+    const summary = route.summary || `${method.toUpperCase()} ${operationPath}`;
+    // Paths differing only by their punctuation (/todos/{id} and
+    // /todos/id) give the same id: the next ones are numbered
+    const baseId = `${method}${path.replace(/[^a-zA-Z0-9]/g, "")}`;
+    let operationId = baseId;
+    for (let index = 2; operationIds.has(operationId); index++) {
+      operationId = `${baseId}${index}`;
+    }
+    operationIds.add(operationId);
+
+    // Enhanced tagging - use the tag rules, then resource-based tags
+    let tag = ruleSet.getTag(path);
+    if (!tag) {
+      tag = "default";
+      // Use first path segment as tag, but make it descriptive
+      const pathSegments = path.split("/").filter(Boolean);
+      if (pathSegments.length > 0) {
+        const firstSegment = pathSegments[0];
+        if (firstSegment.startsWith("{") && firstSegment.endsWith("}")) {
+          // If first segment is a parameter, use a generic tag
+          tag = "Resources";
+        } else {
+          tag = firstSegment.charAt(0).toUpperCase() + firstSegment.slice(1);
+        }
+      }
+    }
+
+    paths[path][method] = {
+      summary,
+      ...(route.description && { description: route.description }),
+      operationId,
+      tags: route.tags || [tag],
+      ...(route.deprecated && { deprecated: true }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(requestBody && { requestBody }),
+      responses,
+      ...(route.security && { security: route.security }),
+      ...(options.sourceLocations &&
+        route.source && {
+          "x-source": getSourceExtension(route.source, options.baseDir),
+        }),
+      // Keys of an @openapi comment replace the generated ones
+      ...route.operation,
+    };
+  }
+
+  const { info, servers, tags, externalDocs, webhooks } = options;
+
+  // Schemas referenced by the routes (models), then those of the config
+  const schemas = Object.assign(
+    {},
+    ...routes.map((route) => route.schemas),
+    options.components && options.components.schemas
+  );
+  // Schemes of the authentication middleware, then those of the config
+  const securitySchemes = Object.assign(
+    {},
+    ...routes.map((route) => route.securitySchemes),
+    options.components && options.components.securitySchemes
+  );
+  const components =
+    Object.keys(schemas).length > 0 || Object.keys(securitySchemes).length > 0
+      ? {
+          ...options.components,
+          ...(Object.keys(schemas).length > 0 && { schemas }),
+          ...(Object.keys(securitySchemes).length > 0 && { securitySchemes }),
+        }
+      : options.components;
+
+  const document = {
+    openapi: "3.0.0",
+    info: {
+      title: "Express API",
+      version: "1.0.0",
+      description: "API documentation generated from Express.js application",
+      ...info,
+    },
+    ...(servers && { servers }),
+    ...(tags && { tags }),
+    ...(externalDocs && { externalDocs }),
+    paths,
+    ...(webhooks && version === "3.1" && { webhooks }),
+    ...(components && { components }),
+  };
+  const shared = options.inlineSchemas ? document : extractComponents(document);
+  return version === "3.1" ? convertDocumentTo31(shared) : shared;
+}
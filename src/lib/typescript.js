@@ -0,0 +1,494 @@
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+export const TYPESCRIPT_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts"];
+
+// Statements and class members that only declare types
+const TYPE_DECLARATIONS = [
+  "TSInterfaceDeclaration",
+  "TSTypeAliasDeclaration",
+  "TSDeclareFunction",
+  "TSDeclareMethod",
+  "TSModuleDeclaration",
+  "TSIndexSignature",
+  "TSAbstractMethodDefinition",
+  "TSAbstractPropertyDefinition",
+];
+
+// Expressions wrapped in a type: todo as TodoDto, <TodoDto>todo, todo!
+const TYPE_WRAPPERS = [
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSTypeAssertion",
+  "TSNonNullExpression",
+  "TSInstantiationExpression",
+];
+
+// Properties of the nodes that hold types, which the analysis never walks
+const TYPE_PROPERTIES = [
+  "typeAnnotation",
+  "returnType",
+  "typeParameters",
+  "typeArguments",
+  "superTypeParameters",
+  "implements",
+];
+
+// The compiler, loaded on the first TypeScript file
+let ts = null;
+
+export function isTypeScriptFile(filePath) {
+  return Boolean(
+    filePath &&
+      !filePath.endsWith(".d.ts") &&
+      TYPESCRIPT_EXTENSIONS.includes(path.extname(filePath))
+  );
+}
+
+// module.exports = value, for `export = router`
+function createExportAssignment(node, value) {
+  const { start, end } = node;
+  const id = (name) => ({ type: "Identifier", name, start, end });
+  return {
+    type: "ExpressionStatement",
+    start,
+    end,
+    expression: {
+      type: "AssignmentExpression",
+      operator: "=",
+      start,
+      end,
+      left: {
+        type: "MemberExpression",
+        object: id("module"),
+        property: id("exports"),
+        computed: false,
+        start,
+        end,
+      },
+      right: value,
+    },
+  };
+}
+
+// const Todos = require("./todos"), for `import Todos = require("./todos")`
+function createRequireDeclaration(node) {
+  const { start, end, id, moduleReference } = node;
+  if (moduleReference.type !== "TSExternalModuleReference") return null;
+  return {
+    type: "VariableDeclaration",
+    kind: "const",
+    start,
+    end,
+    declarations: [
+      {
+        type: "VariableDeclarator",
+        start,
+        end,
+        id,
+        init: {
+          type: "CallExpression",
+          start,
+          end,
+          callee: { type: "Identifier", name: "require", start, end },
+          arguments: [moduleReference.expression],
+          optional: false,
+        },
+      },
+    ],
+  };
+}
+
+// const Priority = { Low: "low", High: "high" }, for an enum
+function createEnumDeclaration(node) {
+  const { start, end } = node;
+  let next = 0;
+  const properties = node.members.map((member) => {
+    let value = member.initializer;
+    if (value && value.type === "Literal" && typeof value.value === "number") {
+      next = value.value + 1;
+    } else if (!value) {
+      value = { type: "Literal", value: next, raw: String(next), start, end };
+      next += 1;
+    }
+    return {
+      type: "Property",
+      kind: "init",
+      method: false,
+      shorthand: false,
+      computed: false,
+      key: member.id,
+      value,
+      start: member.start,
+      end: member.end,
+    };
+  });
+  return {
+    type: "VariableDeclaration",
+    kind: "const",
+    start,
+    end,
+    declarations: [
+      {
+        type: "VariableDeclarator",
+        start,
+        end,
+        id: node.id,
+        init: { type: "ObjectExpression", properties, start, end },
+      },
+    ],
+  };
+}
+
+// Rewrite a TypeScript node into the JavaScript it compiles to, or null
+// when it only declares types
+function stripNode(node) {
+  if (TYPE_DECLARATIONS.includes(node.type)) return null;
+  if (TYPE_WRAPPERS.includes(node.type)) return stripNode(node.expression);
+  if (node.importKind === "type" || node.exportKind === "type") return null;
+  // declare const x: T, abstract members and overload signatures
+  if (node.declare || (node.abstract && !node.type.startsWith("Class"))) {
+    return null;
+  }
+  if (node.type === "MethodDefinition" && !node.value.body) return null;
+
+  switch (node.type) {
+    case "TSParameterProperty":
+      return stripNode(node.parameter);
+    case "TSExportAssignment":
+      return createExportAssignment(node, stripNode(node.expression));
+    case "TSImportEqualsDeclaration": {
+      const declaration = createRequireDeclaration(node);
+      return declaration && stripNode(declaration);
+    }
+    case "TSEnumDeclaration":
+      return stripNode(createEnumDeclaration(node));
+    default:
+      break;
+  }
+
+  Object.keys(node).forEach((key) => {
+    if (TYPE_PROPERTIES.includes(key)) return;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      node[key] = value
+        .map((item) =>
+          item && typeof item.type === "string" ? stripNode(item) : item
+        )
+        .filter((item) => item !== null);
+    } else if (value && typeof value.type === "string" && key !== "loc") {
+      node[key] = stripNode(value);
+    }
+  });
+
+  // export interface Todo {} leaves an empty export behind
+  if (
+    node.type === "ExportNamedDeclaration" &&
+    !node.declaration &&
+    node.specifiers.length === 0 &&
+    !node.source
+  ) {
+    return null;
+  }
+  if (node.type === "ExportDefaultDeclaration" && !node.declaration) {
+    return null;
+  }
+  return node;
+}
+
+// Strip the type syntax out of a program parsed with the typescript plugin
+// of Babel, so it is analyzed like JavaScript. Positions are kept: types
+// are read from the sources by the type checker (see createTypeChecker).
+export function stripTypeSyntax(program) {
+  return stripNode(program);
+}
+
+// Compiler options and files of the tsconfig.json closest to a file, or
+// the defaults. The files bring the global declarations of the project.
+function readProjectConfig(filePath) {
+  const configPath = ts.findConfigFile(
+    path.dirname(filePath),
+    ts.sys.fileExists
+  );
+  const overrides = { noEmit: true, skipLibCheck: true };
+  if (configPath) {
+    const parsed = ts.getParsedCommandLineOfConfigFile(configPath, overrides, {
+      ...ts.sys,
+      onUnRecoverableConfigFileDiagnostic: () => {},
+    });
+    if (parsed) return { options: parsed.options, files: parsed.fileNames };
+  }
+  return {
+    options: {
+      ...overrides,
+      target: ts.ScriptTarget.ES2022,
+      module: ts.ModuleKind.ESNext,
+      moduleResolution: ts.ModuleResolutionKind.Bundler,
+      strict: true,
+      esModuleInterop: true,
+      types: [],
+    },
+    files: [],
+  };
+}
+
+// Deepest node of a source file containing a range that passes `accept`
+function findNode(sourceFile, start, end, accept) {
+  let found = null;
+  function visit(node) {
+    if (node.getStart(sourceFile) > start || node.end < end) return;
+    if (accept(node)) found = node;
+    ts.forEachChild(node, visit);
+  }
+  ts.forEachChild(sourceFile, visit);
+  return found;
+}
+
+// Type arguments written on a type: Request<Params, ResBody, ReqBody>
+function getTypeArguments(typeNode) {
+  return typeNode && ts.isTypeReferenceNode(typeNode) && typeNode.typeArguments
+    ? [...typeNode.typeArguments]
+    : [];
+}
+
+// Convert a type of the checker into a JSON schema. Types the checker
+// cannot tell (any, unknown, type parameters) give {}.
+function convertType(type, checker, location, stack = []) {
+  const { TypeFlags, SymbolFlags } = ts;
+  const { flags } = type;
+
+  if (flags & (TypeFlags.Any | TypeFlags.Unknown | TypeFlags.Never)) return {};
+  if (flags & TypeFlags.TypeParameter) return {};
+
+  if (type.isUnion()) {
+    const members = type.types.filter(
+      (member) =>
+        !(
+          member.flags &
+          (TypeFlags.Null | TypeFlags.Undefined | TypeFlags.Void)
+        )
+    );
+    const nullable = type.types.some((member) => member.flags & TypeFlags.Null);
+    let schema;
+    if (members.every((member) => member.flags & TypeFlags.BooleanLiteral)) {
+      schema = { type: "boolean" };
+    } else if (members.every((member) => member.isStringLiteral())) {
+      schema = { type: "string", enum: members.map((member) => member.value) };
+    } else if (members.every((member) => member.isNumberLiteral())) {
+      schema = { type: "number", enum: members.map((member) => member.value) };
+    } else {
+      // string | boolean: true and false are listed apart
+      const booleans = members.filter(
+        (member) => member.flags & TypeFlags.BooleanLiteral
+      );
+      const schemas = [
+        ...members
+          .filter((member) => !(member.flags & TypeFlags.BooleanLiteral))
+          .map((member) => convertType(member, checker, location, stack)),
+        ...(booleans.length > 0 ? [{ type: "boolean" }] : []),
+      ];
+      schema = schemas.length === 1 ? schemas[0] : { oneOf: schemas };
+    }
+    return nullable ? { ...schema, nullable: true } : schema;
+  }
+
+  if (type.isStringLiteral()) return { type: "string", enum: [type.value] };
+  if (type.isNumberLiteral()) return { type: "number", enum: [type.value] };
+  if (flags & TypeFlags.BooleanLiteral) {
+    return { type: "boolean", enum: [checker.typeToString(type) === "true"] };
+  }
+  if (flags & TypeFlags.StringLike) return { type: "string" };
+  if (flags & TypeFlags.NumberLike) return { type: "number" };
+  if (flags & TypeFlags.BigIntLike) return { type: "integer", format: "int64" };
+  if (flags & TypeFlags.BooleanLike) return { type: "boolean" };
+  if (flags & TypeFlags.Null) return { nullable: true };
+  if (!(flags & TypeFlags.Object) && !type.isIntersection()) return {};
+
+  const symbol = type.getSymbol();
+  if (symbol && symbol.getName() === "Date") {
+    return { type: "string", format: "date-time" };
+  }
+  if (checker.isArrayType(type) || checker.isTupleType(type)) {
+    const items = checker
+      .getTypeArguments(type)
+      .map((item) => convertType(item, checker, location, stack));
+    return {
+      type: "array",
+      items:
+        items.length === 1 ? items[0] : items.length ? { oneOf: items } : {},
+    };
+  }
+  if (type.getCallSignatures().length > 0) return {};
+
+  // Recursive types (a tree of comments) stop at the second level
+  if (stack.includes(type)) return { type: "object" };
+
+  const properties = {};
+  const required = [];
+  checker.getPropertiesOfType(type).forEach((property) => {
+    if (property.flags & SymbolFlags.Method) return;
+    const propertyType = checker.getTypeOfSymbolAtLocation(property, location);
+    if (propertyType.getCallSignatures().length > 0) return;
+
+    const name = property.getName();
+    let schema = convertType(propertyType, checker, location, [...stack, type]);
+    const description = ts.displayPartsToString(
+      property.getDocumentationComment(checker)
+    );
+    if (description) schema = { ...schema, description };
+    properties[name] = schema;
+
+    const optional =
+      property.flags & SymbolFlags.Optional ||
+      (propertyType.isUnion() &&
+        propertyType.types.some(
+          (member) => member.flags & TypeFlags.Undefined
+        ));
+    if (!optional) required.push(name);
+  });
+
+  // Record<string, number>, { [key: string]: Todo }
+  const indexType = type.getStringIndexType();
+  return {
+    type: "object",
+    ...(Object.keys(properties).length > 0 && { properties }),
+    ...(required.length > 0 && { required }),
+    ...(indexType && {
+      additionalProperties: convertType(indexType, checker, location, [
+        ...stack,
+        type,
+      ]),
+    }),
+  };
+}
+
+function isEmptySchema(schema) {
+  return !schema || Object.keys(schema).length === 0;
+}
+
+// Create a type checker for the TypeScript files of an app. The compiler
+// is loaded and the program built on first use, with the files asked for
+// as roots; invalidate() rebuilds it after a file changed.
+// forFile(filePath) returns the types of the nodes of a file, or null for
+// JavaScript files:
+// - getSchema(node): { schema, cast } of the value of an expression; cast
+//   tells the type was written (todo as TodoDto)
+// - getRequestTypes(fn): object schemas of the path, body and query of
+//   Request<Params, ResBody, ReqBody, Query>, and the response body
+export function createTypeChecker() {
+  const roots = new Set();
+  let program = null;
+  let checker = null;
+
+  function getSourceFile(filePath) {
+    if (!ts) ts = require("typescript");
+
+    if (!program || !program.getSourceFile(filePath)) {
+      const { options, files } = readProjectConfig(filePath);
+      [filePath, ...files].forEach((file) => roots.add(path.resolve(file)));
+      program = ts.createProgram({
+        rootNames: [...roots],
+        options,
+        oldProgram: program || undefined,
+      });
+      checker = program.getTypeChecker();
+    }
+    return program.getSourceFile(filePath) || null;
+  }
+
+  // Schema of a type, null when the checker cannot tell it
+  function toSchema(type, location) {
+    const schema = convertType(type, checker, location);
+    return isEmptySchema(schema) ? null : schema;
+  }
+
+  function forFile(filePath) {
+    if (!isTypeScriptFile(filePath)) return null;
+    const sourceFile = getSourceFile(filePath);
+    if (!sourceFile) return null;
+
+    function getSchema(node) {
+      let expression = findNode(
+        sourceFile,
+        node.start,
+        node.end,
+        (candidate) =>
+          candidate.getStart(sourceFile) === node.start &&
+          candidate.end === node.end
+      );
+      if (!expression) return null;
+
+      // The cast around the expression gives its type
+      let cast = false;
+      while (
+        expression.parent &&
+        (ts.isAsExpression(expression.parent) ||
+          ts.isTypeAssertionExpression(expression.parent) ||
+          ts.isSatisfiesExpression(expression.parent) ||
+          ts.isNonNullExpression(expression.parent) ||
+          ts.isParenthesizedExpression(expression.parent))
+      ) {
+        expression = expression.parent;
+        cast =
+          cast ||
+          ts.isAsExpression(expression) ||
+          ts.isTypeAssertionExpression(expression);
+      }
+
+      const schema = toSchema(
+        checker.getTypeAtLocation(expression),
+        expression
+      );
+      return schema && { schema, cast };
+    }
+
+    function getRequestTypes(fn) {
+      const declaration = findNode(sourceFile, fn.start, fn.end, (candidate) =>
+        ts.isFunctionLike(candidate)
+      );
+      if (!declaration) return {};
+
+      const [reqParam, resParam] = declaration.parameters;
+      let args = getTypeArguments(reqParam && reqParam.type);
+      const resArgs = getTypeArguments(resParam && resParam.type);
+
+      // const list: RequestHandler<Params, ResBody, ReqBody, Query> = ...
+      const { parent } = declaration;
+      if (args.length === 0 && ts.isVariableDeclaration(parent)) {
+        args = getTypeArguments(parent.type);
+      }
+      // router.get<Params, ResBody, ReqBody, Query>("/", (req, res) => ...)
+      if (
+        args.length === 0 &&
+        ts.isCallExpression(parent) &&
+        parent.typeArguments
+      ) {
+        args = [...parent.typeArguments];
+      }
+
+      const schemaOf = (typeNode) =>
+        typeNode
+          ? toSchema(checker.getTypeFromTypeNode(typeNode), typeNode)
+          : null;
+      const [params, resBody, reqBody, query] = args.map(schemaOf);
+      return {
+        path: params,
+        body: reqBody,
+        query,
+        response: resBody || schemaOf(resArgs[0]),
+      };
+    }
+
+    return { getSchema, getRequestTypes };
+  }
+
+  return {
+    forFile,
+    invalidate: () => {
+      program = null;
+      checker = null;
+    },
+  };
+}
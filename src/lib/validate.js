@@ -0,0 +1,231 @@
+import fs from "fs";
+import Ajv2020 from "ajv/dist/2020.js";
+import AjvDraft04 from "ajv-draft-04";
+import { resolveOpenAPIVersion } from "./versions.js";
+import { HTTP_METHODS } from "./analyzer.js";
+
+// Official schemas of the OpenAPI documents, by version. The 3.0 schema is
+// written in JSON Schema draft-04, the 3.1 schema in draft 2020-12.
+const META_SCHEMAS = {
+  "3.0": { file: "openapi-3.0.json", Ajv: AjvDraft04 },
+  3.1: { file: "openapi-3.1.json", Ajv: Ajv2020 },
+};
+
+// Keywords combining other schemas: their errors are those of the
+// alternatives they tried
+const COMBINING_KEYWORDS = [
+  "oneOf",
+  "anyOf",
+  "allOf",
+  "if",
+  "then",
+  "else",
+  "not",
+];
+
+// Validators are compiled once, on first use
+const validators = new Map();
+
+// The 3.1 schema leaves the schemas of the document to the dialect they
+// declare, through a $dynamicRef to its "meta" anchor. Ajv resolves that
+// reference to the root of the OpenAPI schema: it is made a plain $ref to
+// the schema definition the anchor is on.
+function resolveDynamicRefs(key, value) {
+  if (value && value.$dynamicRef === "#meta") {
+    const { $dynamicRef, ...rest } = value;
+    return { ...rest, $ref: "#/$defs/schema" };
+  }
+  return value;
+}
+
+function getValidator(version) {
+  if (!validators.has(version)) {
+    const { file, Ajv } = META_SCHEMAS[version];
+    const schema = JSON.parse(
+      fs.readFileSync(new URL(`./schemas/${file}`, import.meta.url), "utf8"),
+      resolveDynamicRefs
+    );
+    const ajv = new Ajv({
+      allErrors: true,
+      strict: false,
+      validateFormats: false,
+    });
+    validators.set(version, ajv.compile(schema));
+  }
+  return validators.get(version);
+}
+
+function decodePointer(pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function encodePointer(segments) {
+  return segments
+    .map(
+      (segment) =>
+        `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`
+    )
+    .join("");
+}
+
+function isUnder(pointer, parent) {
+  return pointer === parent || pointer.startsWith(`${parent}/`);
+}
+
+function getDepth(pointer) {
+  return pointer === "" ? 0 : pointer.split("/").length - 1;
+}
+
+// Message of a schema error, naming what is wrong
+function describeError({ keyword, params, message }) {
+  if (keyword === "required") {
+    return `missing required property "${params.missingProperty}"`;
+  }
+  if (keyword === "additionalProperties") {
+    return `unknown property "${params.additionalProperty}"`;
+  }
+  if (keyword === "unevaluatedProperties") {
+    return `unknown property "${params.unevaluatedProperty}"`;
+  }
+  if (keyword === "enum") {
+    return `must be one of ${params.allowedValues.map((value) => JSON.stringify(value)).join(", ")}`;
+  }
+  return message;
+}
+
+// The errors of a schema validation, as few and as precise as possible.
+// When a value matches none of the alternatives of a oneOf (a parameter
+// or its $ref, a schema or its $ref...), each alternative reports its own
+// errors: those closest to the value are those of the alternative meant.
+function selectErrors(errors) {
+  const alternatives = errors
+    .filter((error) => COMBINING_KEYWORDS.includes(error.keyword))
+    .map((error) => error.instancePath);
+  const outermost = alternatives.filter(
+    (pointer) =>
+      !alternatives.some(
+        (other) => other !== pointer && isUnder(pointer, other)
+      )
+  );
+
+  const candidates = errors.filter(
+    (error) =>
+      !COMBINING_KEYWORDS.includes(error.keyword) &&
+      // The other alternative of most objects is a $ref
+      !(error.keyword === "required" && error.params.missingProperty === "$ref")
+  );
+  const selected = candidates.filter((error) => {
+    const group = outermost.find((pointer) =>
+      isUnder(error.instancePath, pointer)
+    );
+    if (group === undefined) return true;
+    const depth = Math.min(
+      ...candidates
+        .filter((other) => isUnder(other.instancePath, group))
+        .map((other) => getDepth(other.instancePath))
+    );
+    return getDepth(error.instancePath) === depth;
+  });
+
+  const seen = new Set();
+  return selected
+    .map((error) => ({
+      pointer: error.instancePath,
+      message: describeError(error),
+    }))
+    .filter(({ pointer, message }) => {
+      const key = `${pointer} ${message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Call visit(operation, pointer, path, method) for the operations
+function forEachOperation(document, visit) {
+  Object.entries(document.paths || {}).forEach(([path, pathItem]) => {
+    Object.entries(pathItem || {}).forEach(([method, operation]) => {
+      if (!HTTP_METHODS.includes(method) && method !== "trace") return;
+      if (!operation || typeof operation !== "object") return;
+      visit(operation, encodePointer(["paths", path, method]), path, method);
+    });
+  });
+}
+
+// Value of a local $ref (#/components/schemas/Todo), undefined if none
+function resolvePointer(document, ref) {
+  return decodePointer(ref.slice(1)).reduce(
+    (value, segment) =>
+      value && typeof value === "object" && Object.hasOwn(value, segment)
+        ? value[segment]
+        : undefined,
+    document
+  );
+}
+
+// What the schemas of the OpenAPI Specification cannot check: operation
+// ids are unique and local references point to something
+function checkDocument(document) {
+  const problems = [];
+
+  const operationIds = new Map();
+  forEachOperation(document, (operation, pointer, path, method) => {
+    const { operationId } = operation;
+    if (typeof operationId !== "string") return;
+    const first = operationIds.get(operationId);
+    if (first) {
+      problems.push({
+        pointer: `${pointer}/operationId`,
+        message: `operationId "${operationId}" is also used by ${first}`,
+      });
+    } else {
+      operationIds.set(operationId, `${method.toUpperCase()} ${path}`);
+    }
+  });
+
+  function checkRefs(value, segments) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => checkRefs(item, [...segments, index]));
+      return;
+    }
+    if (!value || typeof value !== "object") return;
+    if (
+      typeof value.$ref === "string" &&
+      value.$ref.startsWith("#/") &&
+      resolvePointer(document, value.$ref) === undefined
+    ) {
+      problems.push({
+        pointer: encodePointer([...segments, "$ref"]),
+        message: `$ref "${value.$ref}" does not point to anything`,
+      });
+    }
+    Object.entries(value).forEach(([key, child]) => {
+      // Examples are values, whatever they hold
+      if (key !== "example" && key !== "examples") {
+        checkRefs(child, [...segments, key]);
+      }
+    });
+  }
+  checkRefs(document, []);
+
+  return problems;
+}
+
+// Validate a document against the schema of its OpenAPI version, then
+// check what that schema cannot tell. Returns the problems found, as
+// { pointer, message, path?, method? }: pointer is the JSON pointer of
+// the offending value, path and method those of its operation.
+export function validateDocument(document) {
+  const version = resolveOpenAPIVersion(document.openapi);
+  const validate = getValidator(version);
+  const problems = validate(document) ? [] : selectErrors(validate.errors);
+  problems.push(...checkDocument(document));
+
+  return problems.map((problem) => {
+    const [root, path, method] = decodePointer(problem.pointer);
+    return root === "paths" && method ? { ...problem, path, method } : problem;
+  });
+}
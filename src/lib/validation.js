@@ -0,0 +1,683 @@
+import { getStaticString } from "./analyzer.js";
+import {
+  lookup,
+  getPropertyKey,
+  readValue,
+  readPattern,
+  setEnum,
+} from "./values.js";
+
+// Names the validation libraries are usually imported under
+const LIBRARY_NAMES = { Joi: "joi", joi: "joi", z: "zod", zod: "zod" };
+
+// Guards against names whose value refers back to themselves
+const MAX_RESOLVE_DEPTH = 20;
+
+// Schemas of the Joi.xxx() / z.xxx() types without arguments
+const BASE_TYPES = {
+  string: { type: "string" },
+  number: { type: "number" },
+  bigint: { type: "integer" },
+  boolean: { type: "boolean" },
+  bool: { type: "boolean" },
+  date: { type: "string", format: "date-time" },
+  binary: { type: "string", format: "binary" },
+  any: {},
+  unknown: {},
+};
+
+// Joi and zod methods setting a string format
+const FORMAT_METHODS = {
+  email: "email",
+  uri: "uri",
+  url: "uri",
+  uuid: "uuid",
+  guid: "uuid",
+  isoDate: "date-time",
+  datetime: "date-time",
+  hostname: "hostname",
+};
+
+// Parts of the request, by the name celebrate (Segments.BODY, ...) and
+// validation wrappers ({ body, query, params }) give them
+const REQUEST_SEGMENTS = {
+  body: "body",
+  query: "query",
+  params: "path",
+  headers: "header",
+  cookies: "cookie",
+};
+
+// express-validator functions, by the part of the request they check
+const VALIDATOR_LOCATIONS = {
+  body: "body",
+  check: "body",
+  query: "query",
+  param: "path",
+  header: "header",
+  cookie: "cookie",
+};
+
+// express-validator validators and sanitizers telling the field type
+const VALIDATOR_TYPES = {
+  isInt: "integer",
+  toInt: "integer",
+  isFloat: "number",
+  isDecimal: "number",
+  isNumeric: "number",
+  toFloat: "number",
+  isBoolean: "boolean",
+  toBoolean: "boolean",
+  isArray: "array",
+  isObject: "object",
+  isString: "string",
+};
+const VALIDATOR_FORMATS = {
+  isEmail: "email",
+  isURL: "uri",
+  isUUID: "uuid",
+  isISO8601: "date-time",
+  isDate: "date",
+  toDate: "date-time",
+};
+
+// min/max bound a length, a number of items or a value, by the type
+function setBound(schema, bound, value, exclusive = false) {
+  if (typeof value !== "number") return schema;
+
+  const keys =
+    schema.type === "string"
+      ? ["minLength", "maxLength"]
+      : schema.type === "array"
+        ? ["minItems", "maxItems"]
+        : schema.type === "object"
+          ? ["minProperties", "maxProperties"]
+          : ["minimum", "maximum"];
+  const key = bound === "min" ? keys[0] : keys[1];
+  const isValueBound = key === "minimum" || key === "maximum";
+
+  return {
+    ...schema,
+    [key]: value,
+    ...(exclusive &&
+      isValueBound && {
+        [bound === "min" ? "exclusiveMinimum" : "exclusiveMaximum"]: true,
+      }),
+  };
+}
+
+function withoutRequired(schema) {
+  const copy = { ...schema };
+  delete copy.required;
+  return copy;
+}
+
+// Union of two object schemas, as when a location is validated twice
+function mergeObjectSchemas(first, second) {
+  if (!first || !first.properties || !second.properties) {
+    return { ...first, ...second };
+  }
+
+  const required = [
+    ...new Set([...(first.required || []), ...(second.required || [])]),
+  ];
+  return {
+    ...first,
+    ...second,
+    properties: { ...first.properties, ...second.properties },
+    ...(required.length > 0 && { required }),
+  };
+}
+
+// Joi.object({ ... }) / z.object({ ... }) properties. Joi also takes
+// plain objects for nested objects.
+function readObject(node, library, resolve, depth) {
+  const schema = { type: "object" };
+  if (!node) return schema;
+
+  if (node.type === "Identifier") {
+    const resolved = resolve(node.name);
+    return resolved && depth < MAX_RESOLVE_DEPTH
+      ? readObject(resolved.node, library, resolved.resolve, depth + 1)
+      : schema;
+  }
+  if (node.type !== "ObjectExpression") return schema;
+
+  const properties = {};
+  const required = [];
+  node.properties.forEach((prop) => {
+    const key = getPropertyKey(prop);
+    if (key === null) return;
+
+    const converted =
+      convertDefinition(prop.value, resolve, depth) ||
+      (library === "joi" && prop.value.type === "ObjectExpression"
+        ? {
+            schema: readObject(prop.value, library, resolve, depth),
+            required: false,
+          }
+        : null);
+    properties[key] = converted ? converted.schema : {};
+    if (converted && converted.required) required.push(key);
+  });
+
+  return {
+    ...schema,
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+}
+
+function schemaOf(node, resolve, depth) {
+  const converted = convertDefinition(node, resolve, depth);
+  return converted ? converted.schema : {};
+}
+
+// Joi.string(), z.object({ ... }), z.enum([...])
+function createType(library, name, args, resolve, depth) {
+  const result = (schema) => ({
+    library,
+    required: library === "zod",
+    schema,
+  });
+
+  switch (name) {
+    case "object":
+      return result(readObject(args[0], library, resolve, depth));
+    case "array":
+      return result({
+        type: "array",
+        items: args[0] ? schemaOf(args[0], resolve, depth) : {},
+      });
+    case "enum":
+      return result(setEnum({}, readValue(args[0], resolve)));
+    case "literal":
+      return result(setEnum({}, [readValue(args[0], resolve)]));
+    case "union":
+      return result({
+        oneOf: (args[0] ? args[0].elements : []).map((element) =>
+          schemaOf(element, resolve, depth)
+        ),
+      });
+    case "record":
+      return result({
+        type: "object",
+        additionalProperties: schemaOf(args[args.length - 1], resolve, depth),
+      });
+    case "alternatives":
+      return result({});
+    default:
+      return lookup(BASE_TYPES, name) ? result({ ...BASE_TYPES[name] }) : null;
+  }
+}
+
+// Apply a chained method: .required(), .min(3), .email(), ...
+// Methods that do not change the schema (.trim(), .messages(), ...) are
+// ignored.
+function applyMethod(result, name, args, resolve, depth) {
+  const { schema } = result;
+  const value = readValue(args[0], resolve);
+  const withSchema = (next) => ({ ...result, schema: next });
+
+  const format = lookup(FORMAT_METHODS, name);
+  if (format) return withSchema({ ...schema, type: "string", format });
+
+  switch (name) {
+    case "required":
+      // z.object().required() makes every property required
+      if (result.library === "zod" && schema.properties) {
+        return withSchema({
+          ...schema,
+          required: Object.keys(schema.properties),
+        });
+      }
+      return { ...result, required: true };
+    case "exist":
+    case "nonoptional":
+      return { ...result, required: true };
+    case "optional":
+      return { ...result, required: false };
+    case "nullable":
+      return withSchema({ ...schema, nullable: true });
+    case "nullish":
+      return {
+        ...result,
+        required: false,
+        schema: { ...schema, nullable: true },
+      };
+    case "allow":
+      return args.some((arg) => arg.type === "Literal" && arg.value === null)
+        ? withSchema({ ...schema, nullable: true })
+        : result;
+    case "default":
+      return {
+        ...result,
+        required: false,
+        schema: value === undefined ? schema : { ...schema, default: value },
+      };
+    case "integer":
+    case "int":
+      return withSchema({ ...schema, type: "integer" });
+    case "min":
+    case "gte":
+      return withSchema(setBound(schema, "min", value));
+    case "max":
+    case "lte":
+      return withSchema(setBound(schema, "max", value));
+    case "greater":
+    case "gt":
+      return withSchema(setBound(schema, "min", value, true));
+    case "less":
+    case "lt":
+      return withSchema(setBound(schema, "max", value, true));
+    case "length":
+      return withSchema(setBound(setBound(schema, "min", value), "max", value));
+    case "nonempty":
+      return withSchema(setBound(schema, "min", 1));
+    case "positive":
+      return withSchema(setBound(schema, "min", 0, true));
+    case "negative":
+      return withSchema(setBound(schema, "max", 0, true));
+    case "nonnegative":
+      return withSchema(setBound(schema, "min", 0));
+    case "nonpositive":
+      return withSchema(setBound(schema, "max", 0));
+    case "pattern":
+    case "regex": {
+      const pattern = readPattern(args[0]);
+      return pattern ? withSchema({ ...schema, pattern }) : result;
+    }
+    case "valid":
+    case "equal": {
+      // .valid("a", "b") or .valid(...STATUSES)
+      const values =
+        args.length === 1 && args[0].type !== "SpreadElement"
+          ? [].concat(value)
+          : readValue({ type: "ArrayExpression", elements: args }, resolve);
+      return values && !values.includes(undefined)
+        ? withSchema(setEnum(schema, values))
+        : result;
+    }
+    case "description":
+    case "describe":
+      return typeof value === "string"
+        ? withSchema({ ...schema, description: value })
+        : result;
+    case "example":
+      return value === undefined
+        ? result
+        : withSchema({ ...schema, example: value });
+    case "items":
+      return withSchema({
+        ...schema,
+        items: schemaOf(args[0], resolve, depth),
+      });
+    case "try":
+      return withSchema({
+        oneOf: args.map((arg) => schemaOf(arg, resolve, depth)),
+      });
+    case "keys":
+    case "append":
+    case "extend":
+      return withSchema(
+        mergeObjectSchemas(
+          schema,
+          readObject(args[0], result.library, resolve, depth)
+        )
+      );
+    case "merge":
+      return withSchema(
+        mergeObjectSchemas(schema, schemaOf(args[0], resolve, depth))
+      );
+    case "pick":
+    case "omit": {
+      const keys = Object.keys(value || {});
+      const kept = (key) => keys.includes(key) === (name === "pick");
+      const properties = Object.fromEntries(
+        Object.entries(schema.properties || {}).filter(([key]) => kept(key))
+      );
+      const required = (schema.required || []).filter(kept);
+      return withSchema({
+        ...withoutRequired(schema),
+        properties,
+        ...(required.length > 0 && { required }),
+      });
+    }
+    case "partial":
+      return withSchema(withoutRequired(schema));
+    case "array":
+      // z.string().array()
+      return withSchema({ type: "array", items: schema });
+    default:
+      return result;
+  }
+}
+
+// Joi, joi, z or zod, and z.coerce
+function getLibrary(node) {
+  if (node.type === "Identifier") {
+    return lookup(LIBRARY_NAMES, node.name) || null;
+  }
+  if (
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    node.property.name === "coerce"
+  ) {
+    return getLibrary(node.object);
+  }
+  return null;
+}
+
+// Convert a Joi or zod schema definition, from the Joi/z call starting
+// its chain or a name it was declared under. Conversions carry whether
+// the value is required: Joi keys are optional unless .required(), zod
+// ones are required unless .optional(). Null for other expressions.
+function convertDefinition(node, resolve, depth = 0) {
+  if (!node || depth > MAX_RESOLVE_DEPTH) return null;
+
+  if (node.type === "Identifier") {
+    const resolved = resolve(node.name);
+    return (
+      resolved && convertDefinition(resolved.node, resolved.resolve, depth + 1)
+    );
+  }
+  if (
+    node.type !== "CallExpression" ||
+    node.callee.type !== "MemberExpression" ||
+    node.callee.computed
+  ) {
+    return null;
+  }
+
+  const { object, property } = node.callee;
+  const library = getLibrary(object);
+  if (library) {
+    return createType(library, property.name, node.arguments, resolve, depth);
+  }
+
+  const base = convertDefinition(object, resolve, depth);
+  return (
+    base && applyMethod(base, property.name, node.arguments, resolve, depth)
+  );
+}
+
+// Convert a Joi or zod schema definition to a JSON schema. `resolve(name)`
+// returns the value a name is declared with ({ node, resolve }, resolve
+// being the resolver of the file declaring it) or null.
+export function convertSchema(node, resolve) {
+  const converted = convertDefinition(node, resolve);
+  return converted ? converted.schema : null;
+}
+
+// Schema of a celebrate segment: a Joi/zod schema, or a plain object of
+// Joi schemas
+function convertSegment(node, resolve) {
+  if (node.type === "ObjectExpression") {
+    const hasSchemas = node.properties.some(
+      (prop) =>
+        prop.type === "Property" && convertDefinition(prop.value, resolve)
+    );
+    return hasSchemas ? readObject(node, "joi", resolve, 0) : null;
+  }
+  return convertSchema(node, resolve);
+}
+
+// Set the schema of a field at a path such as "address.city" or
+// "items.*.name". Parents of a required field are required too, except
+// lists: "tags.*" checks the items of tags only when there are some.
+function setField(container, [segment, ...rest], schema, required) {
+  if (segment === "*") {
+    const items =
+      rest.length === 0
+        ? { ...container.items, ...schema }
+        : setField({ ...container.items }, rest, schema, required);
+    return { ...container, type: "array", items };
+  }
+
+  const existing = lookup(container.properties || {}, segment) || {};
+  const child =
+    rest.length === 0
+      ? { ...existing, ...schema }
+      : setField(existing, rest, schema, required);
+  if (!child.type) child.type = rest.length === 0 ? "string" : "object";
+
+  const names = container.required || [];
+  const isRequired = required && rest[0] !== "*" && !names.includes(segment);
+  return {
+    ...container,
+    type: "object",
+    properties: { ...container.properties, [segment]: child },
+    ...(isRequired && { required: [...names, segment] }),
+  };
+}
+
+// Read an express-validator chain: body("email").isEmail().optional()
+function readValidatorChain(node, resolve) {
+  const calls = [];
+  let current = node;
+  while (
+    current.type === "CallExpression" &&
+    current.callee.type === "MemberExpression" &&
+    !current.callee.computed
+  ) {
+    calls.unshift({
+      name: current.callee.property.name,
+      args: current.arguments,
+    });
+    current = current.callee.object;
+  }
+
+  if (
+    current.type !== "CallExpression" ||
+    current.callee.type !== "Identifier" ||
+    !lookup(VALIDATOR_LOCATIONS, current.callee.name)
+  ) {
+    return null;
+  }
+  const fields = [].concat(readValue(current.arguments[0], resolve));
+  if (fields.length === 0 || fields.some((f) => typeof f !== "string")) {
+    return null;
+  }
+
+  let schema = {};
+  let required = true;
+  let negated = false;
+
+  calls.forEach(({ name, args }) => {
+    // .not() inverts the next validator, which then tells nothing
+    if (negated) {
+      negated = false;
+      return;
+    }
+    const options = readValue(args[0], resolve) || {};
+
+    if (name === "not") {
+      negated = true;
+    } else if (name === "optional") {
+      required = false;
+    } else if (name === "exists" || name === "notEmpty") {
+      required = true;
+    } else if (name === "default") {
+      required = false;
+      if (args[0]) schema = { ...schema, default: readValue(args[0], resolve) };
+    } else if (lookup(VALIDATOR_TYPES, name)) {
+      schema = { ...schema, type: VALIDATOR_TYPES[name] };
+      schema = setBound(schema, "min", options.min);
+      schema = setBound(schema, "max", options.max);
+    } else if (lookup(VALIDATOR_FORMATS, name)) {
+      schema = { ...schema, type: "string", format: VALIDATOR_FORMATS[name] };
+    } else if (name === "isLength") {
+      schema = { type: "string", ...schema };
+      schema = setBound(schema, "min", options.min);
+      schema = setBound(schema, "max", options.max);
+    } else if (name === "isIn") {
+      schema = setEnum(schema, readValue(args[0], resolve));
+    } else if (name === "matches") {
+      const pattern = readPattern(args[0]) || getStaticString(args[0]);
+      if (pattern) schema = { ...schema, pattern };
+    }
+  });
+
+  return {
+    location: VALIDATOR_LOCATIONS[current.callee.name],
+    fields,
+    schema,
+    required,
+  };
+}
+
+// Part of the request a validation wrapper checks: validate(schema,
+// "query"), validateQuery(schema), the body by default
+function getWrapperLocation(call) {
+  const named = call.arguments
+    .map((arg) => getStaticString(arg))
+    .find((value) => value && lookup(REQUEST_SEGMENTS, value.toLowerCase()));
+  if (named) return lookup(REQUEST_SEGMENTS, named.toLowerCase());
+
+  const { callee } = call;
+  const name =
+    callee.type === "Identifier"
+      ? callee.name
+      : callee.type === "MemberExpression" && !callee.computed
+        ? callee.property.name
+        : "";
+  if (/query/i.test(name)) return "query";
+  if (/param/i.test(name)) return "path";
+  if (/header/i.test(name)) return "header";
+  return "body";
+}
+
+// Whether an object maps request segments to schemas, as given to
+// celebrate({ body, query }) and validation wrappers
+function isSegmentObject(node) {
+  return (
+    node.type === "ObjectExpression" &&
+    node.properties.length > 0 &&
+    node.properties.every((prop) =>
+      lookup(REQUEST_SEGMENTS, getPropertyKey(prop))
+    )
+  );
+}
+
+// Read the schemas a route's middleware validates the request with:
+// celebrate() segments, validation wrappers taking a Joi/zod schema and
+// express-validator chains, possibly declared in lists or other files.
+// Returns { body, query, path, header, cookie } schemas, or null.
+export function readValidation(middleware, resolve) {
+  const validation = {};
+
+  function setLocation(location, schema) {
+    validation[location] =
+      location === "body" && !schema.properties
+        ? schema
+        : mergeObjectSchemas(validation[location], schema);
+  }
+
+  function readSegments(node, nodeResolve) {
+    node.properties.forEach((prop) => {
+      const schema = convertSegment(prop.value, nodeResolve);
+      const location = lookup(REQUEST_SEGMENTS, getPropertyKey(prop));
+      if (schema) setLocation(location, schema);
+    });
+  }
+
+  function read(node, nodeResolve, depth) {
+    if (!node || depth > MAX_RESOLVE_DEPTH) return;
+
+    if (node.type === "Identifier") {
+      const resolved = nodeResolve(node.name);
+      if (resolved) read(resolved.node, resolved.resolve, depth + 1);
+      return;
+    }
+    if (node.type === "ArrayExpression") {
+      node.elements.forEach((element) => read(element, nodeResolve, depth));
+      return;
+    }
+    if (node.type !== "CallExpression") return;
+
+    const chain = readValidatorChain(node, nodeResolve);
+    if (chain) {
+      chain.fields.forEach((field) => {
+        const current = validation[chain.location] || { type: "object" };
+        validation[chain.location] = setField(
+          current,
+          field.split("."),
+          chain.schema,
+          chain.required
+        );
+      });
+      return;
+    }
+
+    node.arguments.forEach((arg) => {
+      if (isSegmentObject(arg)) {
+        readSegments(arg, nodeResolve);
+        return;
+      }
+      const schema = convertSchema(arg, nodeResolve);
+      if (schema) {
+        setLocation(getWrapperLocation(node), schema);
+      } else if (arg.type === "ArrayExpression" || arg.type === "Identifier") {
+        // validate(todoRules) with a list of express-validator chains
+        read(arg, nodeResolve, depth + 1);
+      }
+    });
+  }
+
+  middleware.forEach((node) => read(node, resolve, 0));
+  return Object.keys(validation).length > 0 ? validation : null;
+}
+
+// Replace what the handler analysis guessed about the request by the
+// validated schemas: the body schema, and the parameters of each
+// validated location. The analysis is copied, as it may be shared. The
+// fields of the validated locations are typed by `heuristic`.
+export function applyValidation(
+  analysis,
+  validation,
+  heuristic = "validation"
+) {
+  if (!validation) return analysis;
+
+  let { parameters, requestBody, fields = [] } = analysis;
+
+  Object.entries(validation).forEach(([location, schema]) => {
+    fields = [
+      ...fields.filter((field) => field.in !== location),
+      ...Object.keys(schema.properties || {}).map((name) => ({
+        in: location,
+        name,
+        heuristic,
+        confidence: "high",
+      })),
+    ];
+
+    if (location === "body") {
+      requestBody = {
+        required: true,
+        content: { "application/json": { schema } },
+      };
+      return;
+    }
+
+    const required = schema.required || [];
+    const validated = Object.entries(schema.properties || {}).map(
+      ([name, { description, ...fieldSchema }]) => ({
+        name,
+        in: location,
+        required: location === "path" || required.includes(name),
+        ...(description && { description }),
+        schema:
+          fieldSchema.type || fieldSchema.oneOf
+            ? fieldSchema
+            : { type: "string", ...fieldSchema },
+      })
+    );
+    parameters = [
+      ...parameters.filter((param) => param.in !== location),
+      ...validated,
+    ];
+  });
+
+  return { ...analysis, parameters, requestBody, fields };
+}
@@ -0,0 +1,102 @@
+import { getStaticString } from "./analyzer.js";
+
+// Guards against names whose value refers back to themselves
+const MAX_RESOLVE_DEPTH = 20;
+
+// Read a table by a name taken from the code, which may be anything
+// ("toString", "constructor", ...)
+export function lookup(table, name) {
+  return Object.hasOwn(table, name) ? table[name] : undefined;
+}
+
+// Name of an object property, null when it is computed at runtime
+export function getPropertyKey(prop) {
+  if (prop.type !== "Property") return null;
+  if (!prop.computed) return prop.key.name ?? String(prop.key.value);
+  if (prop.key.type === "Literal") return String(prop.key.value);
+  // [Segments.BODY]
+  if (prop.key.type === "MemberExpression" && !prop.key.computed) {
+    return prop.key.property.name.toLowerCase();
+  }
+  return null;
+}
+
+// Evaluate a literal argument (numbers, strings, lists, plain objects),
+// following constants. Returns undefined when it is not static.
+export function readValue(node, resolve, depth = 0) {
+  if (!node || depth > MAX_RESOLVE_DEPTH) return undefined;
+
+  switch (node.type) {
+    case "Literal":
+      return node.regex ? undefined : node.value;
+    case "TemplateLiteral":
+      return getStaticString(node) ?? undefined;
+    case "UnaryExpression": {
+      const value = readValue(node.argument, resolve, depth);
+      return node.operator === "-" && typeof value === "number"
+        ? -value
+        : undefined;
+    }
+    case "Identifier": {
+      const resolved = resolve(node.name);
+      return resolved && readValue(resolved.node, resolved.resolve, depth + 1);
+    }
+    case "ArrayExpression": {
+      const values = node.elements.flatMap((element) => {
+        if (element && element.type === "SpreadElement") {
+          const spread = readValue(element.argument, resolve, depth);
+          return Array.isArray(spread) ? spread : [undefined];
+        }
+        return [readValue(element, resolve, depth)];
+      });
+      return values.includes(undefined) ? undefined : values;
+    }
+    case "ObjectExpression": {
+      const value = {};
+      for (const prop of node.properties) {
+        const key = getPropertyKey(prop);
+        if (key === null) return undefined;
+        value[key] = readValue(prop.value, resolve, depth);
+      }
+      return value;
+    }
+    default:
+      return undefined;
+  }
+}
+
+// Source of a /regexp/ literal or of new RegExp("...")
+export function readPattern(node) {
+  if (!node) return null;
+  if (node.type === "Literal" && node.regex) return node.regex.pattern;
+  if (
+    node.type === "NewExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "RegExp"
+  ) {
+    return getStaticString(node.arguments[0]);
+  }
+  return null;
+}
+
+// JSON schema type of a static value
+export function getValueType(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+// Allowed values; null makes the schema nullable rather than being listed
+export function setEnum(schema, values) {
+  if (!Array.isArray(values) || values.length === 0) return schema;
+
+  const listed = values.filter((value) => value !== null);
+  const [first] = listed;
+  return {
+    ...(first !== undefined && { type: getValueType(first) }),
+    ...schema,
+    enum: listed,
+    ...(listed.length < values.length && { nullable: true }),
+  };
+}
@@ -0,0 +1,158 @@
+// Versions of the OpenAPI Specification the documents are written in. The
+// analysis produces OpenAPI 3.0 schemas, which are converted to the JSON
+// Schema 2020-12 dialect of OpenAPI 3.1 when that version is asked for.
+
+export const OPENAPI_VERSIONS = ["3.0", "3.1"];
+
+// Value of the openapi field of an OpenAPI 3.1 document
+const OPENAPI_31 = "3.1.0";
+
+// Default dialect of the schemas of an OpenAPI 3.1 document
+export const JSON_SCHEMA_DIALECT =
+  "https://spec.openapis.org/oas/3.1/dialect/base";
+
+// Keywords holding a schema, or a list or map of schemas
+const SCHEMA_KEYWORDS = ["items", "additionalProperties", "not", "contains"];
+const SCHEMA_LIST_KEYWORDS = ["oneOf", "anyOf", "allOf", "prefixItems"];
+const SCHEMA_MAP_KEYWORDS = ["properties", "patternProperties", "$defs"];
+
+// Values given by the user: their keys are not keywords
+const EXAMPLE_KEYS = ["example", "examples", "default", "const", "enum"];
+
+// Version of an openapiVersion option: "3.1", "3.1.0" and 3.1 give "3.1"
+export function resolveOpenAPIVersion(version = "3.0") {
+  const [major, minor] = String(version).split(".");
+  const resolved = `${major}.${minor}`;
+  if (!OPENAPI_VERSIONS.includes(resolved)) {
+    throw new Error(
+      `Unsupported OpenAPI version ${version}: expected one of ${OPENAPI_VERSIONS.join(", ")}`
+    );
+  }
+  return resolved;
+}
+
+// Convert an OpenAPI 3.0 schema to JSON Schema 2020-12:
+// - nullable: true adds "null" to the type ({ type: ["string", "null"] })
+//   and to the enum, or a { type: "null" } alternative to a $ref
+// - example becomes examples, an enum of one value a const
+// - boolean exclusiveMinimum/exclusiveMaximum take the bound they exclude
+export function convertSchemaTo31(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return schema;
+  }
+
+  const { nullable, example, exclusiveMinimum, exclusiveMaximum, ...rest } =
+    schema;
+  const converted = {};
+  Object.entries(rest).forEach(([key, value]) => {
+    if (SCHEMA_KEYWORDS.includes(key)) {
+      converted[key] = convertSchemaTo31(value);
+    } else if (SCHEMA_LIST_KEYWORDS.includes(key) && Array.isArray(value)) {
+      converted[key] = value.map(convertSchemaTo31);
+    } else if (
+      SCHEMA_MAP_KEYWORDS.includes(key) &&
+      value &&
+      typeof value === "object"
+    ) {
+      converted[key] = Object.fromEntries(
+        Object.entries(value).map(([name, child]) => [
+          name,
+          convertSchemaTo31(child),
+        ])
+      );
+    } else {
+      converted[key] = value;
+    }
+  });
+
+  // { minimum: 0, exclusiveMinimum: true } is { exclusiveMinimum: 0 }
+  if (exclusiveMinimum === true && converted.minimum !== undefined) {
+    converted.exclusiveMinimum = converted.minimum;
+    delete converted.minimum;
+  } else if (typeof exclusiveMinimum === "number") {
+    converted.exclusiveMinimum = exclusiveMinimum;
+  }
+  if (exclusiveMaximum === true && converted.maximum !== undefined) {
+    converted.exclusiveMaximum = converted.maximum;
+    delete converted.maximum;
+  } else if (typeof exclusiveMaximum === "number") {
+    converted.exclusiveMaximum = exclusiveMaximum;
+  }
+
+  if (example !== undefined && converted.examples === undefined) {
+    converted.examples = [example];
+  }
+
+  if (nullable === true) {
+    // A $ref or an allOf composition cannot take "null" as one of its types
+    if (converted.$ref || (converted.allOf && converted.type === undefined)) {
+      return { anyOf: [converted, { type: "null" }] };
+    }
+    if (converted.type !== undefined) {
+      const types = [].concat(converted.type);
+      if (!types.includes("null")) converted.type = [...types, "null"];
+    }
+    if (Array.isArray(converted.enum) && !converted.enum.includes(null)) {
+      converted.enum = [...converted.enum, null];
+    }
+    ["oneOf", "anyOf"].forEach((key) => {
+      if (
+        converted.type === undefined &&
+        converted[key] &&
+        !converted[key].some((child) => child.type === "null")
+      ) {
+        converted[key] = [...converted[key], { type: "null" }];
+      }
+    });
+  }
+
+  if (Array.isArray(converted.enum) && converted.enum.length === 1) {
+    converted.const = converted.enum[0];
+    delete converted.enum;
+  }
+  return converted;
+}
+
+// Convert the schemas found anywhere in a part of the document: those of
+// parameters, headers and media types (under a schema key), and the
+// schemas of components.schemas
+function convertSchemas(value) {
+  if (Array.isArray(value)) return value.map(convertSchemas);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => {
+      if (EXAMPLE_KEYS.includes(key)) return [key, child];
+      if (key === "schema") return [key, convertSchemaTo31(child)];
+      return [key, convertSchemas(child)];
+    })
+  );
+}
+
+// Convert an OpenAPI 3.0 document to OpenAPI 3.1. The document is copied.
+export function convertDocumentTo31(document) {
+  const { components, ...rest } = document;
+  const converted = {
+    openapi: OPENAPI_31,
+    jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+  };
+  Object.entries(convertSchemas(rest)).forEach(([key, value]) => {
+    if (key !== "openapi") converted[key] = value;
+  });
+  if (!components) return converted;
+
+  const { schemas, ...others } = components;
+  return {
+    ...converted,
+    components: {
+      ...(schemas && {
+        schemas: Object.fromEntries(
+          Object.entries(schemas).map(([name, schema]) => [
+            name,
+            convertSchemaTo31(schema),
+          ])
+        ),
+      }),
+      ...convertSchemas(others),
+    },
+  };
+}
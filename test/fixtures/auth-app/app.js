@@ -0,0 +1,28 @@
+const express = require("express");
+const passport = require("passport");
+const { expressjwt } = require("express-jwt");
+const { requireApiKey } = require("./middleware/auth");
+const todos = require("./routes/todos");
+const admin = require("./routes/admin");
+
+const app = express();
+app.use(express.json());
+
+app.get("/health", (req, res) => res.json({ status: "ok" }));
+
+app.use(
+  "/api",
+  expressjwt({ secret: process.env.JWT_SECRET, algorithms: ["HS256"] }).unless({
+    path: ["/api/login", { url: "/api/signup", methods: ["POST"] }],
+  })
+);
+
+app.post("/api/login", (req, res) => res.json({ token: "abc" }));
+app.post("/api/signup", (req, res) => res.status(201).json({ id: 1 }));
+app.use("/api/todos", todos);
+
+app.use("/admin", passport.authenticate("basic", { session: false }), admin);
+
+app.get("/reports", requireApiKey, (req, res) => res.json({ reports: [] }));
+
+module.exports = app;
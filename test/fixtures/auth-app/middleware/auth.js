@@ -0,0 +1,28 @@
+const jwt = require("jsonwebtoken");
+
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) {
+    return res.status(401).json({ message: "Missing token" });
+  }
+  req.user = jwt.verify(header.slice(7), process.env.JWT_SECRET);
+  next();
+}
+
+const requireApiKey = (req, res, next) => {
+  if (req.get("X-API-Key") !== process.env.API_KEY) {
+    return res.status(401).json({ message: "Invalid API key" });
+  }
+  next();
+};
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAuth, requireApiKey, requireRole };
@@ -0,0 +1,9 @@
+const express = require("express");
+
+const router = express.Router();
+
+router.get("/stats", (req, res) => {
+  res.json({ users: 10 });
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  res.json([{ id: 1, title: "Write docs" }]);
+});
+
+router.delete("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,7 @@
+import express from "express";
+
+const app = express();
+
+app.get("/broken", (req, res) => {
+  res.json({ ok: true };
+});
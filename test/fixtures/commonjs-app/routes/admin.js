@@ -0,0 +1,9 @@
+const express = require("express");
+
+const router = new express.Router();
+
+router.get("/stats", (req, res) => {
+  res.json({});
+});
+
+exports.adminRouter = router;
@@ -0,0 +1,11 @@
+const { Router } = require("express");
+const todos = require("./todos");
+const { adminRouter } = require("./admin");
+
+const router = Router();
+
+router.use("/todos", todos);
+router.use("/admin", adminRouter);
+router.use("/legacy", require("./legacy"));
+
+module.exports = router;
@@ -0,0 +1,15 @@
+var express = require("express");
+var router = express.Router();
+
+router.get("/ping", function (req, res) {
+  res.send("pong");
+});
+
+module.exports = router;
+
+// Allow running the legacy routes on their own
+if (require.main !== module) return;
+
+var app = express();
+app.use(router);
+app.listen(3001);
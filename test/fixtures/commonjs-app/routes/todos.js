@@ -0,0 +1,7 @@
+const router = require("express").Router();
+
+router.get("/:id", (req, res) => {
+  res.json({});
+});
+
+module.exports = router;
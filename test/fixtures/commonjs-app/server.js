@@ -0,0 +1,8 @@
+const e = require("express");
+
+const app = e();
+
+app.use(e.json());
+app.use("/api", require("./routes"));
+
+module.exports = app;
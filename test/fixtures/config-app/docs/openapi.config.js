@@ -0,0 +1,4 @@
+export default {
+  info: { title: "Docs Config", version: "0.1.0" },
+  entry: "../src/admin.js",
+};
@@ -0,0 +1,9 @@
+import express from "express";
+
+const admin = express();
+
+admin.get("/admin/stats", (req, res) => {
+  res.json({ users: 0 });
+});
+
+export default admin;
@@ -0,0 +1,10 @@
+import express from "express";
+import tasks from "./routes/tasks.js";
+import internal from "./routes/internal.js";
+
+const app = express();
+
+app.use("/tasks", tasks);
+app.use("/internal", internal);
+
+export default app;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+
+const router = Router();
+
+router.get("/debug", (req, res) => {
+  res.json({ ok: true });
+});
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+
+const router = Router();
+
+router.get("/", (req, res) => {
+  res.json([]);
+});
+
+router.post("/", (req, res) => {
+  const { label } = req.body;
+  res.status(201).json({ label });
+});
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import * as userController from "./controllers/users.js";
+import todoController from "./controllers/todos.js";
+import { listOrders } from "./controllers/orders.cjs";
+import reports from "./controllers/reports.js";
+
+const app = express();
+
+app.get("/health", getHealth);
+app.get("/users", userController.listUsers);
+app.post("/users", asyncHandler(userController.createUser));
+app.get("/todos", todoController.list);
+app.get("/todos/search", todoController.search.bind(todoController));
+app.get("/orders", listOrders);
+app.get("/reports/summary", reports.summary);
+
+function getHealth(req, res) {
+  res.status(204).send();
+}
+
+export default app;
@@ -0,0 +1,3 @@
+exports.listOrders = async (req, res) => {
+  res.status(202).json({ message: "Accepted" });
+};
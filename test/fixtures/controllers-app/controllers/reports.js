@@ -0,0 +1,5 @@
+function summary(req, res) {
+  res.status(203).json({ message: "Partial" });
+}
+
+module.exports = { summary };
@@ -0,0 +1,16 @@
+class TodoController {
+  /**
+   * @summary List todos
+   * @tags Todos, Lists
+   */
+  list(req, res) {
+    const { page } = req.query;
+    res.json([]);
+  }
+
+  search = (req, res) => {
+    res.json(req.query.q);
+  };
+}
+
+export default new TodoController();
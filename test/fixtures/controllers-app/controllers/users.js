@@ -0,0 +1,15 @@
+/**
+ * List users
+ * @param {string} [query.role] - Only users with this role
+ * @response 200 {User[]} The users
+ */
+export const listUsers = (req, res) => {
+  const { role } = req.query;
+  res.json([]);
+};
+
+// Create a user
+export async function createUser(req, res) {
+  const { name, email } = req.body;
+  res.status(201).json({ name, email });
+}
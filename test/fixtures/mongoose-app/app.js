@@ -0,0 +1,13 @@
+import express from "express";
+import todos from "./routes/todos.js";
+import User from "./models/User.js";
+
+const app = express();
+
+app.use("/todos", todos);
+
+app.get("/users/:id", async (req, res) => {
+  res.json(await User.findById(req.params.id));
+});
+
+export default app;
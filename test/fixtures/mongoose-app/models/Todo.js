@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const PRIORITIES = ["low", "medium", "high"];
+
+const tagSchema = new mongoose.Schema(
+  { label: { type: String, required: true } },
+  { _id: false, versionKey: false }
+);
+
+const todoSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      maxlength: 200,
+    },
+    completed: { type: Boolean, default: false },
+    priority: { type: String, enum: PRIORITIES, default: "medium" },
+    dueDate: Date,
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    tags: [tagSchema],
+    notes: [String],
+    meta: { views: { type: Number, min: 0 }, source: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Todo", todoSchema);
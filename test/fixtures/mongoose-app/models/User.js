@@ -0,0 +1,9 @@
+import mongoose, { Schema } from "mongoose";
+
+const userSchema = new Schema({
+  email: { type: String, required: true, match: /^\S+@\S+$/ },
+  password: { type: String, select: false },
+  roles: { type: [String], enum: ["admin", "member"] },
+});
+
+export default mongoose.models.User || mongoose.model("User", userSchema);
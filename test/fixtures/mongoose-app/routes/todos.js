@@ -0,0 +1,23 @@
+const express = require("express");
+const Todo = require("../models/Todo");
+
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  const todos = await Todo.find().sort({ createdAt: -1 }).limit(20);
+  res.json(todos);
+});
+
+router.get("/:id", async (req, res) => {
+  const todo = await Todo.findById(req.params.id).populate("owner");
+  if (!todo) return res.status(404).json({ message: "Todo not found" });
+  res.json({ data: todo, count: await Todo.countDocuments() });
+});
+
+router.post("/", async (req, res) => {
+  const todo = new Todo(req.body);
+  const saved = await todo.save();
+  res.status(201).json(saved);
+});
+
+module.exports = router;
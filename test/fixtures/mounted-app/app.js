@@ -0,0 +1,17 @@
+import express from "express";
+import todoRouter from "./routes/todos.js";
+import { healthRouter } from "./routes/health.js";
+
+const app = express();
+const API_PREFIX = "/api";
+
+app.use(express.json());
+app.use(`${API_PREFIX}/todos`, todoRouter);
+app.use(API_PREFIX, require("./routes/users"));
+app.use(healthRouter);
+
+app.get("/", (req, res) => {
+  res.json({ message: "ok" });
+});
+
+export default app;
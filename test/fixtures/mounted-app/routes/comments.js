@@ -0,0 +1,13 @@
+import { Router } from "express";
+
+const router = Router();
+
+router.get("/", (req, res) => {
+  res.json([]);
+});
+
+router.delete("/:commentId", (req, res) => {
+  res.status(204).send();
+});
+
+export default router;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+
+const router = Router();
+
+router.get("/health", (req, res) => {
+  res.json({ status: "OK" });
+});
+
+export { router as healthRouter };
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import commentRouter from "./comments.js";
+
+const router = Router();
+
+router.get("/", (req, res) => {
+  res.json([]);
+});
+
+router.get("/:id", (req, res) => {
+  res.json({});
+});
+
+router.use("/:todoId/comments", commentRouter);
+
+export default router;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+
+const router = Router();
+
+router.get("/users/:id", (req, res) => {
+  res.json({});
+});
+
+export default router;
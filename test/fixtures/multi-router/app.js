@@ -0,0 +1,48 @@
+import express, { Router } from "express";
+import createTodoRouter from "./todos.js";
+
+const app = express();
+const metricsApp = express();
+const publicRouter = Router();
+const adminRouter = Router();
+const admin = adminRouter;
+
+publicRouter.get("/status", (req, res) => {
+  res.json({ status: "OK" });
+});
+
+admin.get("/stats", (req, res) => {
+  res.json({});
+});
+
+metricsApp.get("/metrics", (req, res) => {
+  res.send("");
+});
+
+function createUserRouter() {
+  const router = Router();
+
+  router.get("/:id", (req, res) => {
+    res.json({});
+  });
+
+  return router;
+}
+
+const createAuditRouter = () => {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    res.json([]);
+  });
+
+  return router;
+};
+
+app.use("/public", publicRouter);
+app.use("/admin", adminRouter);
+app.use("/users", createUserRouter());
+app.use("/audit", createAuditRouter());
+app.use("/todos", createTodoRouter({ db: null }));
+
+export default app;
@@ -0,0 +1,11 @@
+import { Router } from "express";
+
+export default function ({ db }) {
+  const router = Router();
+
+  router.get("/", async (req, res) => {
+    res.json(await db.todos.find());
+  });
+
+  return router;
+}
@@ -0,0 +1,41 @@
+import express from "express";
+import { prisma } from "./lib/prisma.js";
+
+const app = express();
+app.use(express.json());
+
+app.get("/todos", async (req, res) => {
+  const todos = await prisma.todo.findMany({ orderBy: { createdAt: "desc" } });
+  res.json(todos);
+});
+
+app.get("/todos/:id", async (req, res) => {
+  const todo = await prisma.todo.findUnique({
+    where: { id: Number(req.params.id) },
+  });
+  if (!todo) {
+    return res.status(404).json({ message: "Todo not found" });
+  }
+  res.json(todo);
+});
+
+app.post("/todos", async (req, res) => {
+  const { title } = req.body;
+  const todo = await prisma.todo.create({ data: { title } });
+  res.status(201).json(todo);
+});
+
+app.delete("/todos", async (req, res) => {
+  const result = await prisma.todo.deleteMany({ where: { completed: true } });
+  res.json(result);
+});
+
+app.get("/users/:id", async (req, res) => {
+  const user = await prisma.user.findUniqueOrThrow({
+    where: { id: req.params.id },
+  });
+  const todoCount = await prisma.todo.count({ where: { ownerId: user.id } });
+  res.json({ user, todoCount });
+});
+
+export default app;
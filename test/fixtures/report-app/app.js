@@ -0,0 +1,19 @@
+import express from "express";
+import { healthCheck } from "express-health-check";
+import users from "./routes/users.js";
+
+const app = express();
+const prefix = process.env.API_PREFIX;
+
+app.use(express.json());
+app.use("/users", users);
+
+app.get("/health", healthCheck);
+app.get(`${prefix}/status`, (req, res) => {
+  res.json({ ok: true });
+});
+app.get("/files/*", (req, res) => {
+  res.sendFile(req.params[0]);
+});
+
+export default app;
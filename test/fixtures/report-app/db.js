@@ -0,0 +1,10 @@
+const users = [];
+
+export function findUsers() {
+  return users;
+}
+
+export function saveUser(user) {
+  users.push(user);
+  return user;
+}
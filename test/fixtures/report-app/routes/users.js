@@ -0,0 +1,20 @@
+import { Router } from "express";
+import { findUsers, saveUser } from "../db.js";
+
+const router = Router();
+
+router.get("/", (req, res) => {
+  const { page = 1, sort } = req.query;
+  const limit = parseInt(req.query.limit);
+  res.json(findUsers({ page, sort, limit }));
+});
+
+router.post("/", (req, res) => {
+  const { name, isAdmin } = req.body;
+  if (isAdmin === true) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+  res.status(201).json(saveUser({ name }));
+});
+
+export default router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const Todo = require("./models/todo");
+const User = require("./models/user");
+
+const app = express();
+app.use(express.json());
+
+app.get("/todos", async (req, res) => {
+  const todos = await Todo.findAll({ order: [["createdAt", "DESC"]] });
+  res.json(todos);
+});
+
+app.get("/todos/page", async (req, res) => {
+  const page = await Todo.findAndCountAll({ limit: 10 });
+  res.json(page);
+});
+
+app.get("/todos/:id", async (req, res) => {
+  const todo = await Todo.findByPk(req.params.id);
+  if (!todo) return res.status(404).json({ message: "Not found" });
+  await todo.reload();
+  res.json(todo);
+});
+
+app.patch("/todos/:id", async (req, res) => {
+  const todo = await Todo.findByPk(req.params.id);
+  const updated = await todo.update(req.body);
+  res.json(updated);
+});
+
+app.post("/users", async (req, res) => {
+  const user = await User.create(req.body);
+  res.status(201).json({ user, total: await User.count() });
+});
+
+module.exports = app;
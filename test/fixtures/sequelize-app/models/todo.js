@@ -0,0 +1,30 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../db");
+
+const PRIORITIES = ["low", "medium", "high"];
+
+const Todo = sequelize.define(
+  "Todo",
+  {
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      validate: { notEmpty: true },
+    },
+    completed: { type: DataTypes.BOOLEAN, defaultValue: false },
+    priority: {
+      type: DataTypes.ENUM(...PRIORITIES),
+      defaultValue: "medium",
+    },
+    dueDate: DataTypes.DATEONLY,
+    estimate: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      validate: { min: 1, max: 100 },
+    },
+    tags: DataTypes.ARRAY(DataTypes.STRING),
+  },
+  { paranoid: true }
+);
+
+module.exports = Todo;
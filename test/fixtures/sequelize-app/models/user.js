@@ -0,0 +1,26 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../db");
+
+class User extends Model {}
+
+User.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: { isEmail: true },
+    },
+    username: {
+      type: DataTypes.STRING,
+      validate: { is: /^[a-z0-9_]+$/i, len: [3, 30] },
+    },
+  },
+  { sequelize, modelName: "Account", underscored: true }
+);
+
+module.exports = User;
@@ -0,0 +1,21 @@
+import express from "express";
+import todos = require("./routes/todos");
+import users from "./routes/users.js";
+
+const app = express();
+app.use(express.json());
+
+interface Health {
+  status: "ok" | "degraded";
+  uptime: number;
+}
+
+app.get("/health", (req, res) => {
+  const health: Health = { status: "ok", uptime: process.uptime() };
+  res.json(health);
+});
+
+app.use("/todos", todos);
+app.use("/users", users);
+
+export default app;
@@ -0,0 +1,49 @@
+import { Router, Request, Response, RequestHandler } from "express";
+import type {
+  CreateTodoBody,
+  ListQuery,
+  TodoDto,
+  TodoParams,
+} from "../types/todo.js";
+import { Priority } from "../types/todo.js";
+
+const router = Router();
+const todos: TodoDto[] = [];
+
+const list: RequestHandler<{}, TodoDto[], never, ListQuery> = (req, res) => {
+  const page = Number(req.query.page) || 1;
+  res.json(todos.slice((page - 1) * 20, page * 20));
+};
+
+router.get("/", list);
+
+router.get("/:id", (req: Request<TodoParams>, res: Response) => {
+  const todo = todos.find((item) => item.id === parseInt(req.params.id, 10));
+  if (!todo) {
+    return res.status(404).json({ message: "Todo not found" });
+  }
+  res.json(todo as TodoDto);
+});
+
+router.post(
+  "/",
+  (req: Request<{}, TodoDto, CreateTodoBody>, res: Response<TodoDto>) => {
+    const todo = {
+      id: todos.length + 1,
+      completed: false,
+      notes: null,
+      tags: [],
+      ...req.body,
+      priority: req.body.priority ?? Priority.Medium,
+    };
+    todos.push(todo);
+    res.status(201).json(todo);
+  }
+);
+
+router.get<{}, { count: number; open: number }>("/stats", (req, res) => {
+  const open = todos.filter((todo) => !todo.completed).length;
+  res.json({ count: todos.length, open });
+});
+
+export = router;
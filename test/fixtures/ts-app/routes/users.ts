@@ -0,0 +1,47 @@
+import { Router, Request, Response } from "express";
+
+enum Role {
+  Admin,
+  Member,
+}
+
+abstract class Store<T> {
+  protected items: T[] = [];
+  abstract find(id: number): T | undefined;
+}
+
+interface User {
+  id: number;
+  name: string;
+  role: Role;
+}
+
+class UserStore extends Store<User> {
+  constructor(private readonly limit: number) {
+    super();
+  }
+
+  find(id: number): User | undefined {
+    return this.items.find((user) => user.id === id);
+  }
+}
+
+const store = new UserStore(100);
+const first = <T>(items: T[]): T | undefined => items[0];
+
+export const config = { pageSize: 20 } satisfies Record<string, number>;
+
+export function getUser(req: Request<{ id: string }>, res: Response) {
+  const user = store.find(Number(req.params.id))!;
+  res.json(user);
+}
+
+export function getRoles(req: Request, res: Response) {
+  res.json({ roles: [Role.Admin, Role.Member], first: first(["admin"]) });
+}
+
+const router = Router();
+router.get("/roles", getRoles);
+router.get("/:id", getUser);
+
+export default router;
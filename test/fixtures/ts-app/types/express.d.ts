@@ -0,0 +1,43 @@
+// The parts of @types/express the app uses
+declare module "express" {
+  export interface Request<P = {}, ResBody = any, ReqBody = any, Query = {}> {
+    params: P;
+    body: ReqBody;
+    query: Query;
+  }
+  export interface Response<ResBody = any> {
+    status(code: number): this;
+    json(body?: ResBody): this;
+  }
+  export type RequestHandler<
+    P = {},
+    ResBody = any,
+    ReqBody = any,
+    Query = {},
+  > = (
+    req: Request<P, ResBody, ReqBody, Query>,
+    res: Response<ResBody>
+  ) => void;
+  export interface Router {
+    get<P = {}, ResBody = any, ReqBody = any, Query = {}>(
+      path: string,
+      ...handlers: RequestHandler<P, ResBody, ReqBody, Query>[]
+    ): this;
+    post<P = {}, ResBody = any, ReqBody = any>(
+      path: string,
+      ...handlers: RequestHandler<P, ResBody, ReqBody>[]
+    ): this;
+  }
+  export interface Application extends Router {
+    use(...args: unknown[]): this;
+  }
+  export interface Express {
+    (): Application;
+    json(): unknown;
+  }
+  export function Router(): Router;
+  const express: Express;
+  export default express;
+}
+
+declare const process: { uptime(): number };
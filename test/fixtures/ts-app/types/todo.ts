@@ -0,0 +1,29 @@
+export enum Priority {
+  Low = "low",
+  Medium = "medium",
+  High = "high",
+}
+
+export interface TodoDto {
+  id: number;
+  /** What needs to be done */
+  title: string;
+  completed: boolean;
+  priority: Priority;
+  tags: string[];
+  dueDate?: Date;
+  notes: string | null;
+}
+
+export type CreateTodoBody = Pick<TodoDto, "title" | "priority"> & {
+  tags?: string[];
+};
+
+export interface TodoParams {
+  id: string;
+}
+
+export interface ListQuery {
+  page?: number;
+  status?: "open" | "done";
+}
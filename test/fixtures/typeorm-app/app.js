@@ -0,0 +1,34 @@
+import express from "express";
+import { AppDataSource } from "./data-source.js";
+import { Todo } from "./entity/Todo.js";
+import { UserSchema } from "./entity/User.js";
+
+const app = express();
+app.use(express.json());
+
+const users = AppDataSource.getRepository(UserSchema);
+
+app.get("/todos", async (req, res) => {
+  const todos = await AppDataSource.getRepository(Todo).find({
+    order: { createdAt: "DESC" },
+  });
+  res.json(todos);
+});
+
+app.get("/todos/:id", async (req, res) => {
+  const todo = await Todo.findOneBy({ id: Number(req.params.id) });
+  if (!todo) return res.status(404).json({ message: "Not found" });
+  res.json(todo);
+});
+
+app.post("/users", async (req, res) => {
+  const user = users.create(req.body);
+  const saved = await users.save(user);
+  res.status(201).json(saved);
+});
+
+app.get("/users/count", async (req, res) => {
+  res.json({ count: await users.count() });
+});
+
+export default app;
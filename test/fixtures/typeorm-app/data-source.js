@@ -0,0 +1,9 @@
+import { DataSource } from "typeorm";
+import { Todo } from "./entity/Todo.js";
+import { UserSchema } from "./entity/User.js";
+
+export const AppDataSource = new DataSource({
+  type: "postgres",
+  url: process.env.DATABASE_URL,
+  entities: [Todo, UserSchema],
+});
@@ -0,0 +1,40 @@
+import {
+  Entity,
+  Column,
+  PrimaryGeneratedColumn,
+  CreateDateColumn,
+  UpdateDateColumn,
+  ManyToOne,
+  BaseEntity,
+} from "typeorm";
+
+// A task on a list
+@Entity("todos")
+export class Todo extends BaseEntity {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column("varchar", { length: 200 })
+  title;
+
+  @Column({ type: "boolean", default: false })
+  completed;
+
+  @Column({ type: "enum", enum: ["low", "medium", "high"], default: "medium" })
+  priority;
+
+  @Column({ type: "text", nullable: true, comment: "Free text" })
+  notes;
+
+  @Column()
+  position = 0;
+
+  @ManyToOne("User", "todos")
+  owner;
+
+  @CreateDateColumn()
+  createdAt;
+
+  @UpdateDateColumn()
+  updatedAt;
+}
@@ -0,0 +1,16 @@
+import { EntitySchema } from "typeorm";
+
+export const UserSchema = new EntitySchema({
+  name: "User",
+  tableName: "users",
+  columns: {
+    id: { type: "uuid", primary: true, generated: "uuid" },
+    email: { type: String, unique: true },
+    password: { type: String, select: false },
+    age: { type: Number, nullable: true },
+    createdAt: { type: Date, createDate: true },
+  },
+  relations: {
+    todos: { type: "one-to-many", target: "Todo" },
+  },
+});
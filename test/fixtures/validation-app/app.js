@@ -0,0 +1,16 @@
+import express from "express";
+import { createTodoSchema } from "./schemas.js";
+import { userRules } from "./rules.js";
+import { validate } from "./middleware.js";
+
+const app = express();
+
+app.post("/todos", validate(createTodoSchema), (req, res) => {
+  res.status(201).json(req.body);
+});
+
+app.put("/users/:id", userRules, validate, (req, res) => {
+  res.json({ id: req.params.id });
+});
+
+export default app;
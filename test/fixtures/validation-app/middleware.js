@@ -0,0 +1,5 @@
+export const validate = (schema) => (req, res, next) => {
+  const { error } = schema.validate(req.body);
+  if (error) return res.status(400).json({ error: error.message });
+  next();
+};
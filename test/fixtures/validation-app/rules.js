@@ -0,0 +1,7 @@
+const { body, param } = require("express-validator");
+
+exports.userRules = [
+  param("id").isMongoId(),
+  body("email").isEmail().normalizeEmail(),
+  body("age").optional().isInt({ min: 0, max: 150 }),
+];
@@ -0,0 +1,16 @@
+import Joi from "joi";
+
+const STATUSES = ["open", "done"];
+
+const address = Joi.object({
+  city: Joi.string().required(),
+  zip: Joi.string().pattern(/^\d{5}$/),
+});
+
+export const createTodoSchema = Joi.object({
+  title: Joi.string().min(1).max(200).required(),
+  status: Joi.string()
+    .valid(...STATUSES)
+    .default("open"),
+  address,
+});
@@ -0,0 +1,46 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Absolute path of a file under test/fixtures
+export function fixturePath(...segments) {
+  return path.join(__dirname, "fixtures", ...segments);
+}
+
+// Minimal test runner shared by the test files
+export function createTestSuite(title) {
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  console.log(`🧪 ${title}...\n`);
+
+  function test(description, assertion) {
+    try {
+      if (assertion()) {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+      } else {
+        console.log(`❌ ${description}`);
+        testsFailed++;
+      }
+    } catch (error) {
+      console.log(`❌ ${description} - Error: ${error.message}`);
+      testsFailed++;
+    }
+  }
+
+  function report() {
+    console.log(`\n📊 Test Results:`);
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exitCode = 1;
+    }
+  }
+
+  return { test, report };
+}
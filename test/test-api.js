@@ -0,0 +1,96 @@
+import {
+  generateSpec,
+  extractRoutesFromExpressApp,
+  generateOpenAPISpec,
+  formatSpec,
+} from "../src/express-to-openapi.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing the programmatic API");
+
+// Importing the package must not run the CLI
+const argvUntouched = process.exitCode === undefined;
+
+const mounted = await generateSpec({
+  entry: fixturePath("mounted-app", "app.js"),
+  config: { info: { title: "Mounted" }, servers: [{ url: "/" }] },
+});
+const fromConfigFile = await generateSpec({ cwd: fixturePath("config-app") });
+const withConfigPath = await generateSpec({
+  cwd: fixturePath("config-app"),
+  config: "docs/openapi.config.js",
+});
+const invalid = await generateSpec({
+  entry: [fixturePath("cli", "invalid.js"), fixturePath("cli", "no-routes.js")],
+  config: {},
+});
+
+let missingEntryError = null;
+try {
+  await generateSpec({ entry: "missing.js", config: {} });
+} catch (error) {
+  missingEntryError = error;
+}
+
+const yamlOutput = await formatSpec(mounted.document, "yaml");
+
+test("Importing the package does not run the CLI", () => argvUntouched);
+
+test("generateSpec returns the document, routes and no diagnostics", () => {
+  return (
+    mounted.document.paths["/api/todos"] &&
+    mounted.routes.length > 0 &&
+    mounted.diagnostics.length === 0
+  );
+});
+
+test("An inline config is merged into the document", () => {
+  return (
+    mounted.document.info.title === "Mounted" &&
+    mounted.document.servers[0].url === "/"
+  );
+});
+
+test("The config file of cwd and its entries are used by default", () => {
+  return (
+    fromConfigFile.document.info.title === "Config App" &&
+    fromConfigFile.document.paths["/tasks"]
+  );
+});
+
+test("config may be the path of a config file", () => {
+  return (
+    withConfigPath.document.info.title === "Docs Config" &&
+    withConfigPath.document.paths["/admin/stats"]
+  );
+});
+
+test("Parse errors and missing routes are reported as diagnostics", () => {
+  const [parseError, noRoutes] = invalid.diagnostics;
+  return (
+    parseError.level === "error" &&
+    parseError.code === "parse-error" &&
+    parseError.file === fixturePath("cli", "invalid.js") &&
+    parseError.line === 6 &&
+    noRoutes.level === "warning" &&
+    noRoutes.code === "no-routes"
+  );
+});
+
+test("Missing entry files throw", () => {
+  return missingEntryError && missingEntryError.message.includes("not found");
+});
+
+test("Route extraction and spec generation are exported", () => {
+  const routes = extractRoutesFromExpressApp(`
+    const app = require("express")();
+    app.get("/ping", (req, res) => res.send("pong"));
+  `);
+  return generateOpenAPISpec(routes).paths["/ping"].get;
+});
+
+test("formatSpec serializes the document", () => {
+  return yamlOutput.startsWith("openapi: 3.0.0");
+});
+
+report();
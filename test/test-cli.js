@@ -0,0 +1,227 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing the command line");
+
+const cliPath = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "express-to-openapi-"));
+
+// Run the CLI in an empty working directory
+function run(...args) {
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    cwd: workDir,
+    encoding: "utf8",
+  });
+}
+
+const appPath = fixturePath("mounted-app", "app.js");
+
+test("--stdout writes the spec to stdout only", () => {
+  const result = run(appPath, "--stdout");
+  const spec = JSON.parse(result.stdout);
+  return (
+    result.status === 0 &&
+    spec.paths["/api/todos"] &&
+    result.stderr.includes("Detected routes") &&
+    !fs.existsSync(path.join(workDir, "openapi.json"))
+  );
+});
+
+test("--output writes to a nested path, in the format of its extension", () => {
+  const result = run(appPath, "--output", "docs/api/openapi.yaml", "-q");
+  const output = path.join(workDir, "docs", "api", "openapi.yaml");
+  return (
+    result.status === 0 &&
+    result.stdout === "" &&
+    yaml.load(fs.readFileSync(output, "utf8")).openapi === "3.0.0"
+  );
+});
+
+test("The legacy <file> yaml form still works", () => {
+  const result = run(appPath, "yaml", "--quiet");
+  return (
+    result.status === 0 && fs.existsSync(path.join(workDir, "openapi.yaml"))
+  );
+});
+
+test("--entry can be repeated", () => {
+  const result = run(
+    "--entry",
+    appPath,
+    "--entry",
+    fixturePath("multi-router", "app.js"),
+    "--stdout",
+    "--format",
+    "yaml"
+  );
+  const spec = yaml.load(result.stdout);
+  return (
+    result.status === 0 &&
+    spec.paths["/api/todos"] &&
+    spec.paths["/public/status"]
+  );
+});
+
+test("--inline-schemas keeps repeated schemas inline", () => {
+  const entry = fixturePath("controllers-app", "app.js");
+  const shared = JSON.parse(run(entry, "--stdout", "-q").stdout);
+  const inline = JSON.parse(
+    run(entry, "--stdout", "-q", "--inline-schemas").stdout
+  );
+  return shared.components.schemas.Order && !inline.components;
+});
+
+test("--openapi-version 3.1 writes an OpenAPI 3.1 document", () => {
+  const spec = JSON.parse(
+    run(appPath, "--stdout", "-q", "--openapi-version", "3.1").stdout
+  );
+  return (
+    spec.openapi === "3.1.0" &&
+    run(appPath, "--stdout", "--openapi-version", "4.0").status === 1
+  );
+});
+
+test("--strict fails instead of writing an invalid document", () => {
+  const entry = fixturePath("controllers-app", "app.js");
+  const warned = run(entry, "--stdout");
+  const failed = run(entry, "--stdout", "--strict");
+  return (
+    warned.status === 0 &&
+    warned.stderr.includes("⚠️") &&
+    warned.stderr.includes("app.js:11:1") &&
+    failed.status === 1 &&
+    failed.stdout === "" &&
+    failed.stderr.includes("app.js:11:1")
+  );
+});
+
+test("--report prints or writes the analysis report", () => {
+  const entry = fixturePath("report-app", "app.js");
+  const reportPath = path.join(workDir, "reports", "analysis.json");
+  const printed = run(entry, "--stdout", "-q", "--report");
+  const written = run(entry, "--stdout", "-q", "--report", reportPath);
+  const saved = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  return (
+    printed.status === 0 &&
+    printed.stderr.includes("Skipped (3)") &&
+    printed.stderr.includes(
+      "GET /files/*: wildcard paths are not documented"
+    ) &&
+    JSON.parse(printed.stdout).paths["/users"] &&
+    written.status === 0 &&
+    saved.skipped.length === 3 &&
+    saved.operations.some((operation) => operation.path === "/users")
+  );
+});
+
+test("--source-locations writes x-source on each operation", () => {
+  const spec = JSON.parse(
+    run(
+      fixturePath("report-app", "app.js"),
+      "--stdout",
+      "-q",
+      "--source-locations"
+    ).stdout
+  );
+  return spec.paths["/users"].get["x-source"].line === 6;
+});
+
+test("diff lists the changes and exits with 3 on breaking ones", () => {
+  const before = fixturePath("diff", "before.json");
+  const after = fixturePath("diff", "after.yaml");
+  const breaking = run("diff", before, after);
+  const compatible = run("diff", after, before, "--json");
+  const changes = JSON.parse(compatible.stdout);
+  return (
+    breaking.status === 3 &&
+    breaking.stdout.includes("💥 Breaking changes (1)") &&
+    breaking.stdout.includes("  DELETE /api/todos/{id}: operation removed") &&
+    breaking.stdout.includes("  GET /api/todos  query.page: new optional") &&
+    compatible.status === 0 &&
+    changes.breaking.length === 0 &&
+    changes.nonBreaking.some((change) => change.code === "operation-added") &&
+    run("diff", before, "missing.json").status === 1
+  );
+});
+
+test("--compare lists the changes since a previous spec", () => {
+  const result = run(
+    appPath,
+    "--stdout",
+    "-q",
+    "--compare",
+    fixturePath("diff", "before.json")
+  );
+  return (
+    result.status === 3 &&
+    JSON.parse(result.stdout).paths["/api/todos"] &&
+    result.stderr.includes("DELETE /api/todos/{id}: operation removed") &&
+    result.stderr.includes("GET /health: new operation") &&
+    run(appPath, "-q", "--compare", "missing.json").status === 1
+  );
+});
+
+test("--overlay merges hand-written changes into the spec", () => {
+  const result = run(
+    appPath,
+    "--stdout",
+    "--overlay",
+    fixturePath("overlays", "partial.yaml")
+  );
+  const spec = JSON.parse(result.stdout);
+  return (
+    result.status === 0 &&
+    spec.paths["/api/todos"].get.description ===
+      "Lists every todo, oldest first" &&
+    result.stderr.includes(
+      "partial.yaml: DELETE /api/todos: no such operation"
+    ) &&
+    run(appPath, "--overlay", "missing.yaml").status === 1
+  );
+});
+
+test("Sources that fail to parse exit with code 1", () => {
+  const result = run(fixturePath("cli", "invalid.js"), "--stdout");
+  return (
+    result.status === 1 &&
+    result.stdout === "" &&
+    result.stderr.includes("invalid.js:6:24: Unexpected token\n")
+  );
+});
+
+test("Apps without routes exit with code 2", () => {
+  const result = run(fixturePath("cli", "no-routes.js"), "--stdout");
+  return result.status === 2 && result.stderr.includes("No routes found");
+});
+
+test("Missing entries and invalid options exit with code 1", () => {
+  return (
+    run("missing.js").status === 1 &&
+    run().status === 1 &&
+    run(appPath, "--format", "xml").status === 1
+  );
+});
+
+test("--version prints the package version", () => {
+  const { version } = JSON.parse(
+    fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+  );
+  const result = run("--version");
+  return result.status === 0 && result.stdout.trim() === version;
+});
+
+test("--help lists the options", () => {
+  const { stdout } = run("--help");
+  return ["--output", "--format", "--entry", "--stdout", "--quiet"].every(
+    (option) => stdout.includes(option)
+  );
+});
+
+fs.rmSync(workDir, { recursive: true, force: true });
+
+report();
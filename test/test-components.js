@@ -0,0 +1,213 @@
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { extractComponents } from "../src/lib/components.js";
+import { createTestSuite } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing shared components");
+
+const routes = extractRoutesFromExpressApp(`
+  const express = require("express");
+  const app = express();
+
+  app.get("/todos", (req, res) => {
+    res.json({ data: [{ id: 1, title: "Write docs", done: false }], total: 1 });
+  });
+  app.get("/todos/:id", (req, res) => {
+    if (!req.params.id) {
+      return res.status(404).json({ message: "Todo not found" });
+    }
+    res.json({ id: 1, title: "Write docs", done: false });
+  });
+  app.put("/todos/:id", (req, res) => {
+    if (!req.body.title) {
+      return res.status(400).json({ message: "Title is required" });
+    }
+    res.json({ id: 1, title: req.body.title, done: false });
+  });
+  app.delete("/todos/:id", (req, res) => {
+    if (!req.params.id) {
+      return res.status(404).json({ message: "Todo not found" });
+    }
+    res.status(204).end();
+  });
+  app.get("/users/:id", (req, res) => {
+    res.json({
+      name: "Ada",
+      address: { city: "London", zip: "N1" },
+      billing: { city: "London", zip: "N1" },
+    });
+  });
+`);
+const spec = generateOpenAPISpec(routes);
+const { schemas, responses } = spec.components;
+
+function getOperation(path, method) {
+  return spec.paths[path][method];
+}
+
+function schemaResponse(properties) {
+  return {
+    description: "Success",
+    content: { "application/json": { schema: { type: "object", properties } } },
+  };
+}
+
+test("Repeated schemas are moved to components.schemas", () => {
+  const item = getOperation("/todos/{id}", "get").responses["200"];
+  const updated = getOperation("/todos/{id}", "put").responses["200"];
+  return (
+    item.content["application/json"].schema.$ref ===
+      "#/components/schemas/Todo" &&
+    updated.content["application/json"].schema.$ref ===
+      "#/components/schemas/Todo" &&
+    schemas.Todo.properties.title.type === "string"
+  );
+});
+
+test("Repeated error responses are moved to components.responses", () => {
+  const notFound = getOperation("/todos/{id}", "get").responses["404"];
+  const deleted = getOperation("/todos/{id}", "delete").responses["404"];
+  const badRequest = getOperation("/todos/{id}", "put").responses["400"];
+  return (
+    notFound.$ref === "#/components/responses/NotFound" &&
+    deleted.$ref === "#/components/responses/NotFound" &&
+    responses.NotFound.description === "Not Found" &&
+    responses.NotFound.content["application/json"].schema.$ref ===
+      "#/components/schemas/Error" &&
+    badRequest.content["application/json"].schema.$ref ===
+      "#/components/schemas/Error" &&
+    !responses.BadRequest
+  );
+});
+
+test("Schemas used once stay inline, with their shared parts", () => {
+  const list = getOperation("/todos", "get").responses["200"].content[
+    "application/json"
+  ].schema;
+  const user = getOperation("/users/{id}", "get").responses["200"].content[
+    "application/json"
+  ].schema;
+  return (
+    list.type === "object" &&
+    list.properties.data.items.$ref === "#/components/schemas/Todo" &&
+    user.properties.address.$ref === "#/components/schemas/Address" &&
+    user.properties.billing.$ref === "#/components/schemas/Address" &&
+    Object.keys(schemas).sort().join() === "Address,Error,Todo"
+  );
+});
+
+test("Key order does not matter and names do not collide", () => {
+  const document = extractComponents({
+    openapi: "3.0.0",
+    paths: {
+      "/todos": {
+        get: {
+          responses: {
+            200: schemaResponse({
+              a: { type: "string" },
+              b: { type: "integer" },
+            }),
+          },
+        },
+        post: {
+          responses: {
+            201: schemaResponse({
+              b: { type: "integer" },
+              a: { type: "string" },
+            }),
+          },
+        },
+      },
+      "/todos/{id}": {
+        get: {
+          responses: { 200: schemaResponse({ c: { type: "string" } }) },
+        },
+        put: {
+          responses: { 200: schemaResponse({ c: { type: "string" } }) },
+        },
+      },
+    },
+    components: { schemas: { Todo: { type: "string" } } },
+  });
+  const { paths, components } = document;
+  return (
+    paths["/todos"].post.responses["201"].content["application/json"].schema
+      .$ref === "#/components/schemas/TodoResponse" &&
+    Object.keys(components.schemas).sort().join() ===
+      "Todo,TodoResponse,TodoResponse2"
+  );
+});
+
+test("Names referred to by doc comments are not given away", () => {
+  const { paths, components } = generateOpenAPISpec(
+    extractRoutesFromExpressApp(`
+      const app = require("express")();
+
+      /** @response 200 {User[]} The users */
+      app.get("/users", (req, res) => res.json([]));
+      app.get("/users/:id", (req, res) => {
+        res.json({ name: "Ada", email: "ada@example.com" });
+      });
+      app.put("/users/:id", (req, res) => {
+        res.json({ name: "Ada", email: "ada@example.com" });
+      });
+    `)
+  );
+  return (
+    paths["/users"].get.responses["200"].content["application/json"].schema
+      .items.$ref === "#/components/schemas/User" &&
+    paths["/users/{id}"].get.responses["200"].content["application/json"].schema
+      .$ref === "#/components/schemas/UserResponse" &&
+    Object.keys(components.schemas).join() === "UserResponse"
+  );
+});
+
+test("Inline schemas equal to a component refer to it", () => {
+  const { paths, components } = generateOpenAPISpec(
+    extractRoutesFromExpressApp(`
+      const app = require("express")();
+      app.get("/health", (req, res) => res.json({ status: "ok" }));
+    `),
+    {
+      components: {
+        schemas: {
+          Health: {
+            type: "object",
+            properties: { status: { type: "string" } },
+          },
+        },
+      },
+    }
+  );
+  return (
+    paths["/health"].get.responses["200"].content["application/json"].schema
+      .$ref === "#/components/schemas/Health" &&
+    Object.keys(components.schemas).join() === "Health"
+  );
+});
+
+test("inlineSchemas keeps every schema inline", () => {
+  const { paths, components } = generateOpenAPISpec(routes, {
+    inlineSchemas: true,
+  });
+  const item = paths["/todos/{id}"].get.responses;
+  return (
+    !components &&
+    item["200"].content["application/json"].schema.properties.title &&
+    item["404"].content["application/json"].schema.properties.message
+  );
+});
+
+test("The routes are left as they are", () => {
+  const route = routes.find(
+    (candidate) =>
+      candidate.path === "/todos/{id}" && candidate.method === "get"
+  );
+  return (
+    route.responses["404"].content["application/json"].schema.properties
+      .message &&
+    route.responses["200"].content["application/json"].schema.properties.id
+  );
+});
+
+report();
@@ -0,0 +1,120 @@
+import { extractRoutesFromProject } from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import {
+  loadConfig,
+  getConfigEntries,
+  createFileFilter,
+} from "../src/lib/config.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing configuration files");
+
+const appDir = fixturePath("config-app");
+const config = await loadConfig({ cwd: appDir });
+const jsConfig = await loadConfig({
+  cwd: appDir,
+  configPath: "docs/openapi.config.js",
+});
+const emptyConfig = await loadConfig({ cwd: fixturePath("mounted-app") });
+
+let missingConfigError = null;
+try {
+  await loadConfig({ cwd: appDir, configPath: "missing.config.json" });
+} catch (error) {
+  missingConfigError = error;
+}
+
+const routes = extractRoutesFromProject(getConfigEntries(config), config);
+const spec = generateOpenAPISpec(routes, config);
+
+test("Config file is discovered in the working directory", () => {
+  return (
+    config.configPath ===
+    fixturePath("config-app", "express-to-openapi.config.json")
+  );
+});
+
+test("info is merged with the defaults and package.json version", () => {
+  return (
+    spec.info.title === "Config App" &&
+    spec.info.version === "2.3.4" &&
+    spec.info.contact.email === "api@example.com" &&
+    spec.info.license.name === "MIT" &&
+    spec.info.description.length > 0
+  );
+});
+
+test("servers, tags and externalDocs are copied to the document", () => {
+  return (
+    spec.servers.length === 2 &&
+    spec.servers[0].url === "https://api.example.com" &&
+    spec.tags[0].description === "Task management" &&
+    spec.externalDocs.url === "https://example.com/docs"
+  );
+});
+
+test("Every configured entry file is analyzed", () => {
+  return spec.paths["/tasks"] && spec.paths["/admin/stats"];
+});
+
+test("Excluded files are not followed", () => {
+  return !spec.paths["/internal/debug"];
+});
+
+test("Config rules apply to the analysis", () => {
+  return spec.paths["/tasks"].post.tags[0] === "Tasks";
+});
+
+test("--config loads a JavaScript config relative to the cwd", () => {
+  const entries = getConfigEntries(jsConfig);
+  return (
+    jsConfig.info.title === "Docs Config" &&
+    jsConfig.info.version === "0.1.0" &&
+    entries.length === 1 &&
+    entries[0] === fixturePath("config-app", "src", "admin.js")
+  );
+});
+
+test("Missing config files are reported", () => {
+  return missingConfigError && missingConfigError.message.includes("not found");
+});
+
+test("Without a config file the defaults are kept", () => {
+  const defaults = generateOpenAPISpec([], emptyConfig);
+  return (
+    emptyConfig.configPath === null &&
+    defaults.info.title === "Express API" &&
+    !defaults.servers &&
+    !defaults.tags
+  );
+});
+
+test("include globs restrict the followed files", () => {
+  const included = extractRoutesFromProject(getConfigEntries(config), {
+    baseDir: appDir,
+    include: ["src/**/internal.js"],
+  });
+  const paths = included.map((route) => route.path);
+  return (
+    paths.includes("/internal/debug") &&
+    !paths.includes("/tasks") &&
+    paths.includes("/admin/stats")
+  );
+});
+
+test("Commas only separate alternatives inside braces", () => {
+  const isIncluded = createFileFilter({
+    baseDir: "/app",
+    include: ["routes/a,b.js", "models/{todo,user}.js"],
+  });
+  return (
+    isIncluded("/app/routes/a,b.js") &&
+    !isIncluded("/app/routes/a") &&
+    !isIncluded("/app/b.js") &&
+    isIncluded("/app/models/todo.js") &&
+    isIncluded("/app/models/user.js") &&
+    !isIncluded("/app/models/todo,user.js")
+  );
+});
+
+report();
@@ -0,0 +1,360 @@
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import {
+  diffDocuments,
+  formatDocumentDiff,
+} from "../src/express-to-openapi.js";
+import { createTestSuite } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing spec diffs");
+
+const todo = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    title: { type: "string" },
+    status: { type: "string", enum: ["open", "done"] },
+  },
+  required: ["id", "title"],
+};
+
+const before = {
+  openapi: "3.0.0",
+  info: { title: "Todos", version: "1.0.0" },
+  paths: {
+    "/todos": {
+      get: {
+        parameters: [
+          {
+            name: "limit",
+            in: "query",
+            required: false,
+            schema: { type: "number" },
+          },
+          {
+            name: "X-Tenant",
+            in: "header",
+            required: false,
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          200: {
+            description: "Success",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/Todo" },
+                },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: { title: { type: "string" } },
+                required: ["title"],
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: "Created" },
+          400: { description: "Bad request" },
+        },
+      },
+    },
+    "/todos/{id}": {
+      delete: {
+        parameters: [{ name: "id", in: "path", required: true, schema: {} }],
+        responses: { 204: { description: "Deleted" } },
+      },
+    },
+  },
+  components: { schemas: { Todo: todo } },
+};
+
+const after = {
+  ...before,
+  paths: {
+    "/todos": {
+      get: {
+        parameters: [
+          {
+            name: "limit",
+            in: "query",
+            required: false,
+            schema: { type: "integer" },
+          },
+          {
+            name: "x-tenant",
+            in: "query",
+            required: false,
+            schema: { type: "string" },
+          },
+          {
+            name: "sort",
+            in: "query",
+            required: false,
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          200: {
+            description: "Success",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/Todo" },
+                },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  title: { type: "string" },
+                  priority: { type: "integer" },
+                  notes: { type: "string" },
+                },
+                required: ["title", "priority"],
+              },
+            },
+          },
+        },
+        responses: { 201: { description: "Created" } },
+      },
+    },
+    "/users": {
+      get: { responses: { 200: { description: "Success" } } },
+    },
+  },
+  components: {
+    schemas: {
+      Todo: {
+        ...todo,
+        properties: {
+          id: { type: "integer" },
+          title: { type: "string", nullable: true },
+          status: { type: "string", enum: ["open", "done", "archived"] },
+          tags: { type: "array", items: { type: "string" } },
+        },
+        required: ["id"],
+      },
+    },
+  },
+};
+
+const diff = diffDocuments(before, after);
+
+function findChange(changes, code, target) {
+  return changes.find(
+    (change) =>
+      change.code === code && (target === undefined || change.target === target)
+  );
+}
+
+function diffApps(previous, next) {
+  return diffDocuments(
+    generateOpenAPISpec(extractRoutesFromExpressApp(previous)),
+    generateOpenAPISpec(extractRoutesFromExpressApp(next))
+  );
+}
+
+test("A removed operation is breaking, an added one is not", () => {
+  const removed = findChange(diff.breaking, "operation-removed");
+  const added = findChange(diff.nonBreaking, "operation-added");
+  return (
+    removed.method === "delete" &&
+    removed.path === "/todos/{id}" &&
+    removed.target === null &&
+    added.method === "get" &&
+    added.path === "/users"
+  );
+});
+
+test("A new required body property is breaking, an optional one is not", () => {
+  const priority = findChange(diff.breaking, "property-added", "body.priority");
+  const notes = findChange(diff.nonBreaking, "property-added", "body.notes");
+  return (
+    priority.method === "post" &&
+    priority.message === "new required property" &&
+    notes.message === "new optional property" &&
+    !findChange(diff.breaking, "property-added", "body.notes")
+  );
+});
+
+test("A narrowed request type is breaking", () => {
+  const limit = findChange(diff.breaking, "type-narrowed", "query.limit");
+  return limit.message === "type narrowed: was number, now integer";
+});
+
+test("A removed response code is breaking, an added one is not", () => {
+  const removed = findChange(diff.breaking, "response-removed");
+  return (
+    removed.path === "/todos" &&
+    removed.target === "response 400" &&
+    !findChange(diff.nonBreaking, "response-added")
+  );
+});
+
+test("A parameter changing location is one breaking change", () => {
+  const moved = findChange(diff.breaking, "parameter-location-changed");
+  return (
+    moved.target === "header.x-tenant" &&
+    moved.message === "moved from header to query" &&
+    !findChange(diff.nonBreaking, "parameter-removed") &&
+    findChange(diff.nonBreaking, "parameter-added").target === "query.sort"
+  );
+});
+
+test("Responses are compared through their $refs", () => {
+  const target = "response 200 body[]";
+  return (
+    findChange(diff.breaking, "type-widened", `${target}.title`).message ===
+      "type widened: was string, now string | null" &&
+    findChange(diff.breaking, "property-optional", `${target}.title`)
+      .message === "may now be missing" &&
+    findChange(diff.breaking, "enum-value-added", `${target}.status`)
+      .message === 'now allows "archived"' &&
+    findChange(diff.nonBreaking, "property-added", `${target}.tags`)
+  );
+});
+
+test("Identical documents have no change", () => {
+  const same = diffDocuments(before, JSON.parse(JSON.stringify(before)));
+  return (
+    same.breaking.length === 0 &&
+    same.nonBreaking.length === 0 &&
+    formatDocumentDiff(same)[0] === "No change in the API"
+  );
+});
+
+test("The text diff lists breaking changes first", () => {
+  const lines = formatDocumentDiff(diff);
+  return (
+    lines[0] === `💥 Breaking changes (${diff.breaking.length})` &&
+    lines.includes("  DELETE /todos/{id}: operation removed") &&
+    lines.includes("  POST /todos  body.priority: new required property") &&
+    lines.includes(`✨ Non-breaking changes (${diff.nonBreaking.length})`)
+  );
+});
+
+test("Changes to a validation schema are found in generated specs", () => {
+  const changes = diffApps(
+    `
+    const app = require("express")();
+    const { z } = require("zod");
+    const todoSchema = z.object({ title: z.string() });
+    app.post("/todos", (req, res) => res.json(todoSchema.parse(req.body)));
+  `,
+    `
+    const app = require("express")();
+    const { z } = require("zod");
+    const todoSchema = z.object({
+      title: z.string(),
+      priority: z.enum(["low", "high"]),
+    });
+    app.post("/todos", (req, res) => res.json(todoSchema.parse(req.body)));
+  `
+  );
+  const priority = findChange(
+    changes.breaking,
+    "property-added",
+    "body.priority"
+  );
+  return priority && priority.path === "/todos";
+});
+
+test("3.0 and 3.1 nullable values are compared alike", () => {
+  const schema = (value) => ({
+    openapi: "3.1.0",
+    paths: {
+      "/todos": {
+        get: {
+          responses: {
+            200: {
+              description: "Success",
+              content: { "application/json": { schema: value } },
+            },
+          },
+        },
+      },
+    },
+    components: { schemas: { Todo: { type: "object" } } },
+  });
+  const nullable = diffDocuments(
+    schema({ allOf: [{ $ref: "#/components/schemas/Todo" }], nullable: true }),
+    schema({
+      anyOf: [{ $ref: "#/components/schemas/Todo" }, { type: "null" }],
+    })
+  );
+  const nonNullable = diffDocuments(
+    schema({ type: ["object", "null"] }),
+    schema({ $ref: "#/components/schemas/Todo" })
+  );
+  return (
+    nullable.breaking.length === 0 &&
+    nullable.nonBreaking.length === 0 &&
+    findChange(nonNullable.nonBreaking, "type-narrowed").message ===
+      "type narrowed: was object | null, now object"
+  );
+});
+
+test("Recursive schemas do not loop", () => {
+  const tree = (type) => ({
+    openapi: "3.0.0",
+    paths: {
+      "/tree": {
+        get: {
+          responses: {
+            200: {
+              description: "Success",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/Node" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Node: {
+          type: "object",
+          properties: {
+            value: { type },
+            children: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Node" },
+            },
+          },
+        },
+      },
+    },
+  });
+  const changes = diffDocuments(tree("string"), tree("integer"));
+  return (
+    changes.breaking.length === 1 &&
+    changes.breaking[0].target === "response 200 body.value"
+  );
+});
+
+report();
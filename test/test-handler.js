@@ -0,0 +1,271 @@
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { createTestSuite } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing route handler analysis");
+
+// Extract the single route declared by a handler body, after optional
+// module-level declarations
+function analyze(handlerSource, method = "post", path = "/items", setup = "") {
+  const [route] = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const app = express();
+    ${setup}
+    app.${method}("${path}", ${handlerSource});
+  `);
+  return route;
+}
+
+function getParam(route, location, name) {
+  return route.parameters.find((p) => p.in === location && p.name === name);
+}
+
+function getBodySchema(route) {
+  return route.requestBody?.content["application/json"].schema;
+}
+
+function getResponseSchema(route, status, mediaType = "application/json") {
+  return route.responses[status]?.content?.[mediaType]?.schema;
+}
+
+test("let/var destructuring of req.query is detected", () => {
+  const route = analyze(
+    `(req, res) => { let { page } = req.query; var sort = req.query.sort; res.json([]); }`,
+    "get"
+  );
+  return getParam(route, "query", "page") && getParam(route, "query", "sort");
+});
+
+test("Renamed destructuring keeps the request field name", () => {
+  const route = analyze(
+    `(req, res) => { const { title: t } = req.body; if (!t) return res.status(400).json({}); res.json({ t }); }`
+  );
+  const schema = getBodySchema(route);
+  return (
+    schema.properties.title &&
+    !schema.properties.t &&
+    schema.required.includes("title")
+  );
+});
+
+test("Destructuring defaults tell the parameter type", () => {
+  const route = analyze(
+    `(req, res) => { const { page = 1, active = false } = req.query; res.json([]); }`,
+    "get"
+  );
+  return (
+    getParam(route, "query", "page").schema.type === "integer" &&
+    getParam(route, "query", "active").schema.type === "boolean"
+  );
+});
+
+test('req["body"] and computed string keys are detected', () => {
+  const route = analyze(`(req, res) => { res.json(req["body"]["note"]); }`);
+  return getBodySchema(route).properties.note;
+});
+
+test("Aliases such as const { body } = req are followed", () => {
+  const route = analyze(
+    `(req, res) => { const { body, query } = req; const data = body; res.json({ x: data.amount, y: query.q }); }`
+  );
+  return (
+    getBodySchema(route).properties.amount && getParam(route, "query", "q")
+  );
+});
+
+test("Destructured request parameters are followed", () => {
+  const route = analyze(
+    `({ body: { title }, params }, res) => { res.json({ title, id: Number(params.id) }); }`,
+    "put",
+    "/items/:id"
+  );
+  return (
+    getBodySchema(route).properties.title &&
+    getParam(route, "path", "id").schema.type === "number"
+  );
+});
+
+test("Conversions tell the type of path and query parameters", () => {
+  const route = analyze(
+    `(req, res) => { const id = parseInt(req.params.id); const limit = +req.query.limit; res.json({}); }`,
+    "get",
+    "/items/:id"
+  );
+  return (
+    getParam(route, "path", "id").schema.type === "integer" &&
+    getParam(route, "query", "limit").schema.type === "number"
+  );
+});
+
+test("typeof checks only give JSON types", () => {
+  const route = analyze(
+    `(req, res) => {
+      if (typeof req.query.cb === "function") return res.json({});
+      if (typeof req.query.big === "bigint") return res.json({});
+      if (typeof req.query.count === "number") return res.json({});
+      res.json({});
+    }`,
+    "get"
+  );
+  return (
+    getParam(route, "query", "cb").schema.type === "string" &&
+    getParam(route, "query", "big").schema.type === "string" &&
+    getParam(route, "query", "count").schema.type === "number"
+  );
+});
+
+test("Parameters checked before an error response are required", () => {
+  const route = analyze(
+    `(req, res) => { const { q } = req.query; if (!q || req.query.tag === undefined) { return res.status(400).json({ message: "q is required" }); } res.json([]); }`,
+    "get"
+  );
+  return (
+    getParam(route, "query", "q").required === true &&
+    getParam(route, "query", "tag").required === true
+  );
+});
+
+test("Parameters checked without rejecting the request stay optional", () => {
+  const route = analyze(
+    `(req, res) => { const { q } = req.query; if (!q) { return res.json([]); } res.json([q]); }`,
+    "get"
+  );
+  return getParam(route, "query", "q").required === false;
+});
+
+test("Response calls with nested parentheses are detected", () => {
+  const route = analyze(
+    `(req, res) => { res.status(201).json(format(req.body, (x) => (x))); }`
+  );
+  return route.responses["201"] && !route.responses["200"];
+});
+
+test("res aliases and chained calls are detected", () => {
+  const route = analyze(
+    `(req, response) => { const r = response; if (!req.body) return r.status(422).set("X-A", "1").json({}); r.sendStatus(204); }`
+  );
+  return route.responses["422"] && route.responses["204"];
+});
+
+test("Responses without a payload have no content", () => {
+  const route = analyze(`(req, res) => { res.status(204).end(); }`, "delete");
+  return route.responses["204"] && !route.responses["204"].content;
+});
+
+test("req.body used as a whole declares a request body", () => {
+  const route = analyze(
+    `async (req, res) => { const todo = await Todo.create(req.body); res.status(201).json(todo); }`
+  );
+  return getBodySchema(route)?.type === "object";
+});
+
+test("Object literal responses describe their properties", () => {
+  const route = analyze(
+    `(req, res) => { res.json({ ok: true, count: 3, ratio: 0.5, label: \`n\`, at: new Date().toISOString() }); }`,
+    "get"
+  );
+  const { properties } = getResponseSchema(route, "200");
+  return (
+    properties.ok.type === "boolean" &&
+    properties.count.type === "integer" &&
+    properties.ratio.type === "number" &&
+    properties.label.type === "string" &&
+    properties.at.format === "date-time"
+  );
+});
+
+test("Response variables are traced to their declarations", () => {
+  const route = analyze(
+    `(req, res) => { const items = users.filter((u) => u.active); res.json({ items, total: items.length }); }`,
+    "get",
+    "/users",
+    `let users = [{ id: 1, name: "Ada", active: true }];`
+  );
+  const { items, total } = getResponseSchema(route, "200").properties;
+  return (
+    items.type === "array" &&
+    items.items.properties.name.type === "string" &&
+    total.type === "integer"
+  );
+});
+
+test("Request fields sent back keep their type", () => {
+  const route = analyze(
+    `(req, res) => { const { title } = req.body; if (!title) return res.status(400).json({ error: "Title is required" }); res.status(201).json({ id: Date.now(), title }); }`
+  );
+  const created = getResponseSchema(route, "201");
+  return (
+    created.properties.id.type === "integer" &&
+    created.properties.title.type === "string" &&
+    getResponseSchema(route, "400").properties.error.type === "string"
+  );
+});
+
+test("Caught errors are described by their message", () => {
+  const route = analyze(
+    `async (req, res) => { try { res.json(await load()); } catch (err) { res.status(500).json({ message: err.message }); } }`,
+    "get"
+  );
+  return getResponseSchema(route, "500").properties.message.type === "string";
+});
+
+test("Responses sharing a status code are merged", () => {
+  const route = analyze(
+    `(req, res) => { if (req.query.full) return res.json({ id: 1, extra: "x" }); res.json({ id: 1 }); }`,
+    "get"
+  );
+  const { properties } = getResponseSchema(route, "200");
+  return properties.id && properties.extra;
+});
+
+test("res.send with a string responds with text/html", () => {
+  const route = analyze(`(req, res) => { res.send("<h1>Hi</h1>"); }`, "get");
+  return getResponseSchema(route, "200", "text/html")?.type === "string";
+});
+
+test("Request headers and cookies are parameters", () => {
+  const route = analyze(
+    `(req, res) => { if (!req.headers["x-tenant-id"]) return res.status(400).json({}); const match = req.get("If-Match"); const limit = parseInt(req.header("X-Limit")); const { session } = req.cookies; res.json({}); }`,
+    "put"
+  );
+  return (
+    getParam(route, "header", "x-tenant-id").required === true &&
+    getParam(route, "header", "If-Match").required === false &&
+    getParam(route, "header", "X-Limit").schema.type === "integer" &&
+    getParam(route, "cookie", "session")
+  );
+});
+
+test("Standard headers are not parameters", () => {
+  const route = analyze(
+    `(req, res) => { const type = req.get("Content-Type"); const { authorization } = req.headers; const agent = req.header("user-agent"); res.json({ type, agent }); }`,
+    "get"
+  );
+  return route.parameters.length === 0;
+});
+
+test("Headers set before a response are response headers", () => {
+  const route = analyze(
+    `(req, res) => { res.set("X-Total-Count", 2); res.header({ "Cache-Control": "no-store", "Content-Type": "application/json" }); res.json([]); }`,
+    "get"
+  );
+  const { headers } = route.responses["200"];
+  return (
+    headers["X-Total-Count"].schema.type === "integer" &&
+    headers["Cache-Control"].schema.type === "string" &&
+    !headers["Content-Type"]
+  );
+});
+
+test("Headers chained to a response only concern that response", () => {
+  const route = analyze(
+    `(req, res) => { if (!req.body.title) { return res.status(400).json({ message: "Title is required" }); } res.set("ETag", "v1"); res.status(201).location("/items/1").json({ id: 1 }); }`
+  );
+  const created = route.responses["201"].headers;
+  return (
+    created.Location.schema.type === "string" &&
+    created.ETag &&
+    !route.responses["400"].headers
+  );
+});
+
+report();
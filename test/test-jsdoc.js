@@ -0,0 +1,248 @@
+import {
+  extractRoutesFromExpressApp,
+  extractRoutesFromProject,
+} from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing doc comments");
+
+// Generate the operations of an app declared in a source string
+function generate(routesSource) {
+  const routes = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const app = express();
+    const router = express.Router();
+    ${routesSource}
+    app.use("/api", router);
+  `);
+  return generateOpenAPISpec(routes).paths;
+}
+
+const paths = generate(`
+  // GET /api/users/:id - Get user by ID
+  router.get("/users/:id", (req, res) => {
+    res.json({ id: req.params.id });
+  });
+
+  /**
+   * Create a todo
+   *
+   * Todos are created unfinished.
+   * @tags Todos, Writes
+   * @deprecated
+   * @body {Todo} The todo to create
+   * @response 201 {Todo} The created todo
+   * @response 400 - Invalid todo
+   */
+  router.post("/todos", (req, res) => {
+    if (!req.body.title) return res.status(400).json({ error: "Title is required" });
+    res.status(201).json(req.body);
+  });
+
+  /**
+   * @param {integer} id - Todo id
+   * @param {integer} [query.page=1] - Page
+   * @param {string} header.X-Request-Id
+   * @param {string} [body.note] - A note
+   * @response 200 {Todo[]}
+   */
+  router.patch("/todos/:id", (req, res) => {
+    const { title } = req.body;
+    if (!title) return res.status(400).json({});
+    res.json([]);
+  });
+
+  router
+    .route("/items")
+    // List the items
+    .get((req, res) => res.json([]))
+    /** @summary Add an item */
+    .post((req, res) => res.status(201).json({}));
+
+  /** Delete the todo */
+  router.delete("/todos/:id", (req, res) => res.sendStatus(204));
+
+  // Define your routes here
+  router.get("/status", (req, res) => res.json({ ok: true }));
+
+  // Unrelated comment
+
+  router.delete("/items/:id", (req, res) => res.sendStatus(204));
+
+  // eslint-disable-next-line no-unused-vars
+  router.put("/items/:id", (req, res) => res.json({}));
+
+  /**
+   * @openapi
+   * operationId: archiveItem
+   * x-internal: true
+   */
+  router.post("/items/:id/archive", (req, res) => res.json({}));
+`);
+
+test("Line comments give the summary, without the route prefix", () => {
+  return paths["/api/users/{id}"].get.summary === "Get user by ID";
+});
+
+test("Summaries starting with a verb are kept whole", () => {
+  return paths["/api/todos/{id}"].delete.summary === "Delete the todo";
+});
+
+test("Line comments not naming the route are not its summary", () => {
+  return paths["/api/status"].get.summary === "GET /api/status";
+});
+
+test("JSDoc text, @tags and @deprecated are read", () => {
+  const operation = paths["/api/todos"].post;
+  return (
+    operation.summary === "Create a todo" &&
+    operation.description === "Todos are created unfinished." &&
+    operation.tags.join() === "Todos,Writes" &&
+    operation.deprecated === true
+  );
+});
+
+test("@body and @response replace the inferred schemas", () => {
+  const { requestBody, responses } = paths["/api/todos"].post;
+  return (
+    requestBody.content["application/json"].schema.$ref ===
+      "#/components/schemas/Todo" &&
+    requestBody.description === "The todo to create" &&
+    responses["201"].description === "The created todo" &&
+    responses["201"].content["application/json"].schema.$ref ===
+      "#/components/schemas/Todo" &&
+    responses["400"].description === "Invalid todo" &&
+    responses["400"].content["application/json"].schema.properties.error
+  );
+});
+
+test("@param documents path, query, header and body fields", () => {
+  const operation = paths["/api/todos/{id}"].patch;
+  const find = (location, name) =>
+    operation.parameters.find((p) => p.in === location && p.name === name);
+  const body = operation.requestBody.content["application/json"].schema;
+  return (
+    find("path", "id").schema.type === "integer" &&
+    find("path", "id").description === "Todo id" &&
+    find("query", "page").required === false &&
+    find("query", "page").schema.default === 1 &&
+    find("header", "X-Request-Id").required === true &&
+    body.properties.note.description === "A note" &&
+    body.properties.title &&
+    body.required.join() === "title" &&
+    operation.responses["200"].content["application/json"].schema.type ===
+      "array"
+  );
+});
+
+test("@param of the handler arguments documents no parameter", () => {
+  const documented = generate(`
+    /**
+     * List todos
+     * @param {Request} req - The request
+     * @param {Response} res - The response
+     * @param {Function} next
+     * @param {string} [sort] - Sort order
+     * @param {Options} query.filter - Filter
+     */
+    function list(req, res, next) {
+      res.json([]);
+    }
+
+    router.get("/todos", list);
+  `);
+  const operation = documented["/api/todos"].get;
+  return (
+    operation.summary === "List todos" &&
+    operation.parameters.length === 1 &&
+    operation.parameters[0].name === "filter" &&
+    operation.parameters[0].schema.type === "string" &&
+    !JSON.stringify(operation).includes("$ref")
+  );
+});
+
+test("Comments above chained methods document each method", () => {
+  const item = paths["/api/items"];
+  return (
+    item.get.summary === "List the items" && item.post.summary === "Add an item"
+  );
+});
+
+test("Detached comments and tool directives are ignored", () => {
+  const item = paths["/api/items/{id}"];
+  return (
+    item.delete.summary === "DELETE /api/items/{id}" &&
+    item.put.summary === "PUT /api/items/{id}"
+  );
+});
+
+test("@openapi YAML is merged into the operation", () => {
+  const operation = paths["/api/items/{id}/archive"].post;
+  return (
+    operation.operationId === "archiveItem" && operation["x-internal"] === true
+  );
+});
+
+test("@openapi blocks that are not valid YAML are reported", () => {
+  const skips = [];
+  const routes = extractRoutesFromExpressApp(
+    `const express = require("express");
+const app = express();
+
+/**
+ * Archive an item
+ * @openapi
+ * operationId: [archiveItem
+ */
+app.post("/items/:id/archive", (req, res) => res.json({}));
+`,
+    { onSkip: (skip) => skips.push(skip) }
+  );
+  const [skip] = skips;
+  return (
+    routes[0].summary === "Archive an item" &&
+    skips.length === 1 &&
+    skip.reason === "invalid-doc-comment" &&
+    skip.message.startsWith(
+      "POST /items/{id}/archive: @openapi is not valid YAML, it was ignored:"
+    ) &&
+    skip.line === 4 &&
+    skip.column === 1
+  );
+});
+
+test("Docs of handlers declared in other files are read", () => {
+  const spec = generateOpenAPISpec(
+    extractRoutesFromProject(fixturePath("controllers-app", "app.js"))
+  );
+  const users = spec.paths["/users"];
+  const roleParam = users.get.parameters.find((p) => p.name === "role");
+  return (
+    users.get.summary === "List users" &&
+    roleParam.description === "Only users with this role" &&
+    users.get.responses["200"].content["application/json"].schema.items.$ref ===
+      "#/components/schemas/User" &&
+    users.post.summary === "Create a user" &&
+    spec.paths["/todos"].get.summary === "List todos" &&
+    spec.paths["/todos"].get.tags.join() === "Todos,Lists"
+  );
+});
+
+test("Docs do not leak into other routes sharing the handler", () => {
+  const shared = generate(`
+    function list(req, res) {
+      res.json([]);
+    }
+
+    /** @param {integer} query.limit */
+    router.get("/a", list);
+    router.get("/b", list);
+  `);
+  return (
+    shared["/api/a"].get.parameters.length === 1 &&
+    !shared["/api/b"].get.parameters
+  );
+});
+
+report();
@@ -0,0 +1,164 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  extractRoutesFromExpressApp,
+  extractRoutesFromProject,
+  createProjectExtractor,
+} from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing Mongoose models");
+
+const spec = generateOpenAPISpec(
+  extractRoutesFromProject(fixturePath("mongoose-app", "app.js"))
+);
+const { Todo, User } = spec.components.schemas;
+
+function getResponseSchema(path, method, status = "200") {
+  return spec.paths[path][method].responses[status].content["application/json"]
+    .schema;
+}
+
+test("Models are emitted as component schemas", () => {
+  return (
+    Object.keys(spec.components.schemas).sort().join() === "Todo,User" &&
+    Todo.type === "object" &&
+    Todo.required.join() === "title"
+  );
+});
+
+test("Paths get their types, enums, defaults and bounds", () => {
+  const { title, completed, priority, dueDate, notes, meta } = Todo.properties;
+  return (
+    title.type === "string" &&
+    title.maxLength === 200 &&
+    completed.type === "boolean" &&
+    completed.default === false &&
+    priority.enum.join() === "low,medium,high" &&
+    priority.default === "medium" &&
+    dueDate.format === "date-time" &&
+    notes.items.type === "string" &&
+    meta.properties.views.minimum === 0 &&
+    meta.properties.source.type === "string"
+  );
+});
+
+test("References, subdocuments and hidden paths are converted", () => {
+  const { owner, tags } = Todo.properties;
+  const { email, password, roles } = User.properties;
+  return (
+    owner.type === "string" &&
+    owner.description === "User id" &&
+    tags.items.properties.label.type === "string" &&
+    tags.items.required.join() === "label" &&
+    !tags.items.properties._id &&
+    email.pattern === "^\\S+@\\S+$" &&
+    password.writeOnly === true &&
+    roles.items.enum.join() === "admin,member" &&
+    User.required.join() === "email"
+  );
+});
+
+test("Documents get their _id, timestamps and version key", () => {
+  const { _id, createdAt, updatedAt, __v } = Todo.properties;
+  return (
+    _id.readOnly === true &&
+    createdAt.format === "date-time" &&
+    updatedAt.readOnly === true &&
+    __v.type === "integer" &&
+    !User.properties.createdAt
+  );
+});
+
+test("Query results refer to the model schemas", () => {
+  const list = getResponseSchema("/todos", "get");
+  const item = getResponseSchema("/todos/{id}", "get");
+  const created = getResponseSchema("/todos", "post", "201");
+  const user = getResponseSchema("/users/{id}", "get");
+  return (
+    list.type === "array" &&
+    list.items.$ref === "#/components/schemas/Todo" &&
+    item.properties.data.$ref === "#/components/schemas/Todo" &&
+    item.properties.count.type === "integer" &&
+    created.$ref === "#/components/schemas/Todo" &&
+    user.$ref === "#/components/schemas/User"
+  );
+});
+
+test("Models declared in the route file are read too", () => {
+  const routes = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const { Schema, model } = require("mongoose");
+    const app = express();
+    const Note = model("Note", new Schema({ text: String }, { versionKey: false }));
+    app.get("/notes", async (req, res) => res.json(await Note.find({})));
+  `);
+  const { components, paths } = generateOpenAPISpec(routes);
+  return (
+    Object.keys(components.schemas.Note.properties).join() === "_id,text" &&
+    paths["/notes"].get.responses["200"].content["application/json"].schema
+      .items.$ref === "#/components/schemas/Note"
+  );
+});
+
+test("Unknown models keep the generic query schemas", () => {
+  const routes = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const Todo = require("./models/todo");
+    const app = express();
+    app.get("/todos", async (req, res) => res.json(await Todo.find()));
+  `);
+  const { components, paths } = generateOpenAPISpec(routes);
+  const schema =
+    paths["/todos"].get.responses["200"].content["application/json"].schema;
+  return !components && schema.items.type === "object";
+});
+
+test("Config components are kept next to the model schemas", () => {
+  const routes = extractRoutesFromProject(
+    fixturePath("mongoose-app", "app.js")
+  );
+  const { components } = generateOpenAPISpec(routes, {
+    components: {
+      schemas: { Error: { type: "object" } },
+      securitySchemes: { bearer: { type: "http", scheme: "bearer" } },
+    },
+  });
+  return (
+    components.schemas.Todo &&
+    components.schemas.Error &&
+    components.securitySchemes.bearer
+  );
+});
+
+test("Changed model files are read again, and stay watched", () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "express-to-openapi-"));
+  fs.cpSync(fixturePath("mongoose-app"), workDir, { recursive: true });
+  const entry = path.join(workDir, "app.js");
+  const modelPath = path.join(workDir, "models", "Todo.js");
+
+  const extractor = createProjectExtractor();
+  extractor.extract(entry);
+  fs.writeFileSync(
+    modelPath,
+    fs
+      .readFileSync(modelPath, "utf8")
+      .replace("maxlength: 200", "maxlength: 100")
+  );
+  extractor.invalidate(modelPath);
+  const { components } = generateOpenAPISpec(extractor.extract(entry));
+  // A run where only a route file changed keeps the model analyses
+  extractor.invalidate(path.join(workDir, "app.js"));
+  extractor.extract(entry);
+  const files = extractor.getFiles();
+  fs.rmSync(workDir, { recursive: true, force: true });
+
+  return (
+    components.schemas.Todo.properties.title.maxLength === 100 &&
+    files.includes(modelPath)
+  );
+});
+
+report();
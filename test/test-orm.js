@@ -0,0 +1,219 @@
+import {
+  extractRoutesFromExpressApp,
+  extractRoutesFromProject,
+  createProjectExtractor,
+} from "../src/lib/routes.js";
+import { parsePrismaSchema } from "../src/lib/prisma.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite(
+  "Testing Sequelize, Prisma and TypeORM models"
+);
+
+function generate(fixture) {
+  return generateOpenAPISpec(
+    extractRoutesFromProject(fixturePath(fixture, "app.js"))
+  );
+}
+
+function getResponseSchema(spec, path, method, status = "200") {
+  return spec.paths[path][method].responses[status].content["application/json"]
+    .schema;
+}
+
+const prisma = generate("prisma-app");
+const sequelize = generate("sequelize-app");
+const typeorm = generate("typeorm-app");
+
+test("Prisma models become component schemas", () => {
+  const { Todo, User } = prisma.components.schemas;
+  const { id, title, priority, tags, notes, updatedAt } = Todo.properties;
+  return (
+    Todo.description === "A task on a list" &&
+    id.type === "integer" &&
+    id.readOnly === true &&
+    title.maxLength === 200 &&
+    title.description === "What needs to be done" &&
+    priority.enum.join() === "LOW,MEDIUM,HIGH" &&
+    priority.default === "MEDIUM" &&
+    tags.items.type === "string" &&
+    notes.nullable === true &&
+    !Todo.required.includes("notes") &&
+    updatedAt.readOnly === true &&
+    !Todo.properties.owner &&
+    User.properties.id.format === "uuid" &&
+    !User.properties.todos
+  );
+});
+
+test("Prisma client queries refer to the model schemas", () => {
+  const list = getResponseSchema(prisma, "/todos", "get");
+  const item = getResponseSchema(prisma, "/todos/{id}", "get");
+  const created = getResponseSchema(prisma, "/todos", "post", "201");
+  const deleted = getResponseSchema(prisma, "/todos", "delete");
+  const user = getResponseSchema(prisma, "/users/{id}", "get");
+  return (
+    list.items.$ref === "#/components/schemas/Todo" &&
+    item.$ref === "#/components/schemas/Todo" &&
+    created.$ref === "#/components/schemas/Todo" &&
+    deleted.properties.count.type === "integer" &&
+    user.properties.user.$ref === "#/components/schemas/User" &&
+    user.properties.todoCount.type === "integer"
+  );
+});
+
+test("Prisma schemas keep defaults, ids and composite types", () => {
+  const { Post } = parsePrismaSchema(`
+    // MongoDB schema
+    type Address {
+      city String
+      zip  String? @default("00000")
+    }
+    enum Status {
+      DRAFT   @map("draft")
+      PUBLISHED
+      @@map("post_status")
+    }
+    model Post {
+      id      String   @id @default(auto()) @map("_id") @db.ObjectId
+      url     String   @default("https://example.com") // not a comment start
+      status  Status   @default(DRAFT)
+      address Address
+      views   BigInt   @default(0)
+      @@index([status])
+    }
+  `);
+  const { id, url, status, address, views } = Post.properties;
+  return (
+    id.readOnly === true &&
+    id.pattern === "^[0-9a-fA-F]{24}$" &&
+    url.default === "https://example.com" &&
+    status.enum.join() === "DRAFT,PUBLISHED" &&
+    status.default === "DRAFT" &&
+    address.properties.zip.default === "00000" &&
+    address.required.join() === "city" &&
+    views.default === 0 &&
+    Post.required.join() === "id,url,status,address,views"
+  );
+});
+
+test("Sequelize models get their attributes, id and timestamps", () => {
+  const { Todo, Account } = sequelize.components.schemas;
+  const { id, title, priority, dueDate, estimate, tags, deletedAt } =
+    Todo.properties;
+  return (
+    id.readOnly === true &&
+    title.maxLength === 200 &&
+    title.minLength === 1 &&
+    Todo.required.join() === "title" &&
+    priority.enum.join() === "low,medium,high" &&
+    priority.default === "medium" &&
+    dueDate.format === "date" &&
+    estimate.type === "integer" &&
+    estimate.maximum === 100 &&
+    estimate.nullable === true &&
+    tags.items.type === "string" &&
+    deletedAt.nullable === true &&
+    Account.properties.id.format === "uuid" &&
+    Account.properties.email.format === "email" &&
+    Account.properties.username.pattern === "^[a-z0-9_]+$" &&
+    Account.properties.created_at.readOnly === true &&
+    !Account.properties.createdAt
+  );
+});
+
+test("Sequelize queries refer to the model schemas", () => {
+  const list = getResponseSchema(sequelize, "/todos", "get");
+  const page = getResponseSchema(sequelize, "/todos/page", "get");
+  const item = getResponseSchema(sequelize, "/todos/{id}", "get");
+  const updated = getResponseSchema(sequelize, "/todos/{id}", "patch");
+  const created = getResponseSchema(sequelize, "/users", "post", "201");
+  return (
+    list.items.$ref === "#/components/schemas/Todo" &&
+    page.properties.count.type === "integer" &&
+    page.properties.rows.items.$ref === "#/components/schemas/Todo" &&
+    item.$ref === "#/components/schemas/Todo" &&
+    updated.$ref === "#/components/schemas/Todo" &&
+    created.properties.user.$ref === "#/components/schemas/Account" &&
+    created.properties.total.type === "integer"
+  );
+});
+
+test("TypeORM entities are read from decorators and entity schemas", () => {
+  const { Todo, User } = typeorm.components.schemas;
+  const { id, title, priority, notes, position, createdAt } = Todo.properties;
+  return (
+    id.readOnly === true &&
+    title.maxLength === 200 &&
+    priority.enum.join() === "low,medium,high" &&
+    notes.nullable === true &&
+    notes.description === "Free text" &&
+    position.type === "integer" &&
+    createdAt.readOnly === true &&
+    !Todo.properties.owner &&
+    Todo.required.join() === "title,completed,priority,position" &&
+    User.properties.id.format === "uuid" &&
+    User.properties.password.writeOnly === true &&
+    User.properties.age.nullable === true &&
+    User.required.join() === "email,password"
+  );
+});
+
+test("TypeORM repositories and active records refer to the entities", () => {
+  const list = getResponseSchema(typeorm, "/todos", "get");
+  const item = getResponseSchema(typeorm, "/todos/{id}", "get");
+  const saved = getResponseSchema(typeorm, "/users", "post", "201");
+  const count = getResponseSchema(typeorm, "/users/count", "get");
+  return (
+    list.items.$ref === "#/components/schemas/Todo" &&
+    item.$ref === "#/components/schemas/Todo" &&
+    saved.$ref === "#/components/schemas/User" &&
+    count.properties.count.type === "integer"
+  );
+});
+
+test("Query methods of one ORM do not apply to another", () => {
+  const routes = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const { Sequelize, DataTypes } = require("sequelize");
+    const sequelize = new Sequelize("sqlite::memory:");
+    const Note = sequelize.define("Note", { text: DataTypes.TEXT }, { timestamps: false });
+    const app = express();
+    app.get("/notes", async (req, res) => res.json(await Note.findAll()));
+    app.put("/notes", async (req, res) => res.json(await Note.update(req.body, { where: {} })));
+  `);
+  const { components, paths } = generateOpenAPISpec(routes);
+  const updated =
+    paths["/notes"].put.responses["200"].content["application/json"].schema;
+  return (
+    Object.keys(components.schemas.Note.properties).join() === "id,text" &&
+    !updated.$ref &&
+    !(updated.items && updated.items.$ref)
+  );
+});
+
+test("The Prisma schema is found next to the app, or given", () => {
+  const extractor = createProjectExtractor();
+  extractor.extract(fixturePath("prisma-app", "app.js"));
+  const given = extractRoutesFromProject(fixturePath("prisma-app", "app.js"), {
+    baseDir: fixturePath("prisma-app"),
+    prismaSchema: "prisma/schema.prisma",
+  });
+  let missing = null;
+  try {
+    extractRoutesFromProject(fixturePath("prisma-app", "app.js"), {
+      prismaSchema: "missing.prisma",
+    });
+  } catch (error) {
+    missing = error;
+  }
+  return (
+    extractor.getFiles().some((file) => file.endsWith("schema.prisma")) &&
+    given.some((route) => route.schemas && route.schemas.Todo) &&
+    missing !== null &&
+    missing.message.startsWith("Prisma schema not found")
+  );
+});
+
+report();
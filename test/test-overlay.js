@@ -0,0 +1,147 @@
+import { generateSpec, applyOverlays } from "../src/express-to-openapi.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing overlays");
+
+const appPath = fixturePath("mounted-app", "app.js");
+const partialPath = fixturePath("overlays", "partial.yaml");
+const actionsPath = fixturePath("overlays", "actions.yaml");
+
+const plain = await generateSpec({ entry: appPath, config: {} });
+const result = await generateSpec({
+  entry: appPath,
+  config: {},
+  cwd: fixturePath("overlays"),
+  overrides: { overlays: ["partial.yaml", "actions.yaml"] },
+});
+const inline = await generateSpec({
+  entry: appPath,
+  config: {
+    overlays: [
+      {
+        "GET /api/todos": { responses: { 200: { description: null } } },
+        paths: { "/api/old": { get: {} } },
+      },
+    ],
+  },
+});
+const { paths } = result.document;
+
+function findStale(file, start) {
+  return result.diagnostics.find(
+    (d) =>
+      d.code === "stale-overlay" &&
+      d.file === file &&
+      d.message.startsWith(start)
+  );
+}
+
+async function rejects(promise, text) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.message.includes(text);
+  }
+}
+
+const invalid = await rejects(
+  generateSpec({
+    entry: appPath,
+    config: { overlays: [fixturePath("overlays", "invalid.yaml")] },
+  }),
+  "is not supported: only names, indexes and * are"
+);
+const missing = await rejects(
+  generateSpec({ entry: appPath, config: { overlays: ["missing.yaml"] } }),
+  "Overlay file not found"
+);
+
+test("Overlays are deep-merged into the generated operations", () => {
+  const list = paths["/api/todos"].get;
+  return (
+    list.description === "Lists every todo, oldest first" &&
+    list.responses[200].description === "The todos" &&
+    list.responses[200].content["application/json"] &&
+    list.operationId === "getapitodos" &&
+    result.document.info.description === "Todos and their comments" &&
+    result.document.info.title === "Express API"
+  );
+});
+
+test("null removes a key or a whole operation", () => {
+  return (
+    plain.document.paths["/api/todos"].get.tags &&
+    !("tags" in paths["/api/todos"].get) &&
+    plain.document.paths["/health"] &&
+    !paths["/health"]
+  );
+});
+
+test("Parameters are merged by name and location", () => {
+  const [id, ...rest] = paths["/api/todos/{id}"].get.parameters;
+  return (
+    id.name === "id" &&
+    id.required === true &&
+    id.schema.type === "string" &&
+    id.description === "Id of the todo" &&
+    id.example === "42" &&
+    rest.length === 1 &&
+    rest[0].name === "fields"
+  );
+});
+
+test("Overlay documents update, append to and remove their targets", () => {
+  return (
+    Object.values(paths).every(
+      (pathItem) => !pathItem.get || pathItem.get["x-public"] === true
+    ) &&
+    plain.document.paths["/api/users/{id}"] &&
+    !paths["/api/users/{id}"] &&
+    paths["/api/todos/{id}"].get.parameters[1].in === "query"
+  );
+});
+
+test("Targets missing from the document are warnings", () => {
+  const operation = findStale(partialPath, "DELETE /api/todos:");
+  const action = findStale(actionsPath, "$.paths['/api/legacy'].get:");
+  return (
+    operation.level === "warning" &&
+    operation.message ===
+      "DELETE /api/todos: no such operation, its overlay was not applied" &&
+    action.message.endsWith("matches nothing, the action was not applied") &&
+    !paths["/api/todos"].delete
+  );
+});
+
+test("Overlays leave the generated document untouched", () => {
+  const document = { openapi: "3.0.0", paths: { "/a": { get: {} } } };
+  const overlaid = applyOverlays(document, [
+    { file: null, overlay: { "GET /a": { summary: "A" } } },
+  ]);
+  return (
+    overlaid.document.paths["/a"].get.summary === "A" &&
+    !document.paths["/a"].get.summary &&
+    overlaid.problems.length === 0
+  );
+});
+
+test("Overlays can be given as objects", () => {
+  const stale = inline.diagnostics.find((d) => d.code === "stale-overlay");
+  return (
+    stale.message === "/api/old: no such path, its overlay was not applied" &&
+    !("file" in stale)
+  );
+});
+
+test("Invalid and missing overlays throw", () => invalid && missing);
+
+test("Overlaid documents are validated", () => {
+  const problem = inline.diagnostics.find((d) => d.code === "invalid-document");
+  return (
+    problem.pointer === "/paths/~1api~1todos/get/responses/200" &&
+    !result.diagnostics.some((d) => d.code === "invalid-document")
+  );
+});
+
+report();
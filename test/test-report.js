@@ -0,0 +1,228 @@
+import path from "path";
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { generateSpec, formatReport } from "../src/express-to-openapi.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing the analysis report");
+
+const skips = [];
+const routes = extractRoutesFromExpressApp(
+  `
+  const express = require("express");
+  const { z } = require("zod");
+  const app = express();
+  const todoSchema = z.object({ title: z.string(), done: z.boolean() });
+
+  app.get(process.env.STATUS_PATH, (req, res) => res.json({ ok: true }));
+  app.route(getPath("todos")).get((req, res) => res.json([]));
+  app.get("/assets/*", (req, res) => res.sendFile(req.params[0]));
+
+  app.post("/todos", (req, res) => {
+    const todo = todoSchema.parse(req.body);
+    res.status(201).json(todo);
+  });
+
+  /**
+   * @param {integer} id The todo id
+   * @param {boolean} [query.verbose]
+   */
+  app.get("/todos/:id", (req, res) => {
+    const { verbose, fields } = req.query;
+    res.json({ id: req.params.id, verbose });
+  });
+  app.get("/users/:userId", (req, res) => {
+    if (typeof req.query.age === "number") res.json({});
+    res.json({ tenant: req.get("X-Tenant-Id") });
+  });
+`,
+  { onSkip: (skip) => skips.push(skip) }
+);
+
+const appPath = fixturePath("report-app", "app.js");
+const usersPath = fixturePath("report-app", "routes", "users.js");
+const result = await generateSpec({ entry: appPath, config: {} });
+const located = await generateSpec({
+  entry: appPath,
+  config: {},
+  cwd: fixturePath("report-app"),
+  overrides: { sourceLocations: true },
+});
+const broken = await generateSpec({
+  entry: fixturePath("cli", "invalid.js"),
+  config: {},
+});
+
+function findRoute(list, method, routePath) {
+  return list.find(
+    (route) => route.method === method && route.path === routePath
+  );
+}
+
+function findField(route, location, name) {
+  return route.fields.find(
+    (field) => field.in === location && field.name === name
+  );
+}
+
+test("Routes with a computed path are reported where declared", () => {
+  const dynamic = skips.filter((skip) => skip.reason === "dynamic-path");
+  return (
+    dynamic.length === 2 &&
+    dynamic[0].method === "get" &&
+    dynamic[0].path === null &&
+    dynamic[0].file === null &&
+    dynamic[0].line === 7 &&
+    dynamic[1].line === 8 &&
+    dynamic[0].message === "GET route: its path is computed at runtime"
+  );
+});
+
+test("Wildcard routes are reported with their path", () => {
+  const wildcard = skips.find((skip) => skip.reason === "wildcard");
+  return (
+    wildcard &&
+    wildcard.path === "/assets/*" &&
+    wildcard.line === 9 &&
+    wildcard.message === "GET /assets/*: wildcard paths are not documented"
+  );
+});
+
+test("Handlers that cannot be found are reported", () => {
+  const skip = result.report.skipped.find(
+    (entry) => entry.reason === "unresolved-handler"
+  );
+  return (
+    skip.method === "get" &&
+    skip.path === "/health" &&
+    skip.file === appPath &&
+    skip.line === 11 &&
+    findRoute(result.routes, "get", "/health")
+  );
+});
+
+test("Skipped routes are info diagnostics", () => {
+  const skipped = result.diagnostics.filter((d) => d.code === "skipped-route");
+  return (
+    skipped.length === 3 &&
+    skipped.every((d) => d.level === "info") &&
+    result.report.skipped.length === 3
+  );
+});
+
+test("Files that do not parse are in the report", () => {
+  const [skip] = broken.report.skipped;
+  return (
+    skip.reason === "parse-error" &&
+    skip.line === 6 &&
+    skip.message.startsWith("the file could not be parsed: ")
+  );
+});
+
+test("Every operation tells the file and line declaring it", () => {
+  const list = findRoute(result.routes, "get", "/users");
+  const create = findRoute(result.routes, "post", "/users");
+  return (
+    list.source.file === usersPath &&
+    list.source.line === 6 &&
+    create.source.line === 12
+  );
+});
+
+test("Request fields tell the heuristic that typed them", () => {
+  const list = findRoute(result.routes, "get", "/users");
+  const create = findRoute(result.routes, "post", "/users");
+  const user = findRoute(routes, "get", "/users/{userId}");
+  return (
+    findField(list, "query", "page").heuristic === "default-value" &&
+    findField(list, "query", "limit").heuristic === "conversion" &&
+    findField(create, "body", "isAdmin").heuristic === "comparison" &&
+    findField(user, "query", "age").heuristic === "type-check" &&
+    findField(list, "query", "sort").heuristic === "fallback"
+  );
+});
+
+test("Guesses have a low confidence, headers are strings", () => {
+  const user = findRoute(routes, "get", "/users/{userId}");
+  const userId = findField(user, "path", "userId");
+  const tenant = findField(user, "header", "X-Tenant-Id");
+  return (
+    userId.heuristic === "fallback" &&
+    userId.confidence === "low" &&
+    tenant.heuristic === "fallback" &&
+    tenant.confidence === "high" &&
+    findField(user, "query", "age").confidence === "high"
+  );
+});
+
+test("Validation schemas and doc comments replace the heuristics", () => {
+  const create = findRoute(routes, "post", "/todos");
+  const todo = findRoute(routes, "get", "/todos/{id}");
+  return (
+    create.fields.length === 2 &&
+    create.fields.every(
+      (field) => field.heuristic === "validation" && field.in === "body"
+    ) &&
+    findField(todo, "path", "id").heuristic === "doc-comment" &&
+    findField(todo, "query", "verbose").heuristic === "doc-comment" &&
+    findField(todo, "query", "fields").heuristic === "fallback"
+  );
+});
+
+test("Name rules are named in the report", () => {
+  const todos = extractRoutesFromExpressApp(
+    `
+    const app = require("express")();
+    app.get("/todos", (req, res) => res.json({ page: req.query.page }));
+  `,
+    { rules: [{ name: "/^pag/", type: "integer" }] }
+  );
+  const page = findField(todos[0], "query", "page");
+  return (
+    page.heuristic === "name-rule" &&
+    page.rule === "/^pag/" &&
+    page.confidence === "low"
+  );
+});
+
+test("Low-confidence inferences list guessed fields and payloads", () => {
+  const { lowConfidence } = result.report;
+  const sort = lowConfidence.find((entry) => entry.target === "query.sort");
+  const payload = lowConfidence.find(
+    (entry) => entry.path === "/users" && entry.target === "response 200"
+  );
+  return (
+    sort.method === "get" &&
+    sort.source.file === usersPath &&
+    sort.message === "string, nothing tells its type" &&
+    payload.message === "the properties of the payload are unknown" &&
+    !lowConfidence.some((entry) => entry.target === "query.page")
+  );
+});
+
+test("The report lists the fields of each operation with their type", () => {
+  const list = findRoute(result.report.operations, "get", "/users");
+  const page = list.fields.find((field) => field.name === "page");
+  return page.type === "integer" && list.source.line === 6;
+});
+
+test("The text report gives locations relative to a directory", () => {
+  const lines = formatReport(result.report, fixturePath("report-app"));
+  return (
+    lines.includes("Skipped (3)") &&
+    lines.includes(
+      `  ${path.join("routes", "users.js")}:6:1  GET /users  query.sort: string, nothing tells its type`
+    ) &&
+    lines.includes("    query.limit: integer, by conversion")
+  );
+});
+
+test("x-source is only written with the sourceLocations option", () => {
+  const operation = located.document.paths["/users"].post;
+  return (
+    operation["x-source"].file === "routes/users.js" &&
+    operation["x-source"].line === 12 &&
+    !result.document.paths["/users"].post["x-source"]
+  );
+});
+
+report();
@@ -0,0 +1,237 @@
+import {
+  extractRoutesFromExpressApp,
+  extractRoutesFromProject,
+} from "../src/lib/routes.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing route extraction");
+
+function findRoute(routes, method, path) {
+  return routes.find((r) => r.method === method && r.path === path);
+}
+
+const routes = extractRoutesFromProject(fixturePath("mounted-app", "app.js"));
+
+test("Routes declared on the entry app keep their path", () => {
+  return findRoute(routes, "get", "/");
+});
+
+test("Imported router is mounted under its app.use() prefix", () => {
+  return (
+    findRoute(routes, "get", "/api/todos") &&
+    findRoute(routes, "get", "/api/todos/{id}")
+  );
+});
+
+test("Nested router mounts combine their prefixes", () => {
+  return (
+    findRoute(routes, "get", "/api/todos/{todoId}/comments") &&
+    findRoute(routes, "delete", "/api/todos/{todoId}/comments/{commentId}")
+  );
+});
+
+test("Path parameters from the mount prefix are documented", () => {
+  const route = findRoute(
+    routes,
+    "delete",
+    "/api/todos/{todoId}/comments/{commentId}"
+  );
+  const names = route.parameters
+    .filter((p) => p.in === "path")
+    .map((p) => p.name);
+  return names.join(",") === "todoId,commentId";
+});
+
+test("Inline require() mounts are followed", () => {
+  return findRoute(routes, "get", "/api/users/{id}");
+});
+
+test("Named exports and prefix-less mounts are followed", () => {
+  return findRoute(routes, "get", "/health");
+});
+
+test("Routers are not reported outside their mount", () => {
+  return (
+    !findRoute(routes, "get", "/{id}") &&
+    !findRoute(routes, "get", "/users/{id}")
+  );
+});
+
+test("Single-file extraction follows mounts within the file", () => {
+  const inlineRoutes = extractRoutesFromExpressApp(`
+    import express, { Router } from "express";
+    const app = express();
+    const router = Router();
+    router.get("/items", (req, res) => res.json([]));
+    app.use("/v1", router);
+  `);
+  return inlineRoutes.length === 1 && inlineRoutes[0].path === "/v1/items";
+});
+
+test("Middleware that is not a router is skipped", () => {
+  let parseError = null;
+  const routes = extractRoutesFromExpressApp(
+    `
+    const express = require("express");
+    const helmet = require("helmet");
+    const app = express();
+    app.use(helmet.noSniff());
+    app.use(express.json());
+    app.get("/ping", (req, res) => res.send("pong"));
+  `,
+    { onParseError: (filePath, error) => (parseError = error) }
+  );
+  return parseError === null && routes.length === 1;
+});
+
+const commonJSRoutes = extractRoutesFromProject(
+  fixturePath("commonjs-app", "server.js")
+);
+
+test('require("express") is detected under any local name', () => {
+  return commonJSRoutes.length === 3;
+});
+
+test('require("express").Router() routers exported via module.exports', () => {
+  return findRoute(commonJSRoutes, "get", "/api/todos/{id}");
+});
+
+test("express.Router() routers exported via exports.x", () => {
+  return findRoute(commonJSRoutes, "get", "/api/admin/stats");
+});
+
+test("Scripts that are not valid ES modules are still parsed", () => {
+  return findRoute(commonJSRoutes, "get", "/api/legacy/ping");
+});
+
+test("Sample express.Router() file is detected", () => {
+  const sampleRoutes = extractRoutesFromProject(
+    fixturePath("..", "..", "src", "routes", "index.js")
+  );
+  return sampleRoutes.length === 1 && sampleRoutes[0].path === "/";
+});
+
+const multiRouterRoutes = extractRoutesFromProject(
+  fixturePath("multi-router", "app.js")
+);
+
+test("Every router of a file keeps its own routes", () => {
+  return (
+    findRoute(multiRouterRoutes, "get", "/public/status") &&
+    findRoute(multiRouterRoutes, "get", "/admin/stats")
+  );
+});
+
+test("Routes registered through an alias belong to the aliased router", () => {
+  return !findRoute(multiRouterRoutes, "get", "/stats");
+});
+
+test("Routers created inside factory functions are kept apart", () => {
+  return (
+    findRoute(multiRouterRoutes, "get", "/users/{id}") &&
+    findRoute(multiRouterRoutes, "get", "/audit") &&
+    !findRoute(multiRouterRoutes, "get", "/audit/{id}")
+  );
+});
+
+test("Imported router factories are followed", () => {
+  return findRoute(multiRouterRoutes, "get", "/todos");
+});
+
+test("Apps that are not mounted anywhere are roots", () => {
+  return findRoute(multiRouterRoutes, "get", "/metrics");
+});
+
+test("Each route is reported exactly once", () => {
+  return multiRouterRoutes.length === 6;
+});
+
+const chainedRoutes = extractRoutesFromExpressApp(`
+  import { Router } from "express";
+  const router = Router();
+  router
+    .route("/todos/:id")
+    .get((req, res) => res.json({}))
+    .patch(requireAuth, (req, res) => res.json({}))
+    .delete((req, res) => res.status(204).send());
+`);
+
+test("route() chains produce one operation per chained method", () => {
+  return (
+    chainedRoutes.map((r) => r.method).join(",") === "get,patch,delete" &&
+    chainedRoutes.every((r) => r.path === "/todos/{id}")
+  );
+});
+
+test("route() chain operations share the path parameters", () => {
+  return chainedRoutes.every((r) =>
+    r.parameters.some((p) => p.name === "id" && p.in === "path")
+  );
+});
+
+const controllerRoutes = extractRoutesFromProject(
+  fixturePath("controllers-app", "app.js")
+);
+
+function hasQueryParam(route, name) {
+  return route.parameters.some((p) => p.in === "query" && p.name === name);
+}
+
+test("Named handler functions declared later in the file are analyzed", () => {
+  return findRoute(controllerRoutes, "get", "/health").responses["204"];
+});
+
+test("Handlers imported from a controller namespace are analyzed", () => {
+  return hasQueryParam(findRoute(controllerRoutes, "get", "/users"), "role");
+});
+
+test("Wrapped handlers such as asyncHandler(fn) are unwrapped", () => {
+  const route = findRoute(controllerRoutes, "post", "/users");
+  const schema = route.requestBody?.content["application/json"].schema;
+  return route.responses["201"] && schema?.properties?.name;
+});
+
+test("Methods of an exported controller instance are analyzed", () => {
+  return (
+    hasQueryParam(findRoute(controllerRoutes, "get", "/todos"), "page") &&
+    hasQueryParam(findRoute(controllerRoutes, "get", "/todos/search"), "q")
+  );
+});
+
+test("exports.x handlers are analyzed", () => {
+  return findRoute(controllerRoutes, "get", "/orders").responses["202"];
+});
+
+test("module.exports = { handler } members are analyzed", () => {
+  return findRoute(controllerRoutes, "get", "/reports/summary").responses[
+    "203"
+  ];
+});
+
+test("Headers read by middleware are parameters of the routes behind it", () => {
+  const tenantRoutes = extractRoutesFromExpressApp(`
+    const app = require("express")();
+    app.get("/health", (req, res) => res.json({ ok: true }));
+    app.use((req, res, next) => {
+      if (!req.get("X-Tenant-Id")) {
+        return res.status(400).json({ message: "Missing tenant" });
+      }
+      next();
+    });
+    const apiKey = (req, res, next) =>
+      req.get("X-API-Key") ? next() : res.sendStatus(401);
+    app.get("/projects", apiKey, (req, res) => res.json([]));
+  `);
+  const projects = findRoute(tenantRoutes, "get", "/projects");
+  const tenant = projects.parameters.find(
+    (param) => param.in === "header" && param.name === "X-Tenant-Id"
+  );
+  return (
+    tenant &&
+    tenant.required === true &&
+    projects.parameters.length === 1 &&
+    findRoute(tenantRoutes, "get", "/health").parameters.length === 0
+  );
+});
+
+report();
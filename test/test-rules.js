@@ -0,0 +1,110 @@
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { createTestSuite } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing name-based rules");
+
+const source = `
+  const express = require("express");
+  const app = express();
+  app.post("/todos/:count", (req, res) => {
+    const { title, completed, isArchived, contact } = req.body;
+    res.status(201).json({ title });
+  });
+`;
+
+function getBodySchema(options) {
+  const [route] = extractRoutesFromExpressApp(source, options);
+  return route.requestBody.content["application/json"].schema;
+}
+
+test("Default rules type fields by name", () => {
+  const schema = getBodySchema();
+  return (
+    schema.properties.completed.type === "boolean" &&
+    schema.properties.isArchived.type === "string" &&
+    schema.properties.title.type === "string"
+  );
+});
+
+test("Default rules do not require fields or tag paths", () => {
+  const routes = extractRoutesFromExpressApp(`
+    const app = require("express")();
+    app.post("/usergroups", (req, res) => {
+      const { title, name, email } = req.body;
+      res.status(201).json({ title, name, email });
+    });
+  `);
+  const { post } = generateOpenAPISpec(routes).paths["/usergroups"];
+  return (
+    !post.requestBody.content["application/json"].schema.required &&
+    post.tags[0] !== "Users"
+  );
+});
+
+test("Default rules type path parameters", () => {
+  const [route] = extractRoutesFromExpressApp(source);
+  return route.parameters[0].schema.type === "integer";
+});
+
+test("Defaults can be turned off", () => {
+  const options = { defaultRules: false };
+  const [route] = extractRoutesFromExpressApp(source, options);
+  const schema = getBodySchema(options);
+  return (
+    schema.properties.completed.type === "string" &&
+    !schema.required &&
+    route.parameters[0].schema.type === "string"
+  );
+});
+
+test("User rules match names, lists and regexp strings", () => {
+  const schema = getBodySchema({
+    rules: [
+      { name: "/^is[A-Z]/", type: "boolean" },
+      { name: ["contact"], format: "email", required: true },
+    ],
+  });
+  return (
+    schema.properties.isArchived.type === "boolean" &&
+    schema.properties.contact.format === "email" &&
+    schema.required.join() === "contact"
+  );
+});
+
+test("User rules override the defaults", () => {
+  const schema = getBodySchema({
+    rules: [{ name: "completed", type: "string" }],
+  });
+  return schema.properties.completed.type === "string";
+});
+
+test("Rules only apply to their location", () => {
+  const schema = getBodySchema({
+    rules: [{ name: "contact", in: "query", type: "integer" }],
+  });
+  return schema.properties.contact.type === "string";
+});
+
+test("Tag rules tag operations by path", () => {
+  const routes = extractRoutesFromExpressApp(source);
+  const custom = generateOpenAPISpec(routes, {
+    rules: [{ path: "/^\\/todos/", tag: "Tasks" }],
+  });
+  const plain = generateOpenAPISpec(routes, { defaultRules: false });
+  return (
+    custom.paths["/todos/{count}"].post.tags[0] === "Tasks" &&
+    plain.paths["/todos/{count}"].post.tags[0] === "Todos"
+  );
+});
+
+test("Invalid rules are reported", () => {
+  try {
+    extractRoutesFromExpressApp(source, { rules: [{ type: "integer" }] });
+    return false;
+  } catch (error) {
+    return error.message.includes("Invalid rule");
+  }
+});
+
+report();
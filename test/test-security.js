@@ -0,0 +1,192 @@
+import {
+  extractRoutesFromExpressApp,
+  extractRoutesFromProject,
+} from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing authentication middleware");
+
+const spec = generateOpenAPISpec(
+  extractRoutesFromProject(fixturePath("auth-app", "app.js"))
+);
+
+function getSecurity(document, path, method) {
+  return JSON.stringify(document.paths[path][method].security);
+}
+
+function generateInline(source, options = {}) {
+  return generateOpenAPISpec(
+    extractRoutesFromExpressApp(source, options),
+    options
+  );
+}
+
+test("Routes before and outside of auth middleware stay public", () => {
+  return (
+    !spec.paths["/health"].get.security &&
+    !spec.paths["/health"].get.responses["401"] &&
+    !spec.paths["/api/login"].post.security &&
+    !spec.paths["/api/signup"].post.security
+  );
+});
+
+test("express-jwt protects the routes under its prefix", () => {
+  const { securitySchemes } = spec.components;
+  return (
+    getSecurity(spec, "/api/todos", "get") === '[{"jwtAuth":[]}]' &&
+    securitySchemes.jwtAuth.scheme === "bearer" &&
+    securitySchemes.jwtAuth.bearerFormat === "JWT" &&
+    spec.paths["/api/todos"].get.responses["401"].description === "Unauthorized"
+  );
+});
+
+test("passport.authenticate() on a mount protects the mounted router", () => {
+  return (
+    getSecurity(spec, "/admin/stats", "get") === '[{"basicAuth":[]}]' &&
+    spec.components.securitySchemes.basicAuth.scheme === "basic"
+  );
+});
+
+test("Imported middleware functions are read for the credentials they check", () => {
+  const removed = spec.paths["/api/todos/{id}"].delete;
+  return (
+    getSecurity(spec, "/reports", "get") === '[{"ApiKeyAuth":[]}]' &&
+    spec.components.securitySchemes.ApiKeyAuth.name === "X-API-Key" &&
+    removed.responses["401"] &&
+    removed.responses["403"] &&
+    removed.responses["204"]
+  );
+});
+
+test("Several passport strategies are alternatives", () => {
+  const document = generateInline(`
+    const app = require("express")();
+    const passport = require("passport");
+    const STRATEGIES = ["jwt", "headerapikey", "local"];
+    app.get("/me", passport.authenticate(STRATEGIES), (req, res) => {
+      res.json({ id: 1 });
+    });
+    app.post("/login", passport.authenticate("local"), (req, res) => {
+      res.json({ ok: true });
+    });
+  `);
+  return (
+    getSecurity(document, "/me", "get") ===
+      '[{"jwtAuth":[]},{"ApiKeyAuth":[]}]' &&
+    !document.paths["/login"].post.security
+  );
+});
+
+test("Middleware added one after another are all required", () => {
+  const document = generateInline(`
+    const app = require("express")();
+    const passport = require("passport");
+    function requireToken(req, res, next) {
+      if (!req.headers["x-auth-token"] && !req.cookies.session) {
+        return res.sendStatus(401);
+      }
+      next();
+    }
+    app.use(passport.authenticate("basic"));
+    app.get("/files", requireToken, (req, res) => res.json([]));
+  `);
+  const schemes = document.components.securitySchemes;
+  return (
+    getSecurity(document, "/files", "get") ===
+      '[{"basicAuth":[],"XAuthTokenAuth":[]},{"basicAuth":[],"SessionCookie":[]}]' &&
+    schemes.XAuthTokenAuth.in === "header" &&
+    schemes.XAuthTokenAuth.name === "x-auth-token" &&
+    schemes.SessionCookie.in === "cookie"
+  );
+});
+
+test("route().all() middleware protects the methods chained after it", () => {
+  const document = generateInline(`
+    const app = require("express")();
+    const passport = require("passport");
+    app
+      .route("/notes")
+      .get((req, res) => res.json([]))
+      .all(passport.authenticate("basic"))
+      .post((req, res) => res.status(201).json({}))
+      .delete((req, res) => res.status(204).end());
+  `);
+  return (
+    !document.paths["/notes"].get.security &&
+    getSecurity(document, "/notes", "post") === '[{"basicAuth":[]}]' &&
+    getSecurity(document, "/notes", "delete") === '[{"basicAuth":[]}]' &&
+    document.paths["/notes"].delete.responses["401"]
+  );
+});
+
+test("Session checks and Authorization headers are recognized", () => {
+  const document = generateInline(`
+    const app = require("express")();
+    const ensureLoggedIn = (req, res, next) =>
+      req.isAuthenticated() ? next() : res.status(401).end();
+    const basic = (req, res, next) => {
+      const [type] = (req.header("Authorization") || "").split(" ");
+      if (type !== "Basic") return res.status(401).end();
+      next();
+    };
+    app.get("/profile", ensureLoggedIn, (req, res) => res.json({}));
+    app.get("/export", basic, (req, res) => res.json({}));
+  `);
+  return (
+    getSecurity(document, "/profile", "get") === '[{"cookieAuth":[]}]' &&
+    getSecurity(document, "/export", "get") === '[{"basicAuth":[]}]'
+  );
+});
+
+test("Configured middleware names give their scheme and scopes", () => {
+  const document = generateInline(
+    `
+    const app = require("express")();
+    const { checkJwt, requireScopes } = require("./auth");
+    app.get("/orders", checkJwt, (req, res) => res.json([]));
+    app.delete("/orders/:id", checkJwt, requireScopes("orders:write"), (req, res) => {
+      res.status(204).end();
+    });
+  `,
+    {
+      authMiddleware: {
+        checkJwt: "oauth",
+        requireScopes: { scheme: "oauth", scopes: ["orders:write"] },
+      },
+      components: {
+        securitySchemes: {
+          oauth: { type: "oauth2", flows: {} },
+        },
+      },
+    }
+  );
+  return (
+    getSecurity(document, "/orders", "get") === '[{"oauth":[]}]' &&
+    getSecurity(document, "/orders/{id}", "delete") ===
+      '[{"oauth":["orders:write"]}]' &&
+    document.components.securitySchemes.oauth.type === "oauth2" &&
+    document.paths["/orders"].get.responses["401"]
+  );
+});
+
+test("Responses sent by the handler are kept", () => {
+  const document = generateInline(`
+    const app = require("express")();
+    const passport = require("passport");
+    app.get("/me", passport.authenticate("bearer"), (req, res) => {
+      if (!req.user) {
+        return res.status(401).json({ message: "Session expired" });
+      }
+      res.json({ id: 1 });
+    });
+  `);
+  const response = document.paths["/me"].get.responses["401"];
+  return (
+    response.content &&
+    document.components.securitySchemes.bearerAuth.scheme === "bearer" &&
+    !document.components.securitySchemes.bearerAuth.bearerFormat
+  );
+});
+
+report();
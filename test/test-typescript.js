@@ -0,0 +1,113 @@
+import fs from "fs";
+import { analyzeModule } from "../src/lib/analyzer.js";
+import {
+  extractRoutesFromProject,
+  createProjectExtractor,
+} from "../src/lib/routes.js";
+import { resolveModule } from "../src/lib/resolve.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing TypeScript sources");
+
+const entry = fixturePath("ts-app", "app.ts");
+const spec = generateOpenAPISpec(extractRoutesFromProject(entry));
+
+// Response schema of an operation, with the shared schema it refers to
+function getResponseSchema(path, method, status = "200") {
+  const { schema } =
+    spec.paths[path][method].responses[status].content["application/json"];
+  return schema.$ref
+    ? spec.components.schemas[schema.$ref.split("/").pop()]
+    : schema;
+}
+
+test("TypeScript files are parsed and their imports followed", () => {
+  return (
+    Object.keys(spec.paths).sort().join() ===
+      "/health,/todos,/todos/stats,/todos/{id},/users/roles,/users/{id}" &&
+    resolveModule("./routes/users.js", entry) ===
+      fixturePath("ts-app", "routes", "users.ts")
+  );
+});
+
+test("Type syntax is stripped from the analyzed code", () => {
+  const filePath = fixturePath("ts-app", "routes", "users.ts");
+  const { parseError } = analyzeModule(
+    fs.readFileSync(filePath, "utf8"),
+    filePath
+  );
+  const roles = getResponseSchema("/users/roles", "get");
+  return (
+    parseError === null &&
+    roles.properties.roles.items.type === "integer" &&
+    roles.properties.roles.items.enum.join() === "0,1"
+  );
+});
+
+test("Request generics give the body and query schemas", () => {
+  const { requestBody, parameters } = spec.paths["/todos"].post;
+  const body = requestBody.content["application/json"].schema;
+  const query = spec.paths["/todos"].get.parameters;
+  const status = query.find((param) => param.name === "status");
+  return (
+    body.required.join() === "title,priority" &&
+    body.properties.title.description === "What needs to be done" &&
+    body.properties.priority.enum.join() === "low,medium,high" &&
+    body.properties.tags.items.type === "string" &&
+    !parameters &&
+    query.every((param) => param.required === false) &&
+    status.schema.enum.join() === "open,done"
+  );
+});
+
+test("Path parameters keep the type the handler converts them to", () => {
+  const [todoId] = spec.paths["/todos/{id}"].get.parameters;
+  const [userId] = spec.paths["/users/{id}"].get.parameters;
+  return todoId.schema.type === "integer" && userId.schema.type === "number";
+});
+
+test("Casts and declared types give the response schemas", () => {
+  const todo = getResponseSchema("/todos/{id}", "get");
+  const health = getResponseSchema("/health", "get");
+  const user = getResponseSchema("/users/{id}", "get");
+  return (
+    todo.required.join() === "id,title,completed,priority,tags,notes" &&
+    todo.properties.dueDate.format === "date-time" &&
+    todo.properties.notes.nullable === true &&
+    health.properties.status.enum.join() === "ok,degraded" &&
+    user.properties.role.enum.join() === "0,1" &&
+    getResponseSchema("/todos/{id}", "get", "404").properties.message
+  );
+});
+
+test("Handler and route type arguments type the responses", () => {
+  const list = getResponseSchema("/todos", "get");
+  const todo = spec.components.schemas[list.items.$ref.split("/").pop()];
+  const stats = getResponseSchema("/todos/stats", "get");
+  const created = getResponseSchema("/todos", "post", "201");
+  const roles = getResponseSchema("/users/roles", "get");
+  return (
+    list.type === "array" &&
+    todo.properties.priority.enum.length === 3 &&
+    stats.properties.count.type === "integer" &&
+    stats.required.join() === "count,open" &&
+    created.properties.priority.enum.length === 3 &&
+    !roles.required.includes("first")
+  );
+});
+
+test("Changed TypeScript files are checked again", () => {
+  const extractor = createProjectExtractor();
+  extractor.extract(entry);
+  extractor.invalidate(fixturePath("ts-app", "types", "todo.ts"));
+  const { paths } = generateOpenAPISpec(extractor.extract(entry), {
+    inlineSchemas: true,
+  });
+  const todo =
+    paths["/todos/{id}"].get.responses["200"].content["application/json"]
+      .schema;
+  return todo.properties.priority.enum.join() === "low,medium,high";
+});
+
+report();
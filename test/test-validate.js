@@ -0,0 +1,182 @@
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { validateDocument } from "../src/lib/validate.js";
+import { generateSpec } from "../src/express-to-openapi.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing document validation");
+
+const routes = extractRoutesFromExpressApp(`
+  const express = require("express");
+  const app = express();
+
+  app.get("/todos", (req, res) => res.json([]));
+  app.get("/todos/:id", (req, res) => res.json({ id: req.params.id }));
+  app.get("/todos/id", (req, res) => res.json({ id: 1 }));
+`);
+
+const invalid = {
+  openapi: "3.0.0",
+  info: { title: "Todos", version: "1.0.0" },
+  paths: {
+    "/todos/{id}": {
+      get: {
+        operationId: "getTodo",
+        parameters: [{ name: "id", in: "path", schema: { type: "string" } }],
+        responses: {
+          200: {
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { id: {} } },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        operationId: "getTodo",
+        responses: {
+          204: {
+            description: "Deleted",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Todo" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const controllers = fixturePath("controllers-app", "app.js");
+const warned = await generateSpec({ entry: controllers, config: {} });
+const strict = await generateSpec({
+  entry: controllers,
+  config: {},
+  overrides: { strict: true },
+});
+
+function findProblem(problems, pointer) {
+  return problems.find((problem) => problem.pointer === pointer);
+}
+
+test("Generated documents are valid in OpenAPI 3.0 and 3.1", () => {
+  return (
+    validateDocument(generateOpenAPISpec(routes)).length === 0 &&
+    validateDocument(generateOpenAPISpec(routes, { openapiVersion: "3.1" }))
+      .length === 0
+  );
+});
+
+test("Paths collapsing to the same operationId are numbered", () => {
+  const { paths } = generateOpenAPISpec(routes);
+  return (
+    paths["/todos/{id}"].get.operationId === "gettodosid" &&
+    paths["/todos/id"].get.operationId === "gettodosid2" &&
+    paths["/todos"].get.operationId === "gettodos"
+  );
+});
+
+test("Operations without parameters have no parameters key", () => {
+  const { paths } = generateOpenAPISpec(routes);
+  return (
+    !("parameters" in paths["/todos"].get) &&
+    paths["/todos/{id}"].get.parameters.length === 1
+  );
+});
+
+test("Schema errors name the offending value and its operation", () => {
+  const problems = validateDocument(invalid);
+  const parameter = findProblem(
+    problems,
+    "/paths/~1todos~1{id}/get/parameters/0"
+  );
+  const response = findProblem(
+    problems,
+    "/paths/~1todos~1{id}/get/responses/200"
+  );
+  return (
+    parameter.message === 'missing required property "required"' &&
+    parameter.path === "/todos/{id}" &&
+    parameter.method === "get" &&
+    response.message === 'missing required property "description"'
+  );
+});
+
+test("Alternatives of a oneOf are not reported", () => {
+  // The parameter is not a $ref, and its "in" is that of a path parameter
+  const problems = validateDocument(invalid).filter(
+    (problem) => problem.method === "get"
+  );
+  return (
+    problems.length === 2 &&
+    problems.every(
+      (problem) =>
+        problem.message !== 'missing required property "$ref"' &&
+        !problem.pointer.endsWith("/in")
+    )
+  );
+});
+
+test("Duplicate operationIds and dangling $refs are reported", () => {
+  const problems = validateDocument(invalid);
+  const duplicate = findProblem(
+    problems,
+    "/paths/~1todos~1{id}/delete/operationId"
+  );
+  const ref = findProblem(
+    problems,
+    "/paths/~1todos~1{id}/delete/responses/204/content/application~1json/schema/$ref"
+  );
+  return (
+    duplicate.message ===
+      'operationId "getTodo" is also used by GET /todos/{id}' &&
+    ref.message ===
+      '$ref "#/components/schemas/Todo" does not point to anything'
+  );
+});
+
+test("OpenAPI 3.1 documents are validated against the 3.1 schema", () => {
+  const problems = validateDocument({ ...invalid, openapi: "3.1.0" });
+  return (
+    findProblem(problems, "/paths/~1todos~1{id}/get/responses/200") &&
+    !problems.some((problem) => problem.message.includes("unknown property"))
+  );
+});
+
+test("Routes tell the file and line declaring them", () => {
+  const users = warned.routes.find(
+    (route) => route.path === "/users" && route.method === "get"
+  );
+  const [inline] = routes;
+  return (
+    users.source.file === controllers &&
+    users.source.line === 11 &&
+    users.source.column === 1 &&
+    inline.source.file === null &&
+    inline.source.line === 5
+  );
+});
+
+test("Problems are reported at the route of their operation", () => {
+  const diagnostic = warned.diagnostics.find(
+    (d) => d.code === "invalid-document"
+  );
+  return (
+    diagnostic.level === "warning" &&
+    diagnostic.file === controllers &&
+    diagnostic.line === 11 &&
+    diagnostic.message.includes('$ref "#/components/schemas/User"') &&
+    diagnostic.pointer.startsWith("/paths/~1users/get/")
+  );
+});
+
+test("Problems are errors with the strict option", () => {
+  return strict.diagnostics.some(
+    (d) => d.code === "invalid-document" && d.level === "error"
+  );
+});
+
+report();
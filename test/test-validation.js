@@ -0,0 +1,217 @@
+import {
+  extractRoutesFromExpressApp,
+  extractRoutesFromProject,
+} from "../src/lib/routes.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing validation middleware");
+
+// Extract the single route declared with the given middleware and handler,
+// after optional module-level declarations
+function analyze(routeArgs, setup = "", method = "post", path = "/items") {
+  const [route] = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const app = express();
+    ${setup}
+    app.${method}("${path}", ${routeArgs});
+  `);
+  return route;
+}
+
+function getParam(route, location, name) {
+  return route.parameters.find((p) => p.in === location && p.name === name);
+}
+
+function getBodySchema(route) {
+  return route.requestBody?.content["application/json"].schema;
+}
+
+const handler = "(req, res) => res.json(req.body)";
+
+test("celebrate segments give the body, query and path schemas", () => {
+  const route = analyze(
+    `celebrate({
+      [Segments.BODY]: Joi.object().keys({
+        title: Joi.string().min(3).max(100).required(),
+        done: Joi.boolean().default(false),
+        tags: Joi.array().items(Joi.string()).max(5),
+      }),
+      [Segments.QUERY]: { notify: Joi.string().valid("email", "sms") },
+      [Segments.PARAMS]: Joi.object({ id: Joi.number().integer().min(1) }),
+    }), ${handler}`,
+    "",
+    "put",
+    "/items/:id"
+  );
+  const body = getBodySchema(route);
+  const id = getParam(route, "path", "id");
+  const notify = getParam(route, "query", "notify");
+  return (
+    body.properties.title.minLength === 3 &&
+    body.properties.title.maxLength === 100 &&
+    body.required.join() === "title" &&
+    body.properties.done.default === false &&
+    body.properties.tags.items.type === "string" &&
+    body.properties.tags.maxItems === 5 &&
+    id.schema.type === "integer" &&
+    id.schema.minimum === 1 &&
+    notify.required === false &&
+    notify.schema.enum.join() === "email,sms"
+  );
+});
+
+test("Validation wrappers take a Joi schema declared in the file", () => {
+  const route = analyze(
+    `validate(todoSchema), (req, res) => { const { note } = req.body; res.json({}); }`,
+    `const todoSchema = Joi.object({
+      email: Joi.string().email().required(),
+      website: Joi.string().uri().allow(null),
+      rating: Joi.number().positive().less(5),
+    });`
+  );
+  const body = getBodySchema(route);
+  return (
+    body.properties.email.format === "email" &&
+    body.properties.website.nullable === true &&
+    body.properties.rating.minimum === 0 &&
+    body.properties.rating.exclusiveMinimum === true &&
+    body.properties.rating.maximum === 5 &&
+    body.required.join() === "email" &&
+    !body.properties.note
+  );
+});
+
+test("zod schemas are required unless optional", () => {
+  const route = analyze(
+    `validateBody(userSchema), validateQuery(z.object({ page: z.coerce.number().int().min(1).default(1) })), ${handler}`,
+    `const base = z.object({ name: z.string().min(2) });
+    const userSchema = base.extend({
+      email: z.string().email(),
+      role: z.enum(["admin", "member"]).optional(),
+      nickname: z.string().nullish(),
+      tags: z.array(z.string()).nonempty(),
+    });`
+  );
+  const body = getBodySchema(route);
+  const page = getParam(route, "query", "page");
+  return (
+    body.required.join() === "name,email,tags" &&
+    body.properties.role.enum.join() === "admin,member" &&
+    body.properties.nickname.nullable === true &&
+    body.properties.tags.minItems === 1 &&
+    page.required === false &&
+    page.schema.type === "integer" &&
+    page.schema.default === 1
+  );
+});
+
+test("zod parse calls in the handler give the request schemas", () => {
+  const route = analyze(
+    `async (req, res) => {
+      const filters = z.object({ q: z.string().max(50) });
+      const { q } = filters.parse(req.query);
+      const todo = todoSchema.parse(req.body);
+      res.json(todo);
+    }`,
+    `const todoSchema = z.object({ title: z.string(), done: z.boolean().optional() }).strict();`,
+    "get"
+  );
+  const body = getBodySchema(route);
+  const q = getParam(route, "query", "q");
+  return (
+    body.required.join() === "title" &&
+    body.properties.done.type === "boolean" &&
+    q.required === true &&
+    q.schema.maxLength === 50
+  );
+});
+
+test("express-validator chains give fields, types and required flags", () => {
+  const route = analyze(
+    `[
+      body("email").isEmail().normalizeEmail(),
+      body("password").isLength({ min: 8 }),
+      body("age").optional().isInt({ min: 18 }),
+      body("address.city").notEmpty(),
+      body("tags.*").isIn(["a", "b"]),
+      query("sort").optional().isIn(SORTS),
+      param("id").isUUID(),
+    ], ${handler}`,
+    `const SORTS = ["asc", "desc"];`,
+    "post",
+    "/items/:id"
+  );
+  const body = getBodySchema(route);
+  return (
+    body.properties.email.format === "email" &&
+    body.properties.password.minLength === 8 &&
+    body.properties.age.type === "integer" &&
+    body.properties.age.minimum === 18 &&
+    body.required.join() === "email,password,address" &&
+    body.properties.address.properties.city.type === "string" &&
+    body.properties.address.required.join() === "city" &&
+    body.properties.tags.items.enum.join() === "a,b" &&
+    getParam(route, "query", "sort").schema.enum.join() === "asc,desc" &&
+    getParam(route, "path", "id").schema.format === "uuid"
+  );
+});
+
+test("Negated validators tell nothing", () => {
+  const route = analyze(
+    `body("name").not().isEmpty(), body("code").not().isInt(), ${handler}`
+  );
+  const body = getBodySchema(route);
+  return (
+    body.properties.name.type === "string" &&
+    body.properties.code.type === "string"
+  );
+});
+
+test("Other middleware is ignored", () => {
+  const route = analyze(
+    `authenticate, rateLimit({ windowMs: 1000, max: 5 }), authorize("admin"), (req, res) => { const { title } = req.body; res.json({ title }); }`
+  );
+  const body = getBodySchema(route);
+  return (
+    Object.keys(body.properties).join() === "title" &&
+    !route.parameters.some((p) => p.in === "query")
+  );
+});
+
+test("Schemas and rules imported from other files are followed", () => {
+  const routes = extractRoutesFromProject(
+    fixturePath("validation-app", "app.js")
+  );
+  const todos = routes.find((r) => r.path === "/todos");
+  const users = routes.find((r) => r.path === "/users/{id}");
+  const todo = getBodySchema(todos);
+  const user = getBodySchema(users);
+  return (
+    todo.properties.title.maxLength === 200 &&
+    todo.required.join() === "title" &&
+    todo.properties.status.enum.join() === "open,done" &&
+    todo.properties.address.properties.zip.pattern === "^\\d{5}$" &&
+    todo.properties.address.required.join() === "city" &&
+    user.properties.email.format === "email" &&
+    user.properties.age.maximum === 150 &&
+    user.required.join() === "email" &&
+    getParam(users, "path", "id").schema.type === "string"
+  );
+});
+
+test("Validation does not leak into routes sharing the handler", () => {
+  const routes = extractRoutesFromExpressApp(`
+    const express = require("express");
+    const app = express();
+    function save(req, res) {
+      const { title } = req.body;
+      res.json({ title });
+    }
+    app.post("/a", validate(Joi.object({ name: Joi.string() })), save);
+    app.post("/b", save);
+  `);
+  const [a, b] = routes.map(getBodySchema);
+  return a.properties.name && !a.properties.title && b.properties.title;
+});
+
+report();
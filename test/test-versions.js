@@ -0,0 +1,163 @@
+import { extractRoutesFromExpressApp } from "../src/lib/routes.js";
+import { generateOpenAPISpec } from "../src/lib/spec.js";
+import { generateSpec } from "../src/express-to-openapi.js";
+import { convertSchemaTo31 } from "../src/lib/versions.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing OpenAPI versions");
+
+const routes = extractRoutesFromExpressApp(`
+  const express = require("express");
+  const app = express();
+  app.use(express.json());
+
+  app.post("/users", (req, res) => {
+    const { name, age } = req.body;
+    res.status(201).json({ id: 1, name, age: age || null });
+  });
+  app.get("/users/:id", (req, res) => {
+    const user = { id: 1, name: "Ada", nickname: null };
+    res.json({ ...user, manager: user.id > 1 ? "Grace" : null });
+  });
+`);
+
+const { diagnostics } = await generateSpec({
+  entry: fixturePath("mounted-app", "app.js"),
+  config: { webhooks: { ping: {} } },
+});
+
+function getSchema(document, path, method, status) {
+  return document.paths[path][method].responses[status].content[
+    "application/json"
+  ].schema;
+}
+
+test("OpenAPI 3.0 is written by default", () => {
+  const document = generateOpenAPISpec(routes);
+  const created = getSchema(document, "/users", "post", "201");
+  return (
+    document.openapi === "3.0.0" &&
+    !document.jsonSchemaDialect &&
+    created.properties.age.type === "integer" &&
+    created.properties.age.nullable === true
+  );
+});
+
+test("Nullable values have a null type in OpenAPI 3.1", () => {
+  const document = generateOpenAPISpec(routes, { openapiVersion: "3.1" });
+  const created = getSchema(document, "/users", "post", "201");
+  const user = getSchema(document, "/users/{id}", "get", "200");
+  return (
+    document.openapi === "3.1.0" &&
+    document.jsonSchemaDialect ===
+      "https://spec.openapis.org/oas/3.1/dialect/base" &&
+    created.properties.age.type.join() === "integer,null" &&
+    created.properties.age.nullable === undefined &&
+    user.properties.manager.type.join() === "string,null"
+  );
+});
+
+test("Schemas are converted to JSON Schema 2020-12", () => {
+  const schema = convertSchemaTo31({
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["active"], example: "active" },
+      rating: {
+        type: "number",
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 5,
+      },
+      owner: { $ref: "#/components/schemas/User", nullable: true },
+      role: { type: "string", enum: ["admin", "user"], nullable: true },
+      tags: { type: "array", items: { type: "string", nullable: true } },
+    },
+  });
+  const { status, rating, owner, role, tags } = schema.properties;
+  return (
+    status.const === "active" &&
+    !status.enum &&
+    status.examples[0] === "active" &&
+    rating.exclusiveMinimum === 0 &&
+    rating.minimum === undefined &&
+    rating.maximum === 5 &&
+    owner.anyOf[0].$ref === "#/components/schemas/User" &&
+    owner.anyOf[1].type === "null" &&
+    role.enum.join() === "admin,user," &&
+    tags.items.type.join() === "string,null"
+  );
+});
+
+test("Components, parameters and config schemas are converted", () => {
+  const document = generateOpenAPISpec(routes, {
+    openapiVersion: "3.1.0",
+    components: {
+      schemas: {
+        Page: {
+          type: "object",
+          properties: { cursor: { type: "string", nullable: true } },
+        },
+      },
+      parameters: {
+        Limit: {
+          name: "limit",
+          in: "query",
+          example: 10,
+          schema: { type: "integer", example: 10 },
+        },
+      },
+    },
+  });
+  const { schemas, parameters } = document.components;
+  return (
+    schemas.Page.properties.cursor.type.join() === "string,null" &&
+    parameters.Limit.example === 10 &&
+    parameters.Limit.schema.examples[0] === 10 &&
+    parameters.Limit.schema.example === undefined
+  );
+});
+
+test("Webhooks are written in OpenAPI 3.1 documents only", () => {
+  const webhooks = {
+    userCreated: {
+      post: {
+        requestBody: {
+          content: {
+            "application/json": {
+              schema: { type: "object", nullable: true },
+            },
+          },
+        },
+        responses: { 200: { description: "Received" } },
+      },
+    },
+  };
+  const document = generateOpenAPISpec(routes, {
+    openapiVersion: "3.1",
+    webhooks,
+  });
+  const { schema } =
+    document.webhooks.userCreated.post.requestBody.content["application/json"];
+  return (
+    schema.type.join() === "object,null" &&
+    !generateOpenAPISpec(routes, { webhooks }).webhooks
+  );
+});
+
+test("Unsupported versions are rejected", () => {
+  try {
+    generateOpenAPISpec(routes, { openapiVersion: "2.0" });
+    return false;
+  } catch (error) {
+    return error.message.includes("Unsupported OpenAPI version 2.0");
+  }
+});
+
+test("Webhooks configured for OpenAPI 3.0 are reported", () => {
+  return diagnostics.some(
+    (diagnostic) =>
+      diagnostic.level === "warning" && diagnostic.code === "webhooks-ignored"
+  );
+});
+
+report();
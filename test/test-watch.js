@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { watchSpec, diffOperations } from "../src/express-to-openapi.js";
+import { createTestSuite, fixturePath } from "./helpers.js";
+
+const { test, report } = createTestSuite("Testing watch mode");
+
+// Time to wait for a rebuild before giving up
+const UPDATE_TIMEOUT_MS = 5000;
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "express-to-openapi-"));
+fs.cpSync(fixturePath("mounted-app"), workDir, { recursive: true });
+
+const todosPath = path.join(workDir, "routes", "todos.js");
+const healthPath = path.join(workDir, "routes", "health.js");
+const overlayPath = path.join(workDir, "overlay.yaml");
+fs.writeFileSync(
+  overlayPath,
+  "GET /api/todos:\n  description: Lists the todos\n"
+);
+const updates = [];
+let waiting = null;
+
+const watcher = await watchSpec({
+  entry: path.join(workDir, "app.js"),
+  config: { overlays: [overlayPath] },
+  onUpdate: (update) => {
+    updates.push(update);
+    if (waiting) waiting();
+  },
+});
+
+// Change a file and wait for the rebuild it triggers
+function change(filePath, edit) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => resolve(null), UPDATE_TIMEOUT_MS);
+    waiting = () => {
+      clearTimeout(timeout);
+      waiting = null;
+      resolve(updates[updates.length - 1]);
+    };
+    fs.writeFileSync(filePath, edit(fs.readFileSync(filePath, "utf8")));
+  });
+}
+
+const initial = watcher.result;
+const added = await change(
+  todosPath,
+  (source) =>
+    `${source}\nrouter.get("/archived", (req, res) => res.json([]));\n`
+);
+const broken = await change(todosPath, (source) => `${source}\nrouter.get(`);
+const fixed = await change(todosPath, (source) =>
+  source.replace(/\nrouter\.get\($/, "")
+);
+const changed = await change(healthPath, (source) =>
+  source.replace(/res\.json\(/, 'res.set("X-Up", "1").status(203).json(')
+);
+const overlaid = await change(overlayPath, (source) =>
+  source.replace("Lists the todos", "Lists every todo")
+);
+
+watcher.close();
+fs.rmSync(workDir, { recursive: true, force: true });
+
+test("The first result is returned right away", () => {
+  return initial.document.paths["/api/todos"] && initial.routes.length > 0;
+});
+
+test("A new route is reported as an added operation", () => {
+  return (
+    added &&
+    added.changedFiles.includes(todosPath) &&
+    added.diff.added.includes("GET /api/todos/archived") &&
+    added.diff.removed.length === 0 &&
+    added.diff.changed.length === 0
+  );
+});
+
+test("Parse errors are reported without losing the last document", () => {
+  return (
+    broken &&
+    broken.diagnostics.some((d) => d.code === "parse-error") &&
+    fixed &&
+    fixed.diagnostics.length === 0 &&
+    fixed.diff.added.length === 0 &&
+    fixed.diff.removed.length === 0
+  );
+});
+
+test("Changes to a handler are reported as changed operations", () => {
+  return (
+    changed &&
+    changed.diff.changed.length === 1 &&
+    changed.document.paths[changed.diff.changed[0].split(" ")[1]]
+  );
+});
+
+test("Overlay files are read again when they change", () => {
+  return (
+    initial.document.paths["/api/todos"].get.description ===
+      "Lists the todos" &&
+    overlaid &&
+    overlaid.changedFiles.includes(overlayPath) &&
+    overlaid.diff.changed.join() === "GET /api/todos" &&
+    overlaid.document.paths["/api/todos"].get.description === "Lists every todo"
+  );
+});
+
+test("diffOperations compares the operations of two documents", () => {
+  const before = { paths: { "/a": { get: { x: 1 } }, "/b": { post: {} } } };
+  const after = { paths: { "/a": { get: { x: 2 } }, "/c": { put: {} } } };
+  const { added, removed, changed: updated } = diffOperations(before, after);
+  return (
+    added.join() === "PUT /c" &&
+    removed.join() === "POST /b" &&
+    updated.join() === "GET /a"
+  );
+});
+
+report();